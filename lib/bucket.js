@@ -7,15 +7,60 @@
 // core
 var path = require('path');
 var fs = require('fs');
+var crypto = require('crypto');
+var util = require('util');
+var EventEmitter = require('events').EventEmitter;
 
 // 3rd party
 var _ = require('underscore');
 var async = require('async');
 var mime = require('mime');
-var AWS = require('aws-sdk');
 
 // lib
-var policy = require('./policy.json');
+var policy = require('./policy');
+var website = require('./website');
+var headers = require('./headers');
+var compress = require('./compress');
+var plan = require('./plan');
+var retry = require('./retry');
+var multipart = require('./multipart');
+var storage = require('./storage');
+var manifest = require('./manifest');
+var lifecycle = require('./lifecycle');
+var cors = require('./cors');
+var logging = require('./logging');
+var domain = require('./domain');
+var cdn = require('./cdn');
+var verify = require('./verify');
+var region = require('./region');
+var files = require('./files');
+
+
+/* -----------------------------------------------------------------------------
+ * scope
+ * ---------------------------------------------------------------------------*/
+
+// Maximum number of keys s3 will list or delete in a single request.
+var MAX_KEYS = 1000;
+
+// Key prefix under which releases are uploaded.
+var RELEASES_PREFIX = 'releases/';
+
+// Number of releases kept when `options.releases.keep` is not set.
+var RELEASES_KEEP = 5;
+
+// File in srcPath listing per-object redirects. Never uploaded.
+var REDIRECTS_FILE = '_redirects';
+
+// File in srcPath listing per-path headers. Never uploaded.
+var HEADERS_FILE = '_headers';
+
+// Number of files read or uploaded at once when
+// `options.concurrency` is not set.
+var CONCURRENCY = 10;
+
+// s3 operations allowed in dry run mode.
+var READ_OPERATIONS = /^(get|head|list)/;
 
 
 /* -----------------------------------------------------------------------------
@@ -23,7 +68,19 @@ var policy = require('./policy.json');
  * ---------------------------------------------------------------------------*/
 
 /**
- * Interface to manipulate an s3 bucket.
+ * Interface to manipulate an s3 bucket. Emits progress events:
+ *
+ *   bucket:created, website:configured, policy:applied,
+ *   versioning:configured, lifecycle:configured, redirect:configured,
+ *   cdn:invalidated, site:verified, warning,
+ *   file:start, file:uploaded, file:skipped, file:downloaded,
+ *   object:copied, object:deleted
+ *   and error (only if listened to).
+ *
+ * File and object events include the running `totals`.
+ *
+ * Buckets are stored on s3 unless `options.storage` selects
+ * another adapter (see lib/storage).
  *
  * @constructor
  * @public
@@ -32,21 +89,84 @@ var policy = require('./policy.json');
  * @param {string} name - site options.
  */
 var Bucket = function (options, s3config) {
+  EventEmitter.call(this);
+
   // store all options on instance
   this.options = options;
 
-  this.s3 = new AWS.S3(s3config || {});
+  // running totals included in progress events
+  this.totals = { queued: 0, files: 0, bytes: 0, skipped: 0, deleted: 0 };
+
+  // manifest entries of objects shipped by the current deploy
+  this.manifestObjects = {};
+
+  // keys uploaded or removed since the last cdn invalidation
+  this.changedKeys = [];
+
+  // true while `create` configures a bucket it just created, which
+  // has no cors or logging configuration to remove
+  this.createdBucket = false;
+
+  // region of the bucket, which the s3 client also sends requests to
+  this.region = region.resolve(options, s3config);
+
+  this.s3 = storage.create(options.storage, _.extend({}, s3config, {
+    region: this.region
+  }));
+
+  if (options.cdn) {
+    this.cloudfront = cdn.client(s3config);
+  }
+
   this.bucketName = this._createBucketName(options);
+
+  // apex of the DNS zone serving the domain, which gets alias
+  // records instead of CNAMEs
+  this.zone = options.domain ? domain.apex(options.domain, options.zone) : null;
+
+  // endpoints are returned once a command completes, when invalid
+  // redirect hosts could no longer be reported
+  this._redirectHosts();
+
+  // never modify anything when only planning
+  if (options.dryRun) {
+    this._readOnly();
+  }
     
   // Make sure all methods are called with bucket as content. Necessary
   // due to using async for flow management.
   _.bindAll(this, 'deploy', 'destroy', 'verifyExistence', 'listContents',
-    'removeContents', 'removeBucket', 'create', 'createBucket',
-    'makeWebsite', 'makePublic', 'upload', 'uploadDirectory',
-    'uploadFile', 'uploadContent', '_createBucketName', '_params');
+    'removeContents', 'removeBucket', 'create', 'createBucket', 'makeWebsite',
+    'makePublic', 'applyPolicy', 'createRedirects', 'removeRedirects',
+    'endpoints', 'invalidate', 'verify', 'verifyPath', 'reconcile',
+    'applyVersioning', 'applyLifecycle', 'abortStaleUploads', 'applyCors',
+    'applyLogging', 'listVersions', 'removeVersions', 'sync', 'ensure',
+    'syncContents', 'updateHeaders', 'diffContents', 'listFiles', 'release',
+    'uploadRelease', 'activateRelease', 'rollback', 'listReleases',
+    'getCurrentRelease', 'pruneReleases', 'promote', 'promoteContents',
+    'copyContent', 'pull', 'pullContent', 'writeManifest', 'readManifest',
+    'history', 'plan', 'planDestroy', 'info', 'upload', 'uploadDirectory',
+    'uploadFiles', 'uploadFile', 'uploadMultipart', 'uploadContent',
+    'readRedirects', 'readHeaders', 'uploadRedirects', '_planReconcile',
+    '_planRedirects', '_createBucketName', '_fileKey', '_hasChanged',
+    '_staleHeaders', '_uploadBatches', '_fileParams', '_readBody',
+    '_isIgnored', '_syncedContents', '_readJson', '_pruneHistory',
+    '_lifecycleOptions', '_corsOptions', '_loggingOptions',
+    '_manifestOptions', '_createReleaseId', '_releaseRoutingRules',
+    '_websiteConfiguration', '_policy', '_readOnly', '_multipartOptions',
+    '_concurrency', '_emitError', '_writeSidecars', '_writeFile',
+    '_servedParams', '_envBucket', '_regionError', '_indexDocument',
+    '_websiteUrl', '_redirectHosts', '_redirectTarget', '_listObjects',
+    '_params');
+
+  // `_headers` is read (and warned about) once per bucket
+  this.readHeaders = async.memoize(this.readHeaders);
 };
 
 
+util.inherits(Bucket, EventEmitter);
+
+
 /* -----------------------------------------------------------------------------
  * deploy
  * ---------------------------------------------------------------------------*/
@@ -54,15 +174,50 @@ var Bucket = function (options, s3config) {
 /**
  * Upload a local folder to a bucket in s3. If a
  * bucket by the specified name already exists, first
- * remove the bucket and all of its contents.
+ * remove the bucket and all of its contents. When
+ * `options.releases` is set, the folder is instead
+ * uploaded as a new release. When `options.sync` is
+ * set, the bucket is instead synced in place. When
+ * `options.dryRun` is set, only a plan is returned.
+ * Past manifests are carried over to the new bucket.
  *
  * @public
  *
- * @parma {object} options - Deploy options.
+ * @param {function} callback - Function executed with the site
+ *   endpoints after deploy.
  */
 Bucket.prototype.deploy = function (callback) {
-  async.series([this.destroy, this.create, this.upload], callback);
-},
+  if (this.options.dryRun) {
+    return this.plan(callback);
+  }
+
+  if (this.options.releases) {
+    return this.release(callback);
+  }
+
+  if (this.options.sync) {
+    return this.sync(callback);
+  }
+
+  this.history(_.bind(function (err, manifests) {
+    if (err) {
+      return callback(err);
+    }
+
+    async.series([
+      this.destroy,
+      this.create,
+      this.upload,
+      async.apply(this.writeManifest, 'deploy', manifests),
+      this.invalidate,
+      this.verify
+    ], _.bind(function (err) {
+      return err
+        ? callback(err)
+        : callback(null, this.endpoints());
+    }, this));
+  }, this));
+};
 
 
 /* -----------------------------------------------------------------------------
@@ -70,7 +225,10 @@ Bucket.prototype.deploy = function (callback) {
  * ---------------------------------------------------------------------------*/
 
 /**
- * Remove bucket and all of its contents.
+ * Remove bucket and all of its contents (including noncurrent
+ * versions and delete markers of versioned buckets), along with
+ * any domain redirect buckets. When `options.dryRun` is set, only
+ * a plan is returned.
  *
  * @public
  *
@@ -78,20 +236,34 @@ Bucket.prototype.deploy = function (callback) {
  *   bucket.
  */
 Bucket.prototype.destroy = function (callback) {
+  if (this.options.dryRun) {
+    return this.planDestroy(callback);
+  }
+
+  var done = _.bind(function (err) {
+    return !err || err === 'Does not exist'
+      ? this.removeRedirects(callback)
+      : callback(err);
+  }, this);
+
   async.waterfall([
     this.verifyExistence,
     this.listContents,
     this.removeContents,
     this.removeBucket
-  ], function (err) {
-    return !err || err === 'Does not exist'
-      ? callback()
-      : callback(err);
-  });
+  ], _.bind(function (err) {
+    // versioned buckets still hold noncurrent versions and delete
+    // markers once their contents are removed
+    return err && err.code === 'BucketNotEmpty'
+      ? async.series([this.removeVersions, this.removeBucket], done)
+      : done(err);
+  }, this));
 };
 
 /**
- * Check for existence of bucket.
+ * Check for existence of bucket. A bucket which exists in a
+ * different region than `options.region` is reported as an error
+ * naming its region.
  *
  * @public
  *
@@ -99,12 +271,15 @@ Bucket.prototype.destroy = function (callback) {
  *   aws for resource.
  */
 Bucket.prototype.verifyExistence = function (callback) {
-  this.s3.headBucket(this._params(), function (err, data) {
+  this.s3.headBucket(this._params(), _.bind(function (err, data) {
+    if (err && err.statusCode == 301) {
+      return this._regionError(callback);
+    }
 
     return err && err.statusCode == 404
       ? callback('Does not exist')
       : callback(err);
-  });
+  }, this));
 };
 
 /**
@@ -116,13 +291,14 @@ Bucket.prototype.verifyExistence = function (callback) {
  *   bucket contents.
  */
 Bucket.prototype.listContents = function (callback) {
-  this.s3.listObjects(this._params(), function (err, res) {
-    return callback(err, res ? res['Contents'] : null);
-  });
+  this._listObjects({}, callback);
 };
 
 /**
- * Remove contents from bucket.
+ * Remove contents from bucket. Contents are removed in batches
+ * of 1000 (the s3 limit per request). Any keys s3 fails to
+ * remove are reported as an error. Contents with a VersionId
+ * remove that specific version.
  *
  * @public
  *
@@ -132,17 +308,52 @@ Bucket.prototype.listContents = function (callback) {
  */
 Bucket.prototype.removeContents = function (contents, callback) {
   // no contents to remove from bucket
-  if (!contents[0]) {
+  if (!contents || !contents[0]) {
     return callback();
   }
 
   var Objects = _.map(contents, function (content) {
-    return _.pick(content, 'Key');
+    return _.pick(content, 'Key', 'VersionId');
   });
 
-  this.s3.deleteObjects(this._params({
-    Delete: { Objects: Objects }
-  }), function (err) {
+  var batches = [];
+  for (var i = 0; i < Objects.length; i += MAX_KEYS) {
+    batches.push(Objects.slice(i, i + MAX_KEYS));
+  }
+
+  var errors = [];
+  async.eachSeries(batches, _.bind(function (batch, callback) {
+    this.s3.deleteObjects(this._params({
+      Delete: { Objects: batch }
+    }), _.bind(function (err, res) {
+      if (err) {
+        return callback(err);
+      }
+
+      var failed = _.pluck(res['Errors'] || [], 'Key');
+      errors = errors.concat(res['Errors'] || []);
+
+      _.each(batch, function (object) {
+        if (!_.contains(failed, object.Key)) {
+          this.changedKeys.push(object.Key);
+          this.totals.deleted++;
+          this.emit('object:deleted', { key: object.Key, totals: this.totals });
+        }
+      }, this);
+
+      callback();
+    }, this));
+  }, this), function (err) {
+    if (err || !errors.length) {
+      return callback(err);
+    }
+
+    var keys = _.map(errors, function (error) {
+      return error.Key + ' (' + error.Code + ': ' + error.Message + ')';
+    });
+
+    err = new Error('Failed to remove contents: ' + keys.join(', '));
+    err.errors = errors;
     callback(err);
   });
 };
@@ -165,7 +376,8 @@ Bucket.prototype.removeBucket = function (callback) {
  * ---------------------------------------------------------------------------*/
 
 /**
- * Create bucket suitable to host a static website.
+ * Create bucket suitable to host a static website, with any
+ * versioning, lifecycle, cors and logging options applied.
  *
  * @private
  *
@@ -176,8 +388,12 @@ Bucket.prototype.create = function (callback) {
   async.series([
     this.createBucket,
     this.makeWebsite,
-    this.makePublic
-  ], callback);
+    this.makePublic,
+    this.reconcile
+  ], _.bind(function (err, res) {
+    this.createdBucket = false;
+    callback(err, res);
+  }, this));
 };
 
 /**
@@ -189,11 +405,22 @@ Bucket.prototype.create = function (callback) {
  *  bucket.
  */
 Bucket.prototype.createBucket = function (callback) {
-  this.s3.createBucket(this._params(), callback);
+  var params = this._params(region.createParams(this.region));
+
+  this.s3.createBucket(params, _.bind(function (err, res) {
+    if (!err) {
+      this.createdBucket = true;
+      this.emit('bucket:created', { bucket: this.bucketName });
+    }
+
+    callback(err, res);
+  }, this));
 };
 
 /**
- * Configure bucket for website hosting.
+ * Configure bucket for website hosting using `options.website`
+ * (index, error and routing rules). The configuration is
+ * validated before being sent to s3.
  *
  * @public
  *
@@ -201,18 +428,32 @@ Bucket.prototype.createBucket = function (callback) {
  *  bucket.
  */
 Bucket.prototype.makeWebsite = function (callback) {
-  var WebsiteConfiguration = {
-    IndexDocument: { Suffix: 'index.html' }
-  };
+  var WebsiteConfiguration;
+
+  try {
+    WebsiteConfiguration = this._websiteConfiguration();
+  } catch (err) {
+    return callback(err);
+  }
 
   this.s3.putBucketWebsite(this._params({
     WebsiteConfiguration: WebsiteConfiguration
-  }), callback);
+  }), _.bind(function (err, res) {
+    if (!err) {
+      this.emit('website:configured', {
+        bucket: this.bucketName,
+        configuration: WebsiteConfiguration
+      });
+    }
+
+    callback(err, res);
+  }, this));
 };
 
 /**
- * Add bucket policy which makes all bucket contents publicly
- * accessible.
+ * Add bucket policy which makes bucket contents publicly
+ * accessible, narrowed or replaced by `options.policy`. The
+ * policy is validated before being sent to s3.
  *
  * @public
  *
@@ -220,132 +461,3091 @@ Bucket.prototype.makeWebsite = function (callback) {
  *  bucket policy.
  */
 Bucket.prototype.makePublic = function (callback) {
-  var bucketPolicy = _.clone(policy);
-  bucketPolicy.Statement[0].Resource += this.bucketName + '/*';
+  var bucketPolicy;
+
+  try {
+    bucketPolicy = this._policy();
+  } catch (err) {
+    return callback(err);
+  }
 
   this.s3.putBucketPolicy(this._params({
     Policy: JSON.stringify(bucketPolicy)
-  }), callback);
+  }), _.bind(function (err, res) {
+    if (!err) {
+      this.emit('policy:applied', { bucket: this.bucketName, policy: bucketPolicy });
+    }
+
+    callback(err, res);
+  }, this));
+};
+
+/**
+ * Re-apply the bucket policy of an existing bucket when manifests
+ * are enabled, so deploy records stay private on buckets created
+ * before manifests were turned on.
+ *
+ * @public
+ *
+ * @param {function} callback - Function executed after applying
+ *  bucket policy.
+ */
+Bucket.prototype.applyPolicy = function (callback) {
+  var enabled;
+
+  try {
+    enabled = this._manifestOptions();
+  } catch (err) {
+    return callback(err);
+  }
+
+  return enabled && !this.createdBucket
+    ? this.makePublic(callback)
+    : callback();
 };
 
 
 /* -----------------------------------------------------------------------------
- * upload
+ * domain
  * ---------------------------------------------------------------------------*/
 
 /**
- * Upload src directory to bucket.
+ * Create a redirect-only bucket for each hostname redirected to
+ * `options.domain` (by default www.[domain]), which sends every
+ * request to the domain. Existing redirect buckets have their
+ * redirect updated.
  *
  * @public
  *
- * @param {function} callback - Function executed after uploading
- *  directory.
+ * @param {function} callback - Function executed after creating
+ *   redirect buckets.
  */
-Bucket.prototype.upload = function (callback) {
-  this.uploadDirectory(this.options.srcPath, callback);
+Bucket.prototype.createRedirects = function (callback) {
+  var hosts, RedirectAllRequestsTo;
+
+  try {
+    hosts = this._redirectHosts();
+    RedirectAllRequestsTo = this._redirectTarget();
+  } catch (err) {
+    return callback(err);
+  }
+
+  async.eachSeries(hosts, _.bind(function (host, callback) {
+    var params = { Bucket: host };
+
+    async.series([
+      _.bind(function (callback) {
+        this.s3.headBucket(params, _.bind(function (err) {
+          return err && err.statusCode == 404
+            ? this.s3.createBucket(_.extend(region.createParams(this.region), params), callback)
+            : callback(err);
+        }, this));
+      }, this),
+      _.bind(function (callback) {
+        this.s3.putBucketWebsite(_.extend({
+          WebsiteConfiguration: { RedirectAllRequestsTo: RedirectAllRequestsTo }
+        }, params), callback);
+      }, this)
+    ], _.bind(function (err) {
+      if (!err) {
+        this.emit('redirect:configured', { bucket: host, to: this.options.domain });
+      }
+
+      callback(err);
+    }, this));
+  }, this), callback);
 };
 
 /**
- * Upload a directory to s3.
+ * Remove redirect buckets of `options.domain`. Buckets which do
+ * not exist are skipped.
  *
  * @public
  *
- * @param {string} directoryPath - Absolute path of directory to upload.
- * @param {function} callback - Function executed after uploading
- *  directory.
+ * @param {function} callback - Function executed after removing
+ *   redirect buckets.
  */
-Bucket.prototype.uploadDirectory = function (directoryPath, callback) {  
-  var readDirectory = _.partial(fs.readdir, directoryPath);
-  var uploadContent = _.partial(this.uploadContent);
+Bucket.prototype.removeRedirects = function (callback) {
+  var hosts;
 
-  async.waterfall([readDirectory, function (files, callback) {
-    files = _.map(files, function(file) {
-      return path.join(directoryPath, file);
+  try {
+    hosts = this._redirectHosts();
+  } catch (err) {
+    return callback(err);
+  }
+
+  async.eachSeries(hosts, _.bind(function (host, callback) {
+    this.s3.deleteBucket({ Bucket: host }, function (err) {
+      return err && err.statusCode == 404
+        ? callback()
+        : callback(err);
     });
+  }, this), callback);
+};
+
+/**
+ * Bucket name, region and website endpoint of the site and, with
+ * `options.domain`, of its redirect buckets along with the DNS
+ * records to create. Emits a `warning` for alias records whose
+ * hosted zone id is not known.
+ *
+ * @public
+ */
+Bucket.prototype.endpoints = function () {
+  var bucketRegion = this.region;
+  var zone = this.zone;
+  var endpoints = {
+    bucket: this.bucketName,
+    region: bucketRegion,
+    url: this._websiteUrl()
+  };
+
+  if (!this.options.domain) {
+    return endpoints;
+  }
+
+  var hosts = this._redirectHosts();
+
+  endpoints.redirects = _.map(hosts, function (host) {
+    return { bucket: host, url: 'http://' + domain.endpoint(host, bucketRegion) };
+  });
+
+  endpoints.dns = _.map([this.bucketName].concat(hosts), function (host) {
+    var record = domain.record(host, bucketRegion, zone);
+
+    if (record.alias && !record.hostedZoneId) {
+      this.emit('warning', {
+        message: 'No Route 53 hosted zone id is known for region "' + bucketRegion
+          + '"; look it up to create the alias record of ' + host
+      });
+    }
 
-    async.each(files, uploadContent, callback);
-  }], callback);
+    return record;
+  }, this);
+
+  return endpoints;
 };
 
+
+/* -----------------------------------------------------------------------------
+ * cdn
+ * ---------------------------------------------------------------------------*/
+
 /**
- * Upload a file to s3 bucket.
+ * Invalidate the CloudFront distribution of `options.cdn` for
+ * every key uploaded or removed since the last invalidation
+ * (everything above `options.cdn.maxPaths` paths). With
+ * `options.cdn.wait`, calls back once the invalidation completed.
+ * Does nothing without a cdn or changes.
  *
  * @public
  *
- * @param {string} filePath - Absolute path of file to upload.
- * @param {function} callback - Function executed after uploding
- *   file.
+ * @param {function} callback - Function executed with the
+ *   invalidation (if any).
  */
-Bucket.prototype.uploadFile = function (filePath, callback) {
-  var fileKey = filePath.replace(this.options.srcPath, '').substr(1);
+Bucket.prototype.invalidate = function (callback) {
+  var options;
 
-  fs.readFile(filePath, _.bind(function (err, fileBuffer) {
-    var params = this._params({
-      Key: fileKey,
-      Body: fileBuffer,
-      ContentType: mime.lookup(filePath)
+  try {
+    options = cdn.options(this.options.cdn);
+  } catch (err) {
+    return callback(err);
+  }
+
+  var keys = _.reject(this.changedKeys, manifest.isReserved);
+  this.changedKeys = [];
+
+  if (!options || !keys.length) {
+    return callback();
+  }
+
+  var paths = cdn.paths(keys, options, this._indexDocument());
+
+  this.cloudfront.createInvalidation(cdn.params(options, paths), _.bind(function (err, res) {
+    if (err) {
+      return callback(err);
+    }
+
+    var invalidation = res['Invalidation'];
+
+    this.emit('cdn:invalidated', {
+      distributionId: options.distributionId,
+      id: invalidation.Id,
+      paths: paths
     });
 
-    // Remove all browser caching on specified
-    // resources
-    if (_.contains(this.options.noCache, fileKey)) {
-      _.extend(params, {
-        CacheControl: 'no-cache, no-store, must-revalidate',
-        Expires: (new Date()).toISOString()
-      });
+    if (!options.wait) {
+      return callback(null, invalidation);
     }
 
-    this.s3.putObject(params, callback);
+    this.cloudfront.waitFor('invalidationCompleted', {
+      DistributionId: options.distributionId,
+      Id: invalidation.Id
+    }, function (err, res) {
+      return err
+        ? callback(err)
+        : callback(null, res['Invalidation']);
+    });
   }, this));
 };
 
+
+/* -----------------------------------------------------------------------------
+ * verify
+ * ---------------------------------------------------------------------------*/
+
 /**
- * Wrapper that checks if path represents a file or a
- * directory, and calls an upload method accordingly.
+ * Request the index and `options.verify.paths` from the website
+ * endpoint and compare status, headers and body to the local
+ * files they should serve. Mismatching paths are requested again
+ * for a while to allow for eventual consistency. Fails with a
+ * per-path report (`err.report`) if any path still mismatches.
+ * Does nothing without `options.verify` or srcPath.
  *
  * @public
  *
- * @param {string} path - Absolute path of content on file system.
- * @param {function} callback - Function passed as callback to
- *   corresponding upload method.
+ * @param {function} callback - Function executed with the report
+ *   (path, url, status, ok, problems for each path).
  */
-Bucket.prototype.uploadContent = function (path, callback) {
-  fs.stat(path, _.bind(function (err, stats) {
+Bucket.prototype.verify = function (callback) {
+  var options;
+
+  try {
+    options = verify.options(this.options.verify);
+  } catch (err) {
+    return callback(err);
+  }
+
+  if (!options || !this.options.srcPath) {
+    return callback();
+  }
+
+  async.mapLimit(options.paths, this._concurrency(), _.bind(function (urlPath, callback) {
+    this.verifyPath(urlPath, options, callback);
+  }, this), _.bind(function (err, report) {
     if (err) {
       return callback(err);
     }
 
-    return stats.isDirectory()
-      ? this.uploadDirectory(path, callback)
-      : this.uploadFile(path, callback);
+    this.emit('site:verified', { report: report });
+
+    var failed = _.reject(report, function (result) {
+      return result.ok;
+    });
+
+    if (!failed.length) {
+      return callback(null, report);
+    }
+
+    var lines = _.map(failed, function (result) {
+      return '  ' + result.path + ': ' + result.problems.join(', ');
+    });
+
+    err = new Error('Verification failed for ' + failed.length + ' path(s):\n' + lines.join('\n'));
+    err.report = report;
+    callback(err);
+  }, this));
+};
+
+/**
+ * Request a path from the website endpoint until it matches the
+ * local file it should serve or retries run out.
+ *
+ * @public
+ *
+ * @param {string} urlPath - Absolute url path.
+ * @param {object} options - Normalized verify options.
+ * @param {function} callback - Function executed with the result
+ *   (path, url, status, ok, problems).
+ */
+Bucket.prototype.verifyPath = function (urlPath, options, callback) {
+  var target = this._websiteUrl() + urlPath;
+  var result = { path: urlPath, url: target };
+
+  this._servedParams(urlPath, _.bind(function (err, params) {
+    if (err) {
+      return callback(null, _.extend(result, { ok: false, problems: [err.message] }));
+    }
+
+    var attempt = 0;
+
+    async.doWhilst(function (callback) {
+      setTimeout(function () {
+        verify.request(target, options.timeout, function (err, res) {
+          var problems = err
+            ? ['request failed: ' + err.message]
+            : verify.compare(params, res);
+
+          _.extend(result, {
+            status: res ? res.status : null,
+            ok: !problems.length,
+            problems: problems
+          });
+
+          callback();
+        });
+      }, attempt ? options.delay : 0);
+    }, function () {
+      return !result.ok && attempt++ < options.retries;
+    }, function () {
+      callback(null, result);
+    });
   }, this));
 };
 
 
 /* -----------------------------------------------------------------------------
- * utils
+ * versioning & lifecycle
  * ---------------------------------------------------------------------------*/
 
 /**
- * Create bucket name by concatenating specified
- * options (name, env, prefix).
+ * Bring bucket policy (see `applyPolicy`), versioning, lifecycle,
+ * cors, logging and domain redirect buckets in line with options.
+ * Versioning and lifecycle are left as they are when their option
+ * is not set, while cors and logging configurations are removed.
  *
- * @private
+ * @public
  *
- * @parma {object} options - Deploy options.
+ * @param {function} callback - Function executed after reconciling
+ *   bucket.
  */
-Bucket.prototype._createBucketName = function (options) {
-  var parts = [options.name];
+Bucket.prototype.reconcile = function (callback) {
+  async.series([
+    this.applyPolicy,
+    this.applyVersioning,
+    this.applyLifecycle,
+    this.abortStaleUploads,
+    this.applyCors,
+    this.applyLogging,
+    this.createRedirects
+  ], function (err) {
+    callback(err);
+  });
+};
 
-  if (options.env) {
-    parts.unshift(options.env);
+/**
+ * Enable versioning when `options.versioning` is true. When it is
+ * false, versioning is suspended if it was enabled (s3 buckets
+ * can never return to unversioned).
+ *
+ * @public
+ *
+ * @param {function} callback - Function executed after applying
+ *   versioning.
+ */
+Bucket.prototype.applyVersioning = function (callback) {
+  var versioning = this.options.versioning;
+
+  if (versioning === undefined) {
+    return callback();
   }
 
-  if (options.prefix) {
-    parts.unshift(options.prefix);
+  var put = _.bind(function (Status) {
+    this.s3.putBucketVersioning(this._params({
+      VersioningConfiguration: { Status: Status }
+    }), _.bind(function (err) {
+      if (!err) {
+        this.emit('versioning:configured', { bucket: this.bucketName, status: Status });
+      }
+
+      callback(err);
+    }, this));
+  }, this);
+
+  if (versioning) {
+    return put('Enabled');
   }
 
-  return parts.join('-');
+  this.s3.getBucketVersioning(this._params(), function (err, res) {
+    if (err) {
+      return callback(err);
+    }
+
+    return res['Status'] === 'Enabled'
+      ? put('Suspended')
+      : callback();
+  });
+};
+
+/**
+ * Apply lifecycle rules created from `options.lifecycle`. The
+ * lifecycle configuration is removed when the option is false
+ * or holds no rules.
+ *
+ * @public
+ *
+ * @param {function} callback - Function executed after applying
+ *   lifecycle.
+ */
+Bucket.prototype.applyLifecycle = function (callback) {
+  var options;
+
+  try {
+    options = this._lifecycleOptions();
+  } catch (err) {
+    return callback(err);
+  }
+
+  if (options === null) {
+    return callback();
+  }
+
+  var Rules = options ? lifecycle.rules(options) : [];
+
+  var done = _.bind(function (err) {
+    if (!err) {
+      this.emit('lifecycle:configured', { bucket: this.bucketName, rules: Rules });
+    }
+
+    callback(err);
+  }, this);
+
+  return Rules.length
+    ? this.s3.putBucketLifecycle(this._params({ LifecycleConfiguration: { Rules: Rules } }), done)
+    : this.s3.deleteBucketLifecycle(this._params(), done);
+};
+
+/**
+ * Abort multipart uploads started more than
+ * `options.lifecycle.abortIncompleteUploads` days ago, so their
+ * parts stop being stored.
+ *
+ * @public
+ *
+ * @param {function} callback - Function executed after aborting
+ *   uploads.
+ */
+Bucket.prototype.abortStaleUploads = function (callback) {
+  var options;
+
+  try {
+    options = this._lifecycleOptions();
+  } catch (err) {
+    return callback(err);
+  }
+
+  if (!options || !options.abortIncompleteUploads) {
+    return callback();
+  }
+
+  var now = Date.now();
+  var uploads = [];
+  var isTruncated = true;
+  var markers = {};
+
+  async.whilst(function () {
+    return isTruncated;
+  }, _.bind(function (callback) {
+    this.s3.listMultipartUploads(this._params(markers), function (err, res) {
+      if (err) {
+        return callback(err);
+      }
+
+      uploads = uploads.concat(res['Uploads'] || []);
+      isTruncated = res['IsTruncated'];
+      markers = { KeyMarker: res['NextKeyMarker'], UploadIdMarker: res['NextUploadIdMarker'] };
+      callback();
+    });
+  }, this), _.bind(function (err) {
+    if (err) {
+      return callback(err);
+    }
+
+    var stale = _.filter(uploads, function (upload) {
+      return lifecycle.isStale(upload, options.abortIncompleteUploads, now);
+    });
+
+    async.eachLimit(stale, this._concurrency(), _.bind(function (upload, callback) {
+      this.s3.abortMultipartUpload(this._params({
+        Key: upload.Key,
+        UploadId: upload.UploadId
+      }), callback);
+    }, this), callback);
+  }, this));
+};
+
+/**
+ * Apply CORS rules created from `options.cors`. Without the
+ * option, any CORS configuration left on the bucket is removed.
+ *
+ * @public
+ *
+ * @param {function} callback - Function executed after applying
+ *   cors.
+ */
+Bucket.prototype.applyCors = function (callback) {
+  var options;
+
+  try {
+    options = this._corsOptions();
+  } catch (err) {
+    return callback(err);
+  }
+
+  var CORSRules = options ? cors.rules(options) : [];
+
+  var done = _.bind(function (err) {
+    if (!err) {
+      this.emit('cors:configured', { bucket: this.bucketName, rules: CORSRules });
+    }
+
+    callback(err);
+  }, this);
+
+  if (CORSRules.length) {
+    return this.s3.putBucketCors(this._params({
+      CORSConfiguration: { CORSRules: CORSRules }
+    }), done);
+  }
+
+  if (this.createdBucket) {
+    return callback();
+  }
+
+  this.s3.getBucketCors(this._params(), _.bind(function (err) {
+    if (err && err.code === 'NoSuchCORSConfiguration') {
+      return callback();
+    }
+
+    return err
+      ? callback(err)
+      : this.s3.deleteBucketCors(this._params(), done);
+  }, this));
+};
+
+/**
+ * Deliver access logs to the bucket and prefix of
+ * `options.logging`. Without the option, logging is disabled if
+ * it was enabled.
+ *
+ * @public
+ *
+ * @param {function} callback - Function executed after applying
+ *   logging.
+ */
+Bucket.prototype.applyLogging = function (callback) {
+  var options;
+
+  try {
+    options = this._loggingOptions();
+  } catch (err) {
+    return callback(err);
+  }
+
+  var put = _.bind(function () {
+    this.s3.putBucketLogging(this._params({
+      BucketLoggingStatus: logging.status(options)
+    }), _.bind(function (err) {
+      if (!err) {
+        this.emit('logging:configured', { bucket: this.bucketName, target: options });
+      }
+
+      callback(err);
+    }, this));
+  }, this);
+
+  if (options) {
+    return put();
+  }
+
+  if (this.createdBucket) {
+    return callback();
+  }
+
+  this.s3.getBucketLogging(this._params(), function (err, res) {
+    if (err) {
+      return callback(err);
+    }
+
+    return res['LoggingEnabled']
+      ? put()
+      : callback();
+  });
+};
+
+/**
+ * List every object version and delete marker in bucket.
+ *
+ * @public
+ *
+ * @param {function} callback - Function executed with versions
+ *   (Key and VersionId).
+ */
+Bucket.prototype.listVersions = function (callback) {
+  var versions = [];
+  var isTruncated = true;
+  var markers = {};
+
+  async.whilst(function () {
+    return isTruncated;
+  }, _.bind(function (callback) {
+    this.s3.listObjectVersions(this._params(markers), function (err, res) {
+      if (err) {
+        return callback(err);
+      }
+
+      _.each((res['Versions'] || []).concat(res['DeleteMarkers'] || []), function (version) {
+        versions.push(_.pick(version, 'Key', 'VersionId'));
+      });
+
+      isTruncated = res['IsTruncated'];
+      markers = { KeyMarker: res['NextKeyMarker'], VersionIdMarker: res['NextVersionIdMarker'] };
+      callback();
+    });
+  }, this), function (err) {
+    return err
+      ? callback(err)
+      : callback(null, versions);
+  });
+};
+
+/**
+ * Remove every object version and delete marker in bucket.
+ *
+ * @public
+ *
+ * @param {function} callback - Function executed after removing
+ *   versions.
+ */
+Bucket.prototype.removeVersions = function (callback) {
+  async.waterfall([
+    this.listVersions,
+    this.removeContents
+  ], callback);
+};
+
+
+/* -----------------------------------------------------------------------------
+ * sync
+ * ---------------------------------------------------------------------------*/
+
+/**
+ * Sync a local folder with a bucket in s3. Only new or
+ * changed files are uploaded and files which no longer
+ * exist locally are removed. The bucket, website config
+ * and policy are left in place.
+ *
+ * @public
+ *
+ * @param {function} callback - Function executed with the site
+ *   endpoints after syncing bucket.
+ */
+Bucket.prototype.sync = function (callback) {
+  if (this.options.dryRun) {
+    return this.plan('sync', callback);
+  }
+
+  async.series([
+    this.ensure,
+    this.syncContents,
+    async.apply(this.writeManifest, 'sync', []),
+    this.invalidate,
+    this.verify
+  ], _.bind(function (err) {
+    return err
+      ? callback(err)
+      : callback(null, this.endpoints());
+  }, this));
+};
+
+/**
+ * Create bucket only if it does not already exist. Existing
+ * buckets have their configuration reconciled.
+ *
+ * @public
+ *
+ * @param {function} callback - Function executed after verifying
+ *   or creating bucket.
+ */
+Bucket.prototype.ensure = function (callback) {
+  this.verifyExistence(_.bind(function (err) {
+    if (err === 'Does not exist') {
+      return this.create(callback);
+    }
+
+    return err
+      ? callback(err)
+      : this.reconcile(callback);
+  }, this));
+};
+
+/**
+ * Upload new or changed files in srcPath and remove bucket
+ * contents that no longer exist locally. Contents are taken from
+ * the last manifest if there is one, otherwise from a listing.
+ *
+ * @public
+ *
+ * @param {function} callback - Function executed after syncing
+ *   contents.
+ */
+Bucket.prototype.syncContents = function (callback) {
+  async.waterfall([
+    _.bind(function (callback) {
+      async.parallel([
+        async.apply(this.listFiles, this.options.srcPath),
+        this._syncedContents,
+        this.readRedirects
+      ], callback);
+    }, this),
+    _.bind(function (results, callback) {
+      var redirectKeys = _.pluck(results[2], 'key');
+      var contents = _.reject(results[1].contents, function (content) {
+        return _.contains(redirectKeys, content.Key)
+          || manifest.isReserved(content.Key);
+      });
+
+      this.diffContents(results[0], contents, function (err, diff) {
+        callback(err, diff, results[1].objects);
+      });
+    }, this),
+    _.bind(function (diff, objects, callback) {
+      var unchanged = _.difference(diff.files, diff.upload);
+
+      this._staleHeaders(unchanged, diff.contents, objects, function (err, updates) {
+        callback(err, diff, objects, updates);
+      });
+    }, this),
+    _.bind(function (diff, objects, updates, callback) {
+      var remote = _.indexBy(diff.contents, 'Key');
+      var updated = _.pluck(updates, 'filePath');
+      var batches;
+
+      try {
+        batches = this._uploadBatches(diff.upload);
+      } catch (err) {
+        return callback(err);
+      }
+
+      _.each(_.difference(diff.files, diff.upload, updated), function (filePath) {
+        var key = this._fileKey(filePath);
+
+        this.manifestObjects[key] = objects[key] || manifest.content(remote[key]);
+        this.totals.skipped++;
+        this.emit('file:skipped', {
+          key: this._fileKey(filePath),
+          filePath: filePath,
+          totals: this.totals
+        });
+      }, this);
+
+      // removals come last so old pages never reference deleted assets
+      async.series([
+        async.apply(async.eachSeries, batches, this.uploadFiles),
+        async.apply(this.updateHeaders, updates),
+        this.uploadRedirects,
+        async.apply(this.removeContents, diff.remove)
+      ], callback);
+    }, this)
+  ], function (err) {
+    callback(err);
+  });
+};
+
+/**
+ * Replace the headers of objects whose body is unchanged (after
+ * header rules changed) by copying each object onto itself.
+ *
+ * @public
+ *
+ * @param {array} updates - Objects to update, with their `key`,
+ *   `size` and new header `params`.
+ * @param {function} callback - Function executed after updating
+ *   headers.
+ */
+Bucket.prototype.updateHeaders = function (updates, callback) {
+  async.eachLimit(updates, this._concurrency(), _.bind(function (update, callback) {
+    var params = _.extend(this._params({
+      Key: update.key,
+      CopySource: encodeURIComponent(this.bucketName + '/' + update.key).replace(/%2F/g, '/'),
+      MetadataDirective: 'REPLACE'
+    }), update.params);
+
+    retry.run(this.options, async.apply(_.bind(this.s3.copyObject, this.s3), params), _.bind(function (err, res) {
+      if (err) {
+        return callback(err);
+      }
+
+      this.manifestObjects[update.key] = manifest.object(_.extend({
+        ContentLength: update.size
+      }, update.params), res['CopyObjectResult'].ETag);
+      this.changedKeys.push(update.key);
+
+      this.totals.files++;
+      this.emit('object:copied', {
+        key: update.key,
+        from: this.bucketName,
+        bytes: update.size,
+        totals: this.totals
+      });
+
+      callback();
+    }, this));
+  }, this), callback);
+};
+
+/**
+ * Compare local files to bucket contents by size and md5/ETag.
+ *
+ * @public
+ *
+ * @param {array} filePaths - Absolute paths of local files.
+ * @param {array} contents - Bucket contents as returned by listContents.
+ * @param {function} callback - Function executed with an object
+ *   containing `files` (all file paths), `contents` (compared
+ *   bucket contents), `upload` (changed file paths) and `remove`
+ *   (bucket contents).
+ */
+Bucket.prototype.diffContents = function (filePaths, contents, callback) {
+  var remote = _.indexBy(contents || [], 'Key');
+  var keys = _.map(filePaths, this._fileKey);
+
+  var remove = _.reject(contents || [], function (content) {
+    return _.contains(keys, content.Key);
+  });
+
+  async.mapLimit(filePaths, this._concurrency(), _.bind(function (filePath, callback) {
+    this._hasChanged(filePath, remote[this._fileKey(filePath)], callback);
+  }, this), function (err, changed) {
+    if (err) {
+      return callback(err);
+    }
+
+    callback(null, {
+      files: filePaths,
+      contents: contents || [],
+      upload: _.filter(filePaths, function (filePath, i) {
+        return changed[i];
+      }),
+      remove: remove
+    });
+  });
+};
+
+/**
+ * Recursively list all files within a directory.
+ *
+ * @public
+ *
+ * @param {string} directoryPath - Absolute path of directory to list.
+ * @param {function} callback - Function executed with absolute
+ *   paths of all files.
+ */
+Bucket.prototype.listFiles = function (directoryPath, callback) {
+  var readDirectory = _.partial(fs.readdir, directoryPath);
+
+  async.waterfall([readDirectory, _.bind(function (files, callback) {
+    async.concat(files, _.bind(function (file, callback) {
+      var filePath = path.join(directoryPath, file);
+
+      fs.stat(filePath, _.bind(function (err, stats) {
+        if (err) {
+          return callback(err);
+        }
+
+        if (stats.isDirectory()) {
+          return this.listFiles(filePath, callback);
+        }
+
+        return this._isIgnored(filePath)
+          ? callback(null, [])
+          : callback(null, [filePath]);
+      }, this));
+    }, this), callback);
+  }, this)], callback);
+};
+
+
+/* -----------------------------------------------------------------------------
+ * releases
+ * ---------------------------------------------------------------------------*/
+
+/**
+ * Upload a local folder as a new release. The release is only
+ * made live once every file has been uploaded. Old releases
+ * beyond `options.releases.keep` are then removed.
+ *
+ * @public
+ *
+ * @param {function} callback - Function executed with the
+ *   endpoints (as deploy) and the id of the new release.
+ */
+Bucket.prototype.release = function (callback) {
+  if (this.options.dryRun) {
+    return this.plan('release', callback);
+  }
+
+  var releaseId = this._createReleaseId();
+
+  async.series([
+    this.ensure,
+    async.apply(this.uploadRelease, releaseId),
+    async.apply(this.activateRelease, releaseId),
+    async.apply(this.writeManifest, 'release', []),
+    this.invalidate,
+    this.verify,
+    this.pruneReleases
+  ], _.bind(function (err) {
+    return err
+      ? callback(err)
+      : callback(null, _.extend(this.endpoints(), { release: releaseId }));
+  }, this));
+};
+
+/**
+ * Upload srcPath under the prefix of the specified release. Fails
+ * before uploading anything if the release could not go live
+ * (its routing rules would exceed the website limit).
+ *
+ * @public
+ *
+ * @param {string} releaseId - Id of release to upload.
+ * @param {function} callback - Function executed after uploading
+ *   release.
+ */
+Bucket.prototype.uploadRelease = function (releaseId, callback) {
+  var releasePrefix = RELEASES_PREFIX + releaseId + '/';
+
+  async.parallel([
+    async.apply(this.listFiles, this.options.srcPath),
+    this.readRedirects
+  ], _.bind(function (err, results) {
+    if (err) {
+      return callback(err);
+    }
+
+    var keys = _.map(results[0], this._fileKey).concat(_.pluck(results[1], 'key'));
+
+    try {
+      this._websiteConfiguration(releaseId, keys);
+    } catch (err) {
+      return callback(new Error('Release ' + releaseId + ' cannot go live: ' + err.message));
+    }
+
+    this.uploadFiles(results[0], releasePrefix, _.bind(function (err) {
+      return err
+        ? callback(err)
+        : this.uploadRedirects(releasePrefix, callback);
+    }, this));
+  }, this));
+};
+
+/**
+ * Make the specified release live by routing website requests
+ * for its keys to its prefix.
+ *
+ * @public
+ *
+ * @param {string} releaseId - Id of release to make live.
+ * @param {function} callback - Function executed after updating
+ *   website configuration.
+ */
+Bucket.prototype.activateRelease = function (releaseId, callback) {
+  var releasePrefix = RELEASES_PREFIX + releaseId + '/';
+
+  this._listObjects({ Prefix: releasePrefix }, _.bind(function (err, contents) {
+    if (err) {
+      return callback(err);
+    }
+
+    this.releaseId = releaseId;
+    this.releaseKeys = _.map(_.pluck(contents, 'Key'), function (key) {
+      return key.substr(releasePrefix.length);
+    });
+
+    this.makeWebsite(callback);
+  }, this));
+};
+
+/**
+ * Make a previous release live. If no releaseId is passed, the
+ * release prior to the current live release is used.
+ *
+ * @public
+ *
+ * @param {string} releaseId - Id of release to make live (optional).
+ * @param {function} callback - Function executed with the id of
+ *   the release made live.
+ */
+Bucket.prototype.rollback = function (releaseId, callback) {
+  if (_.isFunction(releaseId)) {
+    callback = releaseId;
+    releaseId = null;
+  }
+
+  async.parallel([
+    this.listReleases,
+    this.getCurrentRelease
+  ], _.bind(function (err, results) {
+    if (err) {
+      return callback(err);
+    }
+
+    var releaseIds = _.pluck(results[0], 'id');
+    var currentId = results[1];
+
+    if (!releaseId) {
+      releaseId = releaseIds[_.indexOf(releaseIds, currentId) - 1];
+    }
+
+    if (!releaseId) {
+      return callback(new Error('No previous release to rollback to'));
+    }
+
+    if (!_.contains(releaseIds, releaseId)) {
+      return callback(new Error('Release "' + releaseId + '" does not exist'));
+    }
+
+    // paths served by either release change
+    var contents = _.flatten(_.pluck(_.filter(results[0], function (release) {
+      return release.id === releaseId || release.id === currentId;
+    }), 'contents'));
+
+    async.series([
+      async.apply(this.activateRelease, releaseId),
+      _.bind(function (callback) {
+        this.changedKeys = this.changedKeys.concat(_.pluck(contents, 'Key'));
+        this.invalidate(callback);
+      }, this)
+    ], function (err) {
+      return err
+        ? callback(err)
+        : callback(null, releaseId);
+    });
+  }, this));
+};
+
+/**
+ * List all releases in bucket, oldest first.
+ *
+ * @public
+ *
+ * @param {function} callback - Function executed with releases. Each
+ *   release has an `id` and its `contents`.
+ */
+Bucket.prototype.listReleases = function (callback) {
+  this._listObjects({ Prefix: RELEASES_PREFIX }, function (err, contents) {
+    if (err) {
+      return callback(err);
+    }
+
+    var grouped = _.groupBy(contents, function (content) {
+      return content.Key.substr(RELEASES_PREFIX.length).split('/')[0];
+    });
+
+    var releases = _.map(grouped, function (contents, id) {
+      return { id: id, contents: contents };
+    });
+
+    callback(null, _.sortBy(releases, 'id'));
+  });
+};
+
+/**
+ * Retrieve the id of the live release from the bucket website
+ * configuration.
+ *
+ * @public
+ *
+ * @param {function} callback - Function executed with the id of
+ *   the live release (null if none).
+ */
+Bucket.prototype.getCurrentRelease = function (callback) {
+  this.s3.getBucketWebsite(this._params(), function (err, res) {
+    if (err) {
+      return callback(err);
+    }
+
+    var rule = _.find(res['RoutingRules'] || [], function (rule) {
+      var prefix = rule.Redirect.ReplaceKeyPrefixWith;
+      return prefix && prefix.indexOf(RELEASES_PREFIX) === 0;
+    });
+
+    var releaseId = rule
+      ? rule.Redirect.ReplaceKeyPrefixWith.split('/')[1]
+      : null;
+
+    callback(null, releaseId);
+  });
+};
+
+/**
+ * Remove the oldest releases beyond `options.releases.keep`. The
+ * live release is never removed.
+ *
+ * @public
+ *
+ * @param {function} callback - Function executed after removing
+ *   releases.
+ */
+Bucket.prototype.pruneReleases = function (callback) {
+  var keep = this.options.releases.keep || RELEASES_KEEP;
+
+  async.parallel([
+    this.listReleases,
+    this.getCurrentRelease
+  ], _.bind(function (err, results) {
+    if (err) {
+      return callback(err);
+    }
+
+    var currentId = results[1];
+    var expired = _.reject(_.initial(results[0], keep), function (release) {
+      return release.id === currentId;
+    });
+
+    this.removeContents(_.flatten(_.pluck(expired, 'contents')), callback);
+  }, this));
+};
+
+
+/* -----------------------------------------------------------------------------
+ * promote
+ * ---------------------------------------------------------------------------*/
+
+/**
+ * Copy every object of the bucket of environment `from` into
+ * this bucket (created if needed) with server-side copies, so
+ * headers and metadata are preserved. Objects missing from the
+ * source are removed. No srcPath is needed.
+ *
+ * @public
+ *
+ * @param {string} from - Environment to promote.
+ * @param {function} callback - Function executed with the site
+ *   endpoints after promoting.
+ */
+Bucket.prototype.promote = function (from, callback) {
+  var source;
+
+  if (!from) {
+    return callback(new Error('Missing environment to promote from'));
+  }
+
+  try {
+    source = this._envBucket(from);
+  } catch (err) {
+    return callback(err);
+  }
+
+  if (source.bucketName === this.bucketName) {
+    return callback(new Error('Cannot promote bucket "' + this.bucketName + '" to itself'));
+  }
+
+  if (this.options.releases) {
+    return callback(new Error('Promoting release buckets is not supported'));
+  }
+
+  async.series([
+    function (callback) {
+      source.verifyExistence(function (err) {
+        return err === 'Does not exist'
+          ? callback(new Error('Bucket "' + source.bucketName + '" does not exist'))
+          : callback(err);
+      });
+    },
+    this.ensure,
+    async.apply(this.promoteContents, source),
+    async.apply(this.writeManifest, 'promote', []),
+    this.invalidate
+  ], _.bind(function (err) {
+    return err
+      ? callback(err)
+      : callback(null, this.endpoints());
+  }, this));
+};
+
+/**
+ * Copy the contents of source into bucket and remove contents
+ * source does not have. As on sync, fingerprinted assets are
+ * copied before pages and removals come last. Deploy records
+ * (`.s3-site/`) are neither copied nor removed.
+ *
+ * @public
+ *
+ * @param {Bucket} source - Bucket to copy from.
+ * @param {function} callback - Function executed after copying
+ *   contents.
+ */
+Bucket.prototype.promoteContents = function (source, callback) {
+  async.parallel([
+    source.listContents,
+    source.readManifest,
+    this.listContents
+  ], _.bind(function (err, results) {
+    if (err) {
+      return callback(err);
+    }
+
+    var isReserved = function (content) {
+      return manifest.isReserved(content.Key);
+    };
+
+    var contents = _.reject(results[0], isReserved);
+    var entries = (results[1] || {}).objects || {};
+    var keys = _.pluck(contents, 'Key');
+
+    var remove = _.reject(_.reject(results[2], isReserved), function (content) {
+      return _.contains(keys, content.Key);
+    });
+
+    var batches;
+
+    try {
+      batches = this._uploadBatches(contents, function (content) {
+        return content.Key;
+      });
+    } catch (err) {
+      return callback(err);
+    }
+
+    var copyContents = _.bind(function (contents, callback) {
+      async.eachLimit(contents, this._concurrency(), _.bind(function (content, callback) {
+        var copy = async.apply(this.copyContent, source, content, entries[content.Key]);
+        retry.run(this.options, copy, callback);
+      }, this), callback);
+    }, this);
+
+    this.totals.queued += contents.length;
+
+    async.series([
+      async.apply(async.eachSeries, batches, copyContents),
+      async.apply(this.removeContents, remove)
+    ], function (err) {
+      callback(err);
+    });
+  }, this));
+};
+
+/**
+ * Copy an object of source to the same key in bucket. Its source
+ * manifest entry (or, without one, its headers) provides the
+ * website redirect, which s3 never copies, and this deploy's
+ * manifest entry.
+ *
+ * @public
+ *
+ * @param {Bucket} source - Bucket to copy from.
+ * @param {object} content - Source listObjects content.
+ * @param {object} entry - Source manifest entry (optional).
+ * @param {function} callback - Function executed after copying
+ *   object.
+ */
+Bucket.prototype.copyContent = function (source, content, entry, callback) {
+  var key = content.Key;
+  var head = _.bind(function (callback) {
+    return entry
+      ? callback(null, {})
+      : this.s3.headObject(source._params({ Key: key }), callback);
+  }, this);
+
+  head(_.bind(function (err, headers) {
+    if (err) {
+      return callback(err);
+    }
+
+    var redirect = entry ? entry.redirect : headers['WebsiteRedirectLocation'];
+    var params = this._params({
+      Key: key,
+      CopySource: encodeURIComponent(source.bucketName + '/' + key).replace(/%2F/g, '/'),
+      MetadataDirective: 'COPY'
+    });
+
+    if (redirect) {
+      params.WebsiteRedirectLocation = redirect;
+    }
+
+    this.s3.copyObject(params, _.bind(function (err, res) {
+      if (err) {
+        return callback(err);
+      }
+
+      this.manifestObjects[key] = entry
+        || manifest.object(headers, res['CopyObjectResult'].ETag);
+      this.changedKeys.push(key);
+
+      this.totals.files++;
+      this.totals.bytes += content.Size;
+      this.emit('object:copied', {
+        key: key,
+        from: source.bucketName,
+        bytes: content.Size,
+        totals: this.totals
+      });
+
+      callback();
+    }, this));
+  }, this));
+};
+
+
+/* -----------------------------------------------------------------------------
+ * pull
+ * ---------------------------------------------------------------------------*/
+
+/**
+ * Download every object to the path `uploadFile` would upload it
+ * from, relative to destPath. Local files which would upload
+ * unchanged are skipped. Redirect objects are listed in a
+ * `_redirects` file instead, and with `options.sidecar` object
+ * headers are listed in a `_headers` file, so destPath can be
+ * deployed again as is. Deploy records (`.s3-site/`) are not
+ * downloaded.
+ *
+ * @public
+ *
+ * @param {string} destPath - Absolute path of directory to write to.
+ * @param {object} options - Pull options (sidecar) (optional).
+ * @param {function} callback - Function executed with the
+ *   `downloaded` and `skipped` keys.
+ */
+Bucket.prototype.pull = function (destPath, options, callback) {
+  if (_.isFunction(options)) {
+    callback = options;
+    options = {};
+  }
+
+  var downloaded = [];
+  var skipped = [];
+  var objects = {};
+  var redirects = [];
+
+  var pullContent = _.bind(function (content, callback) {
+    this.pullContent(destPath, content, options, function (err, result) {
+      if (err) {
+        return callback(err);
+      }
+
+      (result.downloaded ? downloaded : skipped).push(content.Key);
+
+      if (result.params.WebsiteRedirectLocation) {
+        redirects.push({ key: content.Key, location: result.params.WebsiteRedirectLocation });
+      } else {
+        objects[content.Key] = result.params;
+      }
+
+      callback();
+    });
+  }, this);
+
+  this.listContents(_.bind(function (err, contents) {
+    if (err) {
+      return callback(err);
+    }
+
+    contents = _.reject(contents, function (content) {
+      return manifest.isReserved(content.Key) || content.Key.slice(-1) === '/';
+    });
+
+    this.totals.queued += contents.length;
+
+    async.eachLimit(contents, this._concurrency(), _.bind(function (content, callback) {
+      retry.run(this.options, async.apply(pullContent, content), callback);
+    }, this), _.bind(function (err) {
+      if (err) {
+        return callback(err);
+      }
+
+      this._writeSidecars(destPath, redirects, options.sidecar ? objects : null, function (err) {
+        return err
+          ? callback(err)
+          : callback(null, { downloaded: downloaded.sort(), skipped: skipped.sort() });
+      });
+    }, this));
+  }, this));
+};
+
+/**
+ * Download an object unless the local file would upload
+ * unchanged. Compressed objects are written decompressed.
+ * Redirect objects are not written. The object headers are only
+ * requested for skipped files with `options.sidecar`.
+ *
+ * @public
+ *
+ * @param {string} destPath - Absolute path of directory to write to.
+ * @param {object} content - listObjects content.
+ * @param {object} options - Pull options (sidecar).
+ * @param {function} callback - Function executed with
+ *   `downloaded` (boolean) and the object `params` (headers).
+ */
+Bucket.prototype.pullContent = function (destPath, content, options, callback) {
+  var key = content.Key;
+  var filePath = path.resolve(destPath, key.split('/').join(path.sep));
+
+  if (filePath.indexOf(path.resolve(destPath) + path.sep) !== 0) {
+    return callback(new Error('Key "' + key + '" resolves outside of ' + destPath));
+  }
+
+  this._hasChanged(filePath, content, _.bind(function (err, changed) {
+    if (err && err.code !== 'ENOENT') {
+      return callback(err);
+    }
+
+    if (!err && !changed) {
+      this.totals.skipped++;
+      this.emit('file:skipped', { key: key, filePath: filePath, totals: this.totals });
+
+      return options.sidecar
+        ? this.s3.headObject(this._params({ Key: key }), function (err, res) {
+          callback(err, { downloaded: false, params: res });
+        })
+        : callback(null, { downloaded: false, params: {} });
+    }
+
+    this.s3.getObject(this._params({ Key: key }), _.bind(function (err, res) {
+      if (err) {
+        return callback(err);
+      }
+
+      var params = _.omit(res, 'Body');
+      if (params.WebsiteRedirectLocation) {
+        return callback(null, { downloaded: true, params: params });
+      }
+
+      var write = _.bind(function (err, body) {
+        if (err) {
+          return callback(err);
+        }
+
+        this._writeFile(filePath, body, _.bind(function (err) {
+          if (err) {
+            return callback(err);
+          }
+
+          this.totals.files++;
+          this.totals.bytes += body.length;
+          this.emit('file:downloaded', {
+            key: key,
+            filePath: filePath,
+            bytes: body.length,
+            totals: this.totals
+          });
+
+          callback(null, { downloaded: true, params: params });
+        }, this));
+      }, this);
+
+      compress.decode(params.ContentEncoding, res['Body'], write);
+    }, this));
+  }, this));
+};
+
+
+/* -----------------------------------------------------------------------------
+ * manifest
+ * ---------------------------------------------------------------------------*/
+
+/**
+ * Write a manifest of every object shipped by the current deploy
+ * (hash, size and headers) along with deploy metadata (timestamp,
+ * git commit of srcPath, tool version and `options.manifest.labels`).
+ * It is stored as `.s3-site/manifest.json` and in the history,
+ * which is pruned to `options.manifest.keep` entries. Does nothing
+ * when `options.manifest` is false.
+ *
+ * @public
+ *
+ * @param {string} mode - deploy, sync or release.
+ * @param {array} previous - Past manifests to restore into the
+ *   history (used when the bucket was recreated).
+ * @param {function} callback - Function executed with the manifest.
+ */
+Bucket.prototype.writeManifest = function (mode, previous, callback) {
+  var options;
+
+  try {
+    options = this._manifestOptions();
+  } catch (err) {
+    return callback(err);
+  }
+
+  if (!options) {
+    return callback();
+  }
+
+  var result = manifest.create(this.bucketName, mode, options);
+  result.objects = this.manifestObjects;
+  this.manifestObjects = {};
+
+  if (mode === 'release') {
+    result.release = this.releaseId;
+  }
+
+  var putManifest = _.bind(function (key, data, callback) {
+    var params = this._params({
+      Key: key,
+      Body: JSON.stringify(data, null, 2),
+      ContentType: 'application/json',
+      CacheControl: 'no-cache'
+    });
+
+    retry.run(this.options, async.apply(_.bind(this.s3.putObject, this.s3), params), callback);
+  }, this);
+
+  async.series([
+    _.bind(function (callback) {
+      manifest.commit(this.options.srcPath, function (err, commit) {
+        result.commit = commit;
+        callback();
+      });
+    }, this),
+    async.apply(putManifest, manifest.KEY, result),
+    _.bind(function (callback) {
+      async.eachLimit(previous.concat(result), this._concurrency(), function (past, callback) {
+        putManifest(manifest.HISTORY_PREFIX + past.id + '.json', past, callback);
+      }, callback);
+    }, this),
+    async.apply(this._pruneHistory, options.keep)
+  ], function (err) {
+    return err
+      ? callback(err)
+      : callback(null, result);
+  });
+};
+
+/**
+ * Read the manifest of the live deploy.
+ *
+ * @public
+ *
+ * @param {function} callback - Function executed with the manifest
+ *   (null if the bucket or manifest does not exist).
+ */
+Bucket.prototype.readManifest = function (callback) {
+  this._readJson(manifest.KEY, callback);
+};
+
+/**
+ * List past manifests, newest first (none unless
+ * `options.manifest` is set).
+ *
+ * @public
+ *
+ * @param {function} callback - Function executed with manifests
+ *   (empty if the bucket does not exist).
+ */
+Bucket.prototype.history = function (callback) {
+  var options;
+
+  try {
+    options = this._manifestOptions();
+  } catch (err) {
+    return callback(err);
+  }
+
+  if (!options) {
+    return callback(null, []);
+  }
+
+  this._listObjects({ Prefix: manifest.HISTORY_PREFIX }, _.bind(function (err, contents) {
+    if (err) {
+      return err.code === 'NoSuchBucket'
+        ? callback(null, [])
+        : callback(err);
+    }
+
+    var keys = _.pluck(contents, 'Key').sort().reverse();
+
+    async.mapLimit(keys, this._concurrency(), this._readJson, function (err, manifests) {
+      return err
+        ? callback(err)
+        : callback(null, _.compact(manifests));
+    });
+  }, this));
+};
+
+
+/* -----------------------------------------------------------------------------
+ * plan
+ * ---------------------------------------------------------------------------*/
+
+/**
+ * Compute what deploy would change without modifying anything.
+ * Besides bucket existence and contents, only the configuration
+ * reconcile would remove and the existence of redirect buckets
+ * are read from s3.
+ *
+ * @public
+ *
+ * @param {string} mode - deploy, sync or release. Defaults to the
+ *   mode deploy would use (optional).
+ * @param {function} callback - Function executed with plan.
+ */
+Bucket.prototype.plan = function (mode, callback) {
+  if (_.isFunction(mode)) {
+    callback = mode;
+    mode = this.options.releases ? 'release'
+      : this.options.sync ? 'sync'
+      : 'deploy';
+  }
+
+  var result = plan.create(this.bucketName, mode);
+  var keyPrefix = '';
+
+  if (mode === 'release') {
+    this.releaseId = this._createReleaseId();
+    keyPrefix = RELEASES_PREFIX + this.releaseId + '/';
+  }
+
+  async.waterfall([
+    _.bind(function (callback) {
+      this.verifyExistence(function (err) {
+        return err && err !== 'Does not exist'
+          ? callback(err)
+          : callback(null, !err);
+      });
+    }, this),
+    _.bind(function (exists, callback) {
+      async.parallel([
+        async.apply(this.listFiles, this.options.srcPath),
+        exists ? this.listContents : function (callback) {
+          callback(null, []);
+        },
+        this.readRedirects
+      ], function (err, results) {
+        callback(err, exists, results);
+      });
+    }, this),
+    _.bind(function (exists, results, callback) {
+      var redirectKeys = _.pluck(results[2], 'key');
+      var contents = _.reject(results[1], function (content) {
+        return _.contains(redirectKeys, content.Key)
+          || manifest.isReserved(content.Key);
+      });
+
+      if (!exists || mode === 'deploy') {
+        result.buckets.create.push(this.bucketName);
+      }
+
+      if (exists && mode === 'deploy') {
+        result.buckets.remove.push(this.bucketName);
+      }
+
+      // invalid policy or website options fail the plan as they
+      // would fail the deploy
+      if (mode === 'release') {
+        this.releaseKeys = _.map(results[0], this._fileKey).concat(redirectKeys);
+      }
+
+      try {
+        if (!exists || mode === 'deploy' || this._manifestOptions()) {
+          result.policy = this._policy();
+        }
+
+        if (!exists || mode !== 'sync') {
+          result.website = this._websiteConfiguration();
+        }
+      } catch (err) {
+        return callback(err);
+      }
+
+      // release keys are always new
+      if (mode === 'release') {
+        contents = [];
+      }
+
+      this.diffContents(results[0], contents, function (err, diff) {
+        callback(err, exists, results, contents, diff);
+      });
+    }, this),
+    _.bind(function (exists, results, contents, diff, callback) {
+      var remoteKeys = _.pluck(results[1], 'Key');
+      var filePaths = mode === 'sync' ? diff.upload : results[0];
+
+      result.objects.remove = _.map(diff.remove, function (content) {
+        return { key: content.Key, size: content.Size };
+      });
+
+      _.each(results[2], function (redirect) {
+        var key = keyPrefix + redirect.key;
+        var action = _.contains(remoteKeys, key) ? 'overwrite' : 'upload';
+        result.objects[action].push({ key: key, redirect: redirect.location });
+      });
+
+      async.mapSeries(filePaths, _.bind(function (filePath, callback) {
+        var key = keyPrefix + this._fileKey(filePath);
+        this._fileParams(filePath, key, callback);
+      }, this), function (err, params) {
+        _.each(params, function (params) {
+          var action = _.contains(remoteKeys, params.Key) ? 'overwrite' : 'upload';
+          result.objects[action].push(plan.object(params));
+        });
+
+        callback(err, exists);
+      });
+    }, this),
+    _.bind(function (exists, callback) {
+      // deploy recreates the bucket, leaving nothing to remove
+      async.series([
+        async.apply(this._planReconcile, result, exists && mode !== 'deploy'),
+        async.apply(this._planRedirects, result, mode)
+      ], function (err) {
+        callback(err);
+      });
+    }, this)
+  ], function (err) {
+    return err
+      ? callback(err)
+      : callback(null, result);
+  });
+};
+
+/**
+ * Compute what destroy would remove without modifying anything.
+ *
+ * @public
+ *
+ * @param {function} callback - Function executed with plan.
+ */
+Bucket.prototype.planDestroy = function (callback) {
+  var result = plan.create(this.bucketName, 'destroy');
+
+  async.waterfall([
+    this.verifyExistence,
+    this.listContents
+  ], _.bind(function (err, contents) {
+    if (err && err !== 'Does not exist') {
+      return callback(err);
+    }
+
+    if (!err) {
+      result.buckets.remove.push(this.bucketName);
+      result.objects.remove = _.map(contents, function (content) {
+        return { key: content.Key, size: content.Size };
+      });
+    }
+
+    this._planRedirects(result, 'destroy', function (err) {
+      return err
+        ? callback(err)
+        : callback(null, result);
+    });
+  }, this));
+};
+
+/**
+ * Add the versioning, lifecycle, cors and logging changes reconcile
+ * would make to plan. Configuration to remove is only looked up
+ * on buckets which keep it.
+ *
+ * @private
+ *
+ * @param {object} result - Plan to add changes to.
+ * @param {boolean} existing - Whether the bucket keeps its current
+ *   configuration (it exists and is not recreated).
+ * @param {function} callback - Function executed after planning.
+ */
+Bucket.prototype._planReconcile = function (result, existing, callback) {
+  var options;
+
+  try {
+    options = {
+      lifecycle: this._lifecycleOptions(),
+      cors: this._corsOptions(),
+      logging: this._loggingOptions()
+    };
+  } catch (err) {
+    return callback(err);
+  }
+
+  var versioning = this.options.versioning;
+
+  if (versioning) {
+    result.versioning = 'Enabled';
+  }
+
+  if (options.lifecycle !== null) {
+    result.lifecycle = options.lifecycle ? lifecycle.rules(options.lifecycle) : [];
+  }
+
+  if (options.cors) {
+    result.cors = cors.rules(options.cors);
+  }
+
+  if (options.logging) {
+    result.logging = logging.status(options.logging);
+  }
+
+  if (!existing) {
+    return callback();
+  }
+
+  async.series([
+    _.bind(function (callback) {
+      if (versioning !== false) {
+        return callback();
+      }
+
+      this.s3.getBucketVersioning(this._params(), function (err, res) {
+        if (!err && res['Status'] === 'Enabled') {
+          result.versioning = 'Suspended';
+        }
+
+        callback(err);
+      });
+    }, this),
+    _.bind(function (callback) {
+      if (options.cors) {
+        return callback();
+      }
+
+      this.s3.getBucketCors(this._params(), function (err) {
+        if (err && err.code === 'NoSuchCORSConfiguration') {
+          return callback();
+        }
+
+        if (!err) {
+          result.cors = [];
+        }
+
+        callback(err);
+      });
+    }, this),
+    _.bind(function (callback) {
+      if (options.logging) {
+        return callback();
+      }
+
+      this.s3.getBucketLogging(this._params(), function (err, res) {
+        if (!err && res['LoggingEnabled']) {
+          result.logging = logging.status(null);
+        }
+
+        callback(err);
+      });
+    }, this)
+  ], function (err) {
+    callback(err);
+  });
+};
+
+/**
+ * Add the redirect buckets of `options.domain` that mode would
+ * create, configure or remove to plan.
+ *
+ * @private
+ *
+ * @param {object} result - Plan to add changes to.
+ * @param {string} mode - deploy, sync, release or destroy.
+ * @param {function} callback - Function executed after planning.
+ */
+Bucket.prototype._planRedirects = function (result, mode, callback) {
+  var hosts, RedirectAllRequestsTo;
+
+  try {
+    hosts = this._redirectHosts();
+    RedirectAllRequestsTo = mode === 'destroy' ? null : this._redirectTarget();
+  } catch (err) {
+    return callback(err);
+  }
+
+  async.eachSeries(hosts, _.bind(function (host, callback) {
+    this.s3.headBucket({ Bucket: host }, function (err) {
+      if (err && err.statusCode != 404) {
+        return callback(err);
+      }
+
+      var exists = !err;
+
+      if (exists && (mode === 'deploy' || mode === 'destroy')) {
+        result.buckets.remove.push(host);
+      }
+
+      if (mode !== 'destroy') {
+        if (!exists || mode === 'deploy') {
+          result.buckets.create.push(host);
+        }
+
+        result.redirects.push({ bucket: host, to: RedirectAllRequestsTo });
+      }
+
+      callback();
+    });
+  }, this), callback);
+};
+
+
+/* -----------------------------------------------------------------------------
+ * info
+ * ---------------------------------------------------------------------------*/
+
+/**
+ * Retrieve bucket name, website url (plus redirect buckets and DNS
+ * records with `options.domain`), existence and (if the bucket
+ * exists) the number and total size of its contents.
+ *
+ * @public
+ *
+ * @param {function} callback - Function executed with info.
+ */
+Bucket.prototype.info = function (callback) {
+  var info;
+
+  try {
+    info = this.endpoints();
+  } catch (err) {
+    return callback(err);
+  }
+
+  this.verifyExistence(_.bind(function (err) {
+    if (err && err !== 'Does not exist') {
+      return callback(err);
+    }
+
+    info.exists = !err;
+    if (!info.exists) {
+      return callback(null, info);
+    }
+
+    this.listContents(function (err, contents) {
+      if (err) {
+        return callback(err);
+      }
+
+      info.objects = contents.length;
+      info.size = _.reduce(contents, function (size, content) {
+        return size + (content.Size || 0);
+      }, 0);
+
+      callback(null, info);
+    });
+  }, this));
+};
+
+
+/* -----------------------------------------------------------------------------
+ * upload
+ * ---------------------------------------------------------------------------*/
+
+/**
+ * Upload src directory (and any redirects listed in its
+ * `_redirects` file) to bucket.
+ *
+ * @public
+ *
+ * @param {function} callback - Function executed after uploading
+ *  directory.
+ */
+Bucket.prototype.upload = function (callback) {
+  async.series([
+    async.apply(this.uploadDirectory, this.options.srcPath),
+    this.uploadRedirects
+  ], callback);
+};
+
+/**
+ * Upload a directory to s3. The whole tree is listed before
+ * any file is uploaded.
+ *
+ * @public
+ *
+ * @param {string} directoryPath - Absolute path of directory to upload.
+ * @param {function} callback - Function executed after uploading
+ *  directory.
+ */
+Bucket.prototype.uploadDirectory = function (directoryPath, callback) {
+  async.waterfall([
+    async.apply(this.listFiles, directoryPath),
+    this.uploadFiles
+  ], callback);
+};
+
+/**
+ * Upload files through a queue limited to `options.concurrency`
+ * uploads at once. Failed uploads are retried with backoff. Once
+ * the queue is drained, a single error lists every file that
+ * still failed.
+ *
+ * @public
+ *
+ * @param {array} filePaths - Absolute paths of files to upload.
+ * @param {string} keyPrefix - Prefix prepended to each key (optional).
+ * @param {function} callback - Function executed after uploading
+ *  files.
+ */
+Bucket.prototype.uploadFiles = function (filePaths, keyPrefix, callback) {
+  if (_.isFunction(keyPrefix)) {
+    callback = keyPrefix;
+    keyPrefix = '';
+  }
+
+  if (!filePaths.length) {
+    return callback();
+  }
+
+  var failures = [];
+  this.totals.queued += filePaths.length;
+
+  var queue = async.queue(_.bind(function (filePath, callback) {
+    var key = keyPrefix + this._fileKey(filePath);
+    var upload = async.apply(this.uploadFile, filePath, key);
+
+    retry.run(this.options, upload, _.bind(function (err) {
+      if (err) {
+        failures.push({ key: key, filePath: filePath, error: err });
+        this._emitError(err);
+      }
+
+      callback();
+    }, this));
+  }, this), this._concurrency());
+
+  queue.drain = function () {
+    if (!failures.length) {
+      return callback();
+    }
+
+    var lines = _.map(failures, function (failure) {
+      return '  ' + failure.key + ': ' + (failure.error.message || failure.error);
+    });
+
+    var err = new Error('Failed to upload ' + failures.length + ' file(s):\n' + lines.join('\n'));
+    err.errors = failures;
+    callback(err);
+  };
+
+  queue.push(filePaths);
+};
+
+/**
+ * Upload a file to s3 bucket. Files above the multipart
+ * threshold are streamed in parts.
+ *
+ * @public
+ *
+ * @param {string} filePath - Absolute path of file to upload.
+ * @param {string} key - Key to upload file to. Defaults to path
+ *   relative to srcPath (optional).
+ * @param {function} callback - Function executed after uploding
+ *   file.
+ */
+Bucket.prototype.uploadFile = function (filePath, key, callback) {
+  if (_.isFunction(key)) {
+    callback = key;
+    key = this._fileKey(filePath);
+  }
+
+  this._fileParams(filePath, key, _.bind(function (err, params) {
+    if (err) {
+      return callback(err);
+    }
+
+    var bytes = params.Body ? params.Body.length : params.ContentLength;
+    var start = Date.now();
+
+    this.emit('file:start', { key: key, filePath: filePath, bytes: bytes });
+
+    var done = _.bind(function (err, res) {
+      if (!err) {
+        this.manifestObjects[key] = manifest.object(params, params.Body ? null : res['ETag']);
+        this.changedKeys.push(key);
+        this.totals.files++;
+        this.totals.bytes += bytes;
+        this.emit('file:uploaded', {
+          key: key,
+          filePath: filePath,
+          bytes: bytes,
+          duration: Date.now() - start,
+          totals: this.totals
+        });
+      }
+
+      callback(err, res);
+    }, this);
+
+    return params.Body
+      ? this.s3.putObject(params, done)
+      : this.uploadMultipart(filePath, params, done);
+  }, this));
+};
+
+/**
+ * Upload a large file in parts streamed from disk. Each part
+ * is retried on failure. If the upload still fails, it is
+ * aborted so no incomplete parts are left behind.
+ *
+ * @public
+ *
+ * @param {string} filePath - Absolute path of file to upload.
+ * @param {object} params - Object params (Key, headers and
+ *   ContentLength) as created by `_fileParams`.
+ * @param {function} callback - Function executed after uploading
+ *   file.
+ */
+Bucket.prototype.uploadMultipart = function (filePath, params, callback) {
+  var options = this._multipartOptions();
+  var parts = multipart.parts(options, params.ContentLength);
+  var uploadId;
+
+  var uploadPart = _.bind(function (part, callback) {
+    var upload = _.bind(function (callback) {
+      this.s3.uploadPart(this._params({
+        Key: params.Key,
+        UploadId: uploadId,
+        PartNumber: part.PartNumber,
+        ContentLength: part.end - part.start + 1,
+        Body: fs.createReadStream(filePath, { start: part.start, end: part.end })
+      }), callback);
+    }, this);
+
+    retry.run(this.options, upload, function (err, res) {
+      return err
+        ? callback(err)
+        : callback(null, { ETag: res['ETag'], PartNumber: part.PartNumber });
+    });
+  }, this);
+
+  async.waterfall([
+    _.bind(function (callback) {
+      this.s3.createMultipartUpload(_.omit(params, 'ContentLength'), callback);
+    }, this),
+    function (res, callback) {
+      uploadId = res['UploadId'];
+      async.mapLimit(parts, options.concurrency, uploadPart, callback);
+    },
+    _.bind(function (uploadedParts, callback) {
+      this.s3.completeMultipartUpload(this._params({
+        Key: params.Key,
+        UploadId: uploadId,
+        MultipartUpload: { Parts: uploadedParts }
+      }), callback);
+    }, this)
+  ], _.bind(function (err, res) {
+    if (!err || !uploadId) {
+      return callback(err, res);
+    }
+
+    this.s3.abortMultipartUpload(this._params({
+      Key: params.Key,
+      UploadId: uploadId
+    }), function () {
+      callback(err);
+    });
+  }, this));
+};
+
+/**
+ * Wrapper that checks if path represents a file or a
+ * directory, and calls an upload method accordingly.
+ *
+ * @public
+ *
+ * @param {string} path - Absolute path of content on file system.
+ * @param {function} callback - Function passed as callback to
+ *   corresponding upload method.
+ */
+Bucket.prototype.uploadContent = function (path, callback) {
+  fs.stat(path, _.bind(function (err, stats) {
+    if (err) {
+      return callback(err);
+    }
+
+    if (stats.isDirectory()) {
+      return this.uploadDirectory(path, callback);
+    }
+
+    return this._isIgnored(path)
+      ? callback()
+      : this.uploadFile(path, callback);
+  }, this));
+};
+
+/**
+ * Read redirects listed in the `_redirects` file of srcPath.
+ * Each line maps a path to a redirect location:
+ *
+ *   /old-page.html /new-page.html
+ *   /blog https://blog.example.com
+ *
+ * @public
+ *
+ * @param {function} callback - Function executed with redirects
+ *   (empty if no `_redirects` file exists).
+ */
+Bucket.prototype.readRedirects = function (callback) {
+  var redirectsPath = path.join(this.options.srcPath, REDIRECTS_FILE);
+  var index = this._indexDocument();
+
+  fs.readFile(redirectsPath, 'utf8', function (err, contents) {
+    if (err) {
+      return err.code === 'ENOENT'
+        ? callback(null, [])
+        : callback(err);
+    }
+
+    var redirects;
+
+    try {
+      redirects = website.parseRedirects(contents, index);
+    } catch (e) {
+      return callback(e);
+    }
+
+    callback(null, redirects);
+  });
+};
+
+/**
+ * Read header rules listed in the `_headers` file of srcPath.
+ * Each path is followed by indented headers:
+ *
+ *   /assets/*
+ *     Cache-Control: public, max-age=31536000
+ *
+ * Emits a `warning` for each header s3 cannot serve.
+ *
+ * @public
+ *
+ * @param {function} callback - Function executed with header
+ *   rules (empty if no `_headers` file exists).
+ */
+Bucket.prototype.readHeaders = function (callback) {
+  var headersPath = path.join(this.options.srcPath, HEADERS_FILE);
+
+  fs.readFile(headersPath, 'utf8', _.bind(function (err, contents) {
+    if (err) {
+      return err.code === 'ENOENT'
+        ? callback(null, [])
+        : callback(err);
+    }
+
+    var parsed;
+
+    try {
+      parsed = headers.parseFile(contents, this._indexDocument());
+    } catch (e) {
+      return callback(new Error(HEADERS_FILE + ': ' + e.message));
+    }
+
+    _.each(parsed.warnings, function (warning) {
+      this.emit('warning', { file: HEADERS_FILE, message: HEADERS_FILE + ' ' + warning });
+    }, this);
+
+    callback(null, parsed.rules);
+  }, this));
+};
+
+/**
+ * Upload an empty object with `WebsiteRedirectLocation` for
+ * each redirect in the `_redirects` file.
+ *
+ * @public
+ *
+ * @param {string} keyPrefix - Prefix prepended to each key (optional).
+ * @param {function} callback - Function executed after uploading
+ *   redirects.
+ */
+Bucket.prototype.uploadRedirects = function (keyPrefix, callback) {
+  if (_.isFunction(keyPrefix)) {
+    callback = keyPrefix;
+    keyPrefix = '';
+  }
+
+  this.readRedirects(_.bind(function (err, redirects) {
+    if (err) {
+      return callback(err);
+    }
+
+    async.eachLimit(redirects, this._concurrency(), _.bind(function (redirect, callback) {
+      var params = this._params({
+        Key: keyPrefix + redirect.key,
+        Body: '',
+        WebsiteRedirectLocation: redirect.location
+      });
+
+      retry.run(this.options, async.apply(_.bind(this.s3.putObject, this.s3), params), _.bind(function (err) {
+        if (!err) {
+          this.manifestObjects[params.Key] = manifest.object(params);
+          this.changedKeys.push(params.Key);
+        }
+
+        callback(err);
+      }, this));
+    }, this), callback);
+  }, this));
+};
+
+
+/* -----------------------------------------------------------------------------
+ * utils
+ * ---------------------------------------------------------------------------*/
+
+/**
+ * Create bucket name by concatenating specified
+ * options (name, env, prefix). With `options.domain` the
+ * bucket is named after the domain, which must be DNS-compliant
+ * (throws otherwise).
+ *
+ * @private
+ *
+ * @parma {object} options - Deploy options.
+ */
+Bucket.prototype._createBucketName = function (options) {
+  if (options.domain) {
+    domain.validate(options.domain);
+    return options.domain;
+  }
+
+  var parts = [options.name];
+
+  if (options.env) {
+    parts.unshift(options.env);
+  }
+
+  if (options.prefix) {
+    parts.unshift(options.prefix);
+  }
+
+  return parts.join('-');
+};
+
+/**
+ * Create bucket key from absolute file path by removing
+ * srcPath.
+ *
+ * @private
+ *
+ * @param {string} filePath - Absolute path of file.
+ */
+Bucket.prototype._fileKey = function (filePath) {
+  return filePath.replace(this.options.srcPath, '').substr(1);
+};
+
+/**
+ * Check if a local file differs from its bucket counterpart. The
+ * compressed body is compared for compressed files and the
+ * multipart ETag for files above the multipart threshold.
+ *
+ * @private
+ *
+ * @param {string} filePath - Absolute path of file.
+ * @param {object} content - Matching bucket content (if any).
+ * @param {function} callback - Function executed with boolean.
+ */
+Bucket.prototype._hasChanged = function (filePath, content, callback) {
+  if (!content) {
+    return callback(null, true);
+  }
+
+  var options;
+
+  try {
+    options = this._multipartOptions();
+  } catch (err) {
+    return callback(err);
+  }
+
+  fs.stat(filePath, _.bind(function (err, stats) {
+    if (err) {
+      return callback(err);
+    }
+
+    // compare to the ETag of a multipart upload
+    if (multipart.matches(options, stats.size)) {
+      return stats.size !== content.Size
+        ? callback(null, true)
+        : multipart.etag(options, filePath, stats.size, function (err, etag) {
+          callback(err, etag !== content.ETag);
+        });
+    }
+
+    this._readBody(filePath, function (err, body) {
+      if (err) {
+        return callback(err);
+      }
+
+      if (body.length !== content.Size) {
+        return callback(null, true);
+      }
+
+      var md5 = crypto.createHash('md5').update(body).digest('hex');
+      callback(null, '"' + md5 + '"' !== content.ETag);
+    });
+  }, this));
+};
+
+/**
+ * Find unchanged files whose object headers no longer match the
+ * header rules. Current headers are taken from the manifest entry
+ * if it records them, otherwise from headObject.
+ *
+ * @private
+ *
+ * @param {array} filePaths - Absolute paths of unchanged files.
+ * @param {array} contents - Bucket contents compared to.
+ * @param {object} objects - Manifest entries by key.
+ * @param {function} callback - Function executed with updates
+ *   (`key`, `filePath`, `size` and new header `params`).
+ */
+Bucket.prototype._staleHeaders = function (filePaths, contents, objects, callback) {
+  if (!filePaths.length) {
+    return callback(null, []);
+  }
+
+  var remote = _.indexBy(contents, 'Key');
+
+  this.readHeaders(_.bind(function (err, fileRules) {
+    var headerRules;
+
+    if (err) {
+      return callback(err);
+    }
+
+    try {
+      headerRules = headers.rules(this.options, fileRules);
+    } catch (e) {
+      return callback(e);
+    }
+
+    async.mapLimit(filePaths, this._concurrency(), _.bind(function (filePath, callback) {
+      var key = this._fileKey(filePath);
+      var entry = objects[key];
+      var expected = _.extend({
+        ContentType: mime.lookup(filePath)
+      }, headers.params(headerRules, key));
+
+      var head = _.bind(function (callback) {
+        return entry && entry.contentType
+          ? callback(null, manifest.params(entry))
+          : this.s3.headObject(this._params({ Key: key }), callback);
+      }, this);
+
+      head(function (err, current) {
+        if (err || headers.matches(expected, current)) {
+          return callback(err, null);
+        }
+
+        // the body (and so its encoding) stays the same
+        if (current.ContentEncoding) {
+          expected.ContentEncoding = current.ContentEncoding;
+        }
+
+        callback(null, { key: key, filePath: filePath, size: remote[key].Size, params: expected });
+      });
+    }, this), function (err, updates) {
+      return err
+        ? callback(err)
+        : callback(null, _.compact(updates));
+    });
+  }, this));
+};
+
+/**
+ * Split files into batches uploaded one after another. With
+ * `options.fingerprint`, fingerprinted assets are uploaded
+ * before the pages referencing them. Throws if the fingerprint
+ * options are invalid.
+ *
+ * @private
+ *
+ * @param {array} filePaths - Absolute paths of files to upload
+ *   (or other items, see toKey).
+ * @param {function} toKey - Function returning the key of an
+ *   item, for items other than file paths (optional).
+ */
+Bucket.prototype._uploadBatches = function (filePaths, toKey) {
+  var fingerprint = headers.fingerprint(this.options);
+
+  if (!fingerprint) {
+    return [filePaths];
+  }
+
+  toKey = toKey || this._fileKey;
+
+  return _.partition(filePaths, function (filePath) {
+    return fingerprint.pattern.test(toKey(filePath));
+  });
+};
+
+/**
+ * Create putObject params (body, content type, encoding and
+ * headers) for a file. Files above the multipart threshold
+ * are not read; their params hold a ContentLength instead of
+ * a Body.
+ *
+ * @private
+ *
+ * @param {string} filePath - Absolute path of file.
+ * @param {string} key - Key to upload file to.
+ * @param {function} callback - Function executed with params.
+ */
+Bucket.prototype._fileParams = function (filePath, key, callback) {
+  var fileKey = this._fileKey(filePath);
+
+  async.parallel([
+    this.readHeaders,
+    async.apply(fs.stat, filePath)
+  ], _.bind(function (err, results) {
+    if (err) {
+      return callback(err);
+    }
+
+    var headerRules, options;
+
+    try {
+      headerRules = headers.rules(this.options, results[0]);
+      options = this._multipartOptions();
+    } catch (e) {
+      return callback(e);
+    }
+
+    // Apply headers of first matching rule (including
+    // noCache shorthand and `_headers`)
+    var params = _.extend(this._params({
+      Key: key,
+      ContentType: mime.lookup(filePath)
+    }), headers.params(headerRules, fileKey));
+
+    if (multipart.matches(options, results[1].size)) {
+      return callback(null, _.extend(params, { ContentLength: results[1].size }));
+    }
+
+    this._readBody(filePath, function (err, body, encoding) {
+      if (err) {
+        return callback(err);
+      }
+
+      if (encoding) {
+        params.ContentEncoding = encoding;
+      }
+
+      callback(null, _.extend(params, { Body: body }));
+    });
+  }, this));
+};
+
+/**
+ * Read file contents, compressing them if they match
+ * `options.compress`.
+ *
+ * @private
+ *
+ * @param {string} filePath - Absolute path of file.
+ * @param {function} callback - Function executed with body and
+ *   Content-Encoding (undefined if not compressed).
+ */
+Bucket.prototype._readBody = function (filePath, callback) {
+  var compressOptions;
+
+  try {
+    compressOptions = compress.options(this.options.compress);
+  } catch (err) {
+    return callback(err);
+  }
+
+  fs.readFile(filePath, function (err, fileBuffer) {
+    return err
+      ? callback(err)
+      : compress.body(compressOptions, filePath, fileBuffer, callback);
+  });
+};
+
+/**
+ * Check if file should never be uploaded (`_redirects` and
+ * `_headers`).
+ *
+ * @private
+ *
+ * @param {string} filePath - Absolute path of file.
+ */
+Bucket.prototype._isIgnored = function (filePath) {
+  return _.contains([REDIRECTS_FILE, HEADERS_FILE], this._fileKey(filePath));
+};
+
+/**
+ * Retrieve the contents sync compares against: the objects of the
+ * last manifest if there is one (and it was not written by a
+ * release, whose keys are prefixed), otherwise a full listing.
+ *
+ * @private
+ *
+ * @param {function} callback - Function executed with `contents`
+ *   and the manifest `objects` (empty when listed).
+ */
+Bucket.prototype._syncedContents = function (callback) {
+  var useManifest;
+
+  try {
+    useManifest = !!this._manifestOptions();
+  } catch (err) {
+    return callback(err);
+  }
+
+  var list = _.bind(function () {
+    this.listContents(function (err, contents) {
+      return err
+        ? callback(err)
+        : callback(null, { contents: contents, objects: {} });
+    });
+  }, this);
+
+  if (!useManifest) {
+    return list();
+  }
+
+  this.readManifest(function (err, last) {
+    if (err) {
+      return callback(err);
+    }
+
+    return last && last.mode !== 'release'
+      ? callback(null, { contents: manifest.contents(last), objects: last.objects })
+      : list();
+  });
+};
+
+/**
+ * Read and parse a json object.
+ *
+ * @private
+ *
+ * @param {string} key - Key of object to read.
+ * @param {function} callback - Function executed with parsed object
+ *   (null if the bucket or object does not exist).
+ */
+Bucket.prototype._readJson = function (key, callback) {
+  this.s3.getObject(this._params({ Key: key }), function (err, res) {
+    if (err) {
+      return _.contains(['NoSuchKey', 'NoSuchBucket'], err.code)
+        ? callback(null, null)
+        : callback(err);
+    }
+
+    var parsed;
+
+    try {
+      parsed = JSON.parse(res['Body'].toString());
+    } catch (e) {
+      return callback(new Error('Invalid json in ' + key + ': ' + e.message));
+    }
+
+    callback(null, parsed);
+  });
+};
+
+/**
+ * Remove the oldest history manifests beyond keep.
+ *
+ * @private
+ *
+ * @param {number} keep - Number of manifests to keep.
+ * @param {function} callback - Function executed after removing
+ *   manifests.
+ */
+Bucket.prototype._pruneHistory = function (keep, callback) {
+  this._listObjects({ Prefix: manifest.HISTORY_PREFIX }, _.bind(function (err, contents) {
+    if (err) {
+      return callback(err);
+    }
+
+    this.removeContents(_.initial(_.sortBy(contents, 'Key'), keep), callback);
+  }, this));
+};
+
+/**
+ * Create lifecycle options from `options.lifecycle` (null when not
+ * set, false when disabled). Throws if they are invalid.
+ *
+ * @private
+ */
+Bucket.prototype._lifecycleOptions = function () {
+  return lifecycle.options(this.options.lifecycle);
+};
+
+/**
+ * Create cors rules from `options.cors` (null when not set).
+ * Throws if they are invalid.
+ *
+ * @private
+ */
+Bucket.prototype._corsOptions = function () {
+  return cors.options(this.options.cors);
+};
+
+/**
+ * Create logging options from `options.logging` (null when not
+ * set). Throws if they are invalid.
+ *
+ * @private
+ */
+Bucket.prototype._loggingOptions = function () {
+  return logging.options(this.options.logging, this.bucketName);
+};
+
+/**
+ * Create manifest options from `options.manifest` (null when
+ * disabled). Throws if they are invalid.
+ *
+ * @private
+ */
+Bucket.prototype._manifestOptions = function () {
+  return manifest.options(this.options.manifest);
+};
+
+/**
+ * Create a sortable timestamp based release id.
+ *
+ * @private
+ */
+Bucket.prototype._createReleaseId = function () {
+  return (new Date()).toISOString().replace(/[-:]|\.\d+/g, '');
+};
+
+/**
+ * Create website routing rules which redirect requests to the
+ * prefix of the specified release, one rule per top level file or
+ * directory of the release. Keys outside of those (including keys
+ * already within a release prefix) match no rule, so missing pages
+ * get the error document with a 404 rather than looping. Redirects
+ * are temporary so browsers do not cache them across releases.
+ *
+ * @private
+ *
+ * @param {string} releaseId - Id of release to route to.
+ * @param {array} keys - Keys of the release, relative to its prefix.
+ */
+Bucket.prototype._releaseRoutingRules = function (releaseId, keys) {
+  var entries = _.uniq(_.map(keys, function (key) {
+    var parts = key.split('/');
+    return parts.length > 1 ? parts[0] + '/' : parts[0];
+  })).sort();
+
+  return _.map(entries, function (entry) {
+    return {
+      Condition: {
+        KeyPrefixEquals: entry,
+        HttpErrorCodeReturnedEquals: '404'
+      },
+      Redirect: {
+        ReplaceKeyPrefixWith: RELEASES_PREFIX + releaseId + '/' + entry,
+        HttpRedirectCode: '302'
+      }
+    };
+  });
+};
+
+/**
+ * Create website configuration from `options.website`, routing
+ * requests (and the error document) to the live release if one
+ * is set. Throws if the configuration is invalid.
+ *
+ * @private
+ *
+ * @param {string} releaseId - Release to route to (optional,
+ *   defaults to the live release).
+ * @param {array} releaseKeys - Keys of the release, relative to
+ *   its prefix (optional).
+ */
+Bucket.prototype._websiteConfiguration = function (releaseId, releaseKeys) {
+  var options = _.clone(this.options.website || {});
+  var routingRules = [];
+
+  if (!releaseId) {
+    releaseId = this.releaseId;
+    releaseKeys = this.releaseKeys;
+  }
+
+  if (releaseId) {
+    routingRules = this._releaseRoutingRules(releaseId, releaseKeys);
+
+    if (options.error) {
+      options.error = RELEASES_PREFIX + releaseId + '/' + options.error;
+    }
+  }
+
+  return website.configuration(options, routingRules);
+};
+
+/**
+ * Create bucket policy from `options.policy`. With manifests
+ * enabled, deploy records are kept out of public reads. Throws if
+ * it is invalid.
+ *
+ * @private
+ */
+Bucket.prototype._policy = function () {
+  var options = this.options.policy;
+
+  if (this._manifestOptions() && !(options && options.Statement)) {
+    options = _.extend({}, options, {
+      private: [manifest.PREFIX].concat(options && options.private || [])
+    });
+  }
+
+  return policy.document(this.bucketName, options);
+};
+
+/**
+ * Wrap the storage adapter so every operation which is not a read
+ * (get, head, list) fails. Used to guarantee dry runs never modify
+ * anything. The adapter itself is left untouched as it may be
+ * shared with other buckets.
+ *
+ * @private
+ */
+Bucket.prototype._readOnly = function () {
+  var operations = this.s3.api
+    ? _.keys(this.s3.api.operations)
+    : _.functions(this.s3);
+
+  this.s3 = Object.create(this.s3);
+
+  _.each(operations, function (operation) {
+    if (READ_OPERATIONS.test(operation) || operation.charAt(0) === '_') {
+      return;
+    }
+
+    this.s3[operation] = function (params, callback) {
+      callback(new Error(operation + ' is not allowed in dry run'));
+    };
+  }, this);
+};
+
+/**
+ * Create multipart options from `options.multipart`. Throws if
+ * they are invalid.
+ *
+ * @private
+ */
+Bucket.prototype._multipartOptions = function () {
+  return multipart.options(this.options.multipart);
+};
+
+/**
+ * Number of files read or uploaded at once.
+ *
+ * @private
+ */
+Bucket.prototype._concurrency = function () {
+  return this.options.concurrency || CONCURRENCY;
+};
+
+/**
+ * Emit error, but only if something is listening. An unhandled
+ * error event would otherwise throw.
+ *
+ * @private
+ *
+ * @param {Error} err - Error to emit.
+ */
+Bucket.prototype._emitError = function (err) {
+  if (this.listeners('error').length) {
+    this.emit('error', err);
+  }
+};
+
+/**
+ * Write the `_redirects` and `_headers` files of a pulled
+ * directory. Content types matching the file extension are left
+ * out. Emits a `warning` for objects `_headers` cannot list.
+ *
+ * @private
+ *
+ * @param {string} destPath - Absolute path of pulled directory.
+ * @param {array} redirects - Redirect objects (key, location).
+ * @param {object} objects - Object headers by key, or null to
+ *   skip `_headers`.
+ * @param {function} callback - Function executed after writing.
+ */
+Bucket.prototype._writeSidecars = function (destPath, redirects, objects, callback) {
+  var files = {};
+
+  if (redirects.length) {
+    files[REDIRECTS_FILE] = website.formatRedirects(redirects);
+  }
+
+  if (objects) {
+    var formatted = headers.formatFile(_.object(_.map(objects, function (params, key) {
+      return [key, params.ContentType === mime.lookup(key) ? _.omit(params, 'ContentType') : params];
+    })));
+
+    _.each(formatted.skipped, function (key) {
+      this.emit('warning', {
+        file: HEADERS_FILE,
+        message: HEADERS_FILE + ' cannot list the headers of "' + key + '"'
+      });
+    }, this);
+
+    if (formatted.contents) {
+      files[HEADERS_FILE] = formatted.contents;
+    }
+  }
+
+  async.each(_.keys(files), _.bind(function (file, callback) {
+    this._writeFile(path.join(destPath, file), files[file], callback);
+  }, this), callback);
+};
+
+/**
+ * Write a file, creating its directory and any missing parents.
+ *
+ * @private
+ *
+ * @param {string} filePath - Absolute path of file.
+ * @param {Buffer|string} body - File contents.
+ * @param {function} callback - Function executed after writing.
+ */
+Bucket.prototype._writeFile = function (filePath, body, callback) {
+  try {
+    files.mkdirp(path.dirname(filePath));
+  } catch (err) {
+    return callback(err);
+  }
+
+  fs.writeFile(filePath, body, callback);
+};
+
+/**
+ * Create the putObject params of the local file served at a url
+ * path (falling back to the index document of a folder path
+ * without trailing slash, which s3 redirects).
+ *
+ * @private
+ *
+ * @param {string} urlPath - Absolute url path.
+ * @param {function} callback - Function executed with params.
+ */
+Bucket.prototype._servedParams = function (urlPath, callback) {
+  var index = this._indexDocument();
+  var keys = _.uniq([verify.key(urlPath, index), verify.key(urlPath + '/', index)]);
+
+  var filePath = _.find(_.map(keys, _.bind(function (key) {
+    return path.join(this.options.srcPath, key);
+  }, this)), function (filePath) {
+    return fs.existsSync(filePath) && fs.statSync(filePath).isFile();
+  });
+
+  if (!filePath) {
+    return callback(new Error('no local file for "' + keys[0] + '"'));
+  }
+
+  this._fileParams(filePath, this._fileKey(filePath), callback);
+};
+
+/**
+ * Create bucket of another environment of the same site, sharing
+ * storage. Throws if its name is invalid.
+ *
+ * @private
+ *
+ * @param {string} env - Environment name.
+ */
+Bucket.prototype._envBucket = function (env) {
+  var options = _.omit(this.options, 'domain', 'cdn', 'dryRun');
+
+  return new Bucket(_.extend(options, {
+    env: env,
+    region: this.region,
+    storage: this.s3
+  }));
+};
+
+/**
+ * Call back with an error naming the region the bucket exists in
+ * (after headBucket was redirected to it).
+ *
+ * @private
+ *
+ * @param {function} callback - Function executed with the error.
+ */
+Bucket.prototype._regionError = function (callback) {
+  this.s3.getBucketLocation(this._params(), _.bind(function (err, data) {
+    var location = err ? 'another region' : 'region "'
+      + region.fromLocation(data.LocationConstraint) + '"';
+
+    callback(new Error('Bucket "' + this.bucketName + '" already exists in '
+      + location + ', not "' + this.region + '". Set options.region to match.'));
+  }, this));
+};
+
+/**
+ * Website index document suffix.
+ *
+ * @private
+ */
+Bucket.prototype._indexDocument = function () {
+  return (this.options.website || {}).index || 'index.html';
+};
+
+/**
+ * Create website endpoint url for bucket.
+ *
+ * @private
+ */
+Bucket.prototype._websiteUrl = function () {
+  return 'http://' + domain.endpoint(this.bucketName, this.region);
+};
+
+/**
+ * Hostnames redirected to `options.domain` (none without a domain).
+ * Throws if any is invalid.
+ *
+ * @private
+ */
+Bucket.prototype._redirectHosts = function () {
+  return this.options.domain
+    ? domain.redirects(this.options.domain, this.options.redirectFrom)
+    : [];
+};
+
+/**
+ * Website redirect target of redirect buckets, sending requests
+ * to `options.domain` over `options.redirectProtocol`. Throws if
+ * the protocol is invalid.
+ *
+ * @private
+ */
+Bucket.prototype._redirectTarget = function () {
+  var protocol = this.options.redirectProtocol;
+  var RedirectAllRequestsTo = { HostName: this.options.domain };
+
+  if (protocol && !_.contains(['http', 'https'], protocol)) {
+    throw new Error('redirectProtocol must be "http" or "https"');
+  }
+
+  if (protocol) {
+    RedirectAllRequestsTo.Protocol = protocol;
+  }
+
+  return RedirectAllRequestsTo;
+};
+
+/**
+ * List objects matching params. Follows truncated responses
+ * until every key has been listed.
+ *
+ * @private
+ *
+ * @param {object} params - Additional listObjects params (Prefix).
+ * @param {function} callback - Function executed with all listed
+ *   contents.
+ */
+Bucket.prototype._listObjects = function (params, callback) {
+  var contents = [];
+  var isTruncated = true;
+  var marker;
+
+  async.whilst(function () {
+    return isTruncated;
+  }, _.bind(function (callback) {
+    var pageParams = this._params(_.extend({}, params, marker ? { Marker: marker } : {}));
+
+    this.s3.listObjects(pageParams, function (err, res) {
+      if (err) {
+        return callback(err);
+      }
+
+      contents = contents.concat(res['Contents'] || []);
+      isTruncated = res['IsTruncated'];
+      marker = res['NextMarker'] || (_.last(contents) || {}).Key;
+      callback();
+    });
+  }, this), function (err) {
+    return err
+      ? callback(err, null)
+      : callback(null, contents);
+  });
 };
 
 /**
@@ -0,0 +1,122 @@
+/*!
+ * cdn.js
+ *
+ * Copyright (c) 2014
+ */
+
+// 3rd party
+var _ = require('underscore');
+var AWS = require('aws-sdk');
+
+
+/* -----------------------------------------------------------------------------
+ * scope
+ * ---------------------------------------------------------------------------*/
+
+// Number of paths above which the whole distribution is
+// invalidated when `options.cdn.maxPaths` is not set.
+var MAX_PATHS = 100;
+
+// Path invalidating every object of a distribution.
+var ALL = '/*';
+
+// Release key prefix. Release objects are served from unprefixed
+// paths.
+var RELEASE_PREFIX = /^releases\/[^\/]+\//;
+
+
+/* -----------------------------------------------------------------------------
+ * cdn
+ * ---------------------------------------------------------------------------*/
+
+module.exports = {
+
+  /**
+   * Normalize `options.cdn`, either a distribution id or:
+   *
+   *   distributionId - CloudFront distribution serving the bucket
+   *   maxPaths       - invalidate `/*` above this many paths (100)
+   *   wait           - wait for the invalidation to complete
+   *
+   * Returns null when no cdn is set. Throws if invalid.
+   *
+   * @public
+   *
+   * @param {string|object} cdn - `options.cdn`.
+   */
+  options: function (cdn) {
+    if (!cdn) {
+      return null;
+    }
+
+    var options = _.extend({ maxPaths: MAX_PATHS, wait: false },
+      _.isString(cdn) ? { distributionId: cdn } : cdn);
+
+    if (!_.isString(options.distributionId) || !options.distributionId) {
+      throw new Error('cdn.distributionId must be a CloudFront distribution id');
+    }
+
+    if (!_.isNumber(options.maxPaths) || options.maxPaths < 1) {
+      throw new Error('cdn.maxPaths must be a positive number');
+    }
+
+    return options;
+  },
+
+  /**
+   * Create CloudFront client.
+   *
+   * @public
+   *
+   * @param {object} config - AWS service options (credentials).
+   */
+  client: function (config) {
+    return new AWS.CloudFront(_.omit(config || {}, 'region'));
+  },
+
+  /**
+   * Create invalidation paths for changed keys. Index documents
+   * also invalidate their directory path, and release keys their
+   * unprefixed path. Above `maxPaths` paths, everything is
+   * invalidated instead.
+   *
+   * @public
+   *
+   * @param {array} keys - Changed or deleted keys.
+   * @param {object} options - Normalized cdn options.
+   * @param {string} index - Website index document suffix.
+   */
+  paths: function (keys, options, index) {
+    var paths = _.uniq(_.flatten(_.map(keys, function (key) {
+      var path = '/' + encodeURI(key.replace(RELEASE_PREFIX, ''));
+      var suffix = '/' + index;
+
+      return path.slice(-suffix.length) === suffix
+        ? [path, path.slice(0, -index.length)]
+        : [path];
+    })));
+
+    return paths.length > options.maxPaths
+      ? [ALL]
+      : paths.sort();
+  },
+
+  /**
+   * Create createInvalidation params.
+   *
+   * @public
+   *
+   * @param {object} options - Normalized cdn options.
+   * @param {array} paths - Paths to invalidate.
+   */
+  params: function (options, paths) {
+    return {
+      DistributionId: options.distributionId,
+      InvalidationBatch: {
+        CallerReference: 's3-site-' + Date.now() + '-' + _.random(1e6),
+        Paths: { Quantity: paths.length, Items: paths }
+      }
+    };
+  }
+
+};
@@ -0,0 +1,368 @@
+/*!
+ * cli.js
+ * 
+ * Copyright (c) 2014
+ */
+
+// core
+var path = require('path');
+var fs = require('fs');
+
+// 3rd party
+var _ = require('underscore');
+var minimist = require('minimist');
+var AWS = require('aws-sdk');
+
+// lib
+var s3site = require('./s3-site');
+var plan = require('./plan');
+
+
+/* -----------------------------------------------------------------------------
+ * scope
+ * ---------------------------------------------------------------------------*/
+
+// Config files searched for (in order) when --config is not passed.
+var CONFIG_FILES = ['s3-site.json', '.s3siterc'];
+
+// Options which may be set by flag or config file.
+var OPTIONS = ['name', 'env', 'prefix', 'domain', 'zone', 'cdn', 'region', 'srcPath', 'port',
+  'from', 'to', 'dest'];
+
+// Supported subcommands and whether they require srcPath.
+var COMMANDS = {
+  deploy  : true,
+  destroy : false,
+  sync    : true,
+  promote : false,
+  pull    : false,
+  info    : false,
+  history : false,
+  serve   : true
+};
+
+var USAGE = [
+  'Usage: s3-site <command> [options]',
+  '',
+  'Commands:',
+  '  deploy    Destroy, recreate and upload bucket',
+  '  destroy   Remove bucket and all of its contents',
+  '  sync      Upload new or changed files and remove deleted files',
+  '  promote   Copy the objects of one environment to another',
+  '  pull      Download bucket contents to a local directory',
+  '  info      Print bucket name, url and contents summary',
+  '  history   List past deploys recorded in the bucket',
+  '  serve     Preview srcPath locally as s3 would serve it',
+  '',
+  'Options:',
+  '  --name      Site name',
+  '  --env       Site environment',
+  '  --prefix    Bucket name prefix',
+  '  --domain    Serve on domain (bucket named after it, www redirect)',
+  '  --zone      DNS zone apex of domain (default: domain without www.)',
+  '  --cdn       CloudFront distribution id to invalidate after uploads',
+  '  --region    AWS region',
+  '  --src       Local directory to upload (srcPath)',
+  '  --port      Port to serve on (default: 8080)',
+  '  --from      Environment to promote',
+  '  --to        Environment to promote to',
+  '  --dest      Directory to pull to',
+  '  --sidecar   Also pull object headers into dest/_headers',
+  '  --config    Path to config file (default: s3-site.json or .s3siterc)',
+  '  --profile   AWS credentials profile',
+  '  --dry-run   Print deploy/destroy/sync plan without changing anything',
+  '  --help      Print this message',
+  '',
+  'Credentials are read from the environment, the shared credentials',
+  'file or instance metadata.'
+].join('\n');
+
+
+/* -----------------------------------------------------------------------------
+ * cli
+ * ---------------------------------------------------------------------------*/
+
+module.exports = {
+
+  /**
+   * Usage message.
+   *
+   * @public
+   */
+  usage: USAGE,
+
+  /**
+   * Parse command line arguments and merge them with options
+   * read from a config file. Flags take precedence.
+   *
+   * @public
+   *
+   * @param {array} argv - Command line arguments (without node/script).
+   * @param {string} cwd - Directory to search for config files in.
+   */
+  parse: function (argv, cwd) {
+    var args = minimist(argv, {
+      string: OPTIONS.concat(['config', 'profile']),
+      boolean: ['help', 'dry-run', 'sidecar'],
+      alias: { srcPath: ['src', 'src-path'], help: 'h' }
+    });
+
+    var command = args._[0];
+    if (args.help || !command) {
+      return { command: 'help' };
+    }
+
+    if (!_.has(COMMANDS, command)) {
+      throw new Error('Unknown command "' + command + '"');
+    }
+
+    var config = this.loadConfig(args.config, cwd);
+    var options = _.extend(config, _.pick(args, OPTIONS));
+
+    if (args['dry-run']) {
+      options.dryRun = true;
+    }
+
+    if (args.sidecar) {
+      options.sidecar = true;
+    }
+
+    if (!options.name && command !== 'serve') {
+      throw new Error('Missing required option "name"');
+    }
+
+    if (COMMANDS[command] && !options.srcPath) {
+      throw new Error('Missing required option "srcPath"');
+    }
+
+    if (command === 'promote' && (!options.from || !options.to)) {
+      throw new Error('Missing required option "' + (options.from ? 'to' : 'from') + '"');
+    }
+
+    if (command === 'pull' && !options.dest) {
+      throw new Error('Missing required option "dest"');
+    }
+
+    if (options.srcPath) {
+      options.srcPath = path.resolve(cwd, options.srcPath);
+    }
+
+    if (options.dest) {
+      options.dest = path.resolve(cwd, options.dest);
+    }
+
+    if (options.port) {
+      options.port = Number(options.port);
+    }
+
+    var s3config = {};
+    if (args.profile) {
+      s3config.credentials = new AWS.SharedIniFileCredentials({
+        profile: args.profile
+      });
+    }
+
+    return {
+      command: command,
+      options: options,
+      s3config: s3config
+    };
+  },
+
+  /**
+   * Read JSON config file. If no path is specified, look for
+   * one of the default config files in cwd. A relative srcPath
+   * is resolved against the directory of the config file. Any
+   * s3site option (website, headers, ...) may be set.
+   *
+   * @public
+   *
+   * @param {string} configPath - Path to config file (optional).
+   * @param {string} cwd - Directory to search for config files in.
+   */
+  loadConfig: function (configPath, cwd) {
+    if (configPath) {
+      configPath = path.resolve(cwd, configPath);
+    } else {
+      configPath = _.find(_.map(CONFIG_FILES, function (file) {
+        return path.join(cwd, file);
+      }), fs.existsSync);
+    }
+
+    if (!configPath) {
+      return {};
+    }
+
+    var config;
+    try {
+      config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (e) {
+      throw new Error('Unable to read config "' + configPath + '": ' + e.message);
+    }
+
+    if (config.srcPath) {
+      config.srcPath = path.resolve(path.dirname(configPath), config.srcPath);
+    }
+
+    return config;
+  },
+
+  /**
+   * Execute command described by argv.
+   *
+   * @public
+   *
+   * @param {array} argv - Command line arguments (without node/script).
+   * @param {function} callback - Function executed with an error (if
+   *   any) and output to print.
+   */
+  run: function (argv, callback) {
+    var parsed;
+
+    try {
+      parsed = this.parse(argv, process.cwd());
+    } catch (e) {
+      return callback(e);
+    }
+
+    if (parsed.command === 'help') {
+      return callback(null, USAGE);
+    }
+
+    try {
+      if (parsed.command === 'serve') {
+        return s3site.serve(parsed.options, function (err, port) {
+          return err
+            ? callback(err)
+            : callback(null, 'Serving ' + parsed.options.srcPath + ' at http://localhost:' + port);
+        });
+      }
+
+      var bucket = s3site[parsed.command](parsed.options, parsed.s3config, _.bind(function (err, result) {
+        return err
+          ? callback(err)
+          : callback(null, this.format(parsed.command, result, parsed.options));
+      }, this));
+
+      // warnings are printed as they happen, output once done
+      if (bucket) {
+        bucket.on('warning', function (warning) {
+          console.error('s3-site: warning: ' + warning.message);
+        });
+      }
+    } catch (e) {
+      callback(e);
+    }
+  },
+
+  /**
+   * Create output for a completed command.
+   *
+   * @public
+   *
+   * @param {string} command - Command executed.
+   * @param {object} result - Result passed to command callback.
+   * @param {object} options - s3site options.
+   */
+  format: function (command, result, options) {
+    if (command === 'history') {
+      return formatHistory(result);
+    }
+
+    if (command === 'pull') {
+      return 'pull complete: ' + result.downloaded.length + ' downloaded, '
+        + result.skipped.length + ' unchanged';
+    }
+
+    if (command !== 'info' && options && options.dryRun) {
+      return plan.format(result) + '\ndry run complete, nothing was changed';
+    }
+
+    if (command !== 'info') {
+      return [command + ' complete'].concat(formatDns(result)).join('\n');
+    }
+
+    var lines = [
+      'bucket:  ' + result.bucket,
+      'region:  ' + result.region,
+      'url:     ' + result.url,
+      'exists:  ' + result.exists
+    ];
+
+    if (result.exists) {
+      lines.push('objects: ' + result.objects);
+      lines.push('size:    ' + result.size + ' bytes');
+    }
+
+    return lines.concat(formatDns(result)).join('\n');
+  },
+
+  /**
+   * Create a readable message from an error passed back by
+   * Bucket (strings, aws errors or native errors).
+   *
+   * @public
+   *
+   * @param {string|Error} err - Error to format.
+   */
+  formatError: function (err) {
+    if (_.isString(err)) {
+      return err;
+    }
+
+    return err.code
+      ? err.code + ': ' + err.message
+      : err.message || String(err);
+  }
+
+};
+
+
+/* -----------------------------------------------------------------------------
+ * utils
+ * ---------------------------------------------------------------------------*/
+
+/**
+ * Describe DNS records needed to serve a domain (none without
+ * `options.domain`).
+ *
+ * @private
+ *
+ * @param {object} result - Command result holding `dns` records.
+ */
+var formatDns = function (result) {
+  if (!result || !result.dns) {
+    return [];
+  }
+
+  return ['dns records:'].concat(_.map(result.dns, function (record) {
+    return '  ' + record.name + ' ' + (record.alias ? 'A (alias)' : record.type) + ' '
+      + record.value + (record.hostedZoneId ? ' (zone ' + record.hostedZoneId + ')' : '');
+  }));
+};
+
+/**
+ * Describe each past deploy on a single line.
+ *
+ * @private
+ *
+ * @param {array} manifests - Manifests returned by history.
+ */
+var formatHistory = function (manifests) {
+  if (!manifests.length) {
+    return 'no deploys recorded';
+  }
+
+  return _.map(manifests, function (manifest) {
+    var labels = _.map(manifest.labels, function (value, name) {
+      return name + '=' + value;
+    });
+
+    return [
+      manifest.timestamp,
+      manifest.mode + (manifest.release ? ' ' + manifest.release : ''),
+      manifest.commit ? manifest.commit.substr(0, 7) : '-',
+      _.size(manifest.objects) + ' objects'
+    ].concat(labels).join('  ');
+  }).join('\n');
+};
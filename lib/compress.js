@@ -0,0 +1,145 @@
+/*!
+ * compress.js
+ * 
+ * Copyright (c) 2014
+ */
+
+// core
+var zlib = require('zlib');
+
+// 3rd party
+var _ = require('underscore');
+var mime = require('mime');
+
+
+/* -----------------------------------------------------------------------------
+ * scope
+ * ---------------------------------------------------------------------------*/
+
+// Compression used when `options.compress` is `true`.
+var DEFAULTS = {
+  encoding : 'gzip',
+  minSize  : 1024,
+  types    : [
+    'text/html',
+    'text/css',
+    'text/plain',
+    'application/javascript',
+    'application/json',
+    'application/xml',
+    'image/svg+xml'
+  ],
+  extensions : []
+};
+
+// Supported Content-Encoding values and their zlib methods.
+var ENCODERS = {
+  gzip : 'gzip',
+  br   : 'brotliCompress'
+};
+
+// Supported Content-Encoding values and the zlib methods
+// reversing them.
+var DECODERS = {
+  gzip : 'gunzip',
+  br   : 'brotliDecompress'
+};
+
+
+/* -----------------------------------------------------------------------------
+ * compress
+ * ---------------------------------------------------------------------------*/
+
+module.exports = {
+
+  /**
+   * Create compression options from `options.compress`. Returns
+   * null if compression is disabled. Throws if an encoding is
+   * not supported.
+   *
+   * @public
+   *
+   * @param {boolean|object} compress - `options.compress`.
+   */
+  options: function (compress) {
+    if (!compress) {
+      return null;
+    }
+
+    var options = _.extend({}, DEFAULTS, compress === true ? {} : compress);
+
+    if (!_.has(ENCODERS, options.encoding) || !zlib[ENCODERS[options.encoding]]) {
+      throw new Error('Unsupported compress encoding "' + options.encoding + '"');
+    }
+
+    return options;
+  },
+
+  /**
+   * Check if a file should be compressed based on its mime type,
+   * extension and size.
+   *
+   * @public
+   *
+   * @param {object} options - Options created by `options`.
+   * @param {string} filePath - Path of file.
+   * @param {number} size - Size of file in bytes.
+   */
+  matches: function (options, filePath, size) {
+    if (!options || size < options.minSize) {
+      return false;
+    }
+
+    var extension = filePath.split('.').pop();
+
+    return _.contains(options.types, mime.lookup(filePath))
+      || _.contains(options.extensions, extension);
+  },
+
+  /**
+   * Compress file contents if they match options. Contents that
+   * do not shrink are returned raw.
+   *
+   * @public
+   *
+   * @param {object} options - Options created by `options`.
+   * @param {string} filePath - Path of file.
+   * @param {Buffer} buffer - File contents.
+   * @param {function} callback - Function executed with body and
+   *   Content-Encoding (undefined if not compressed).
+   */
+  body: function (options, filePath, buffer, callback) {
+    if (!this.matches(options, filePath, buffer.length)) {
+      return callback(null, buffer);
+    }
+
+    zlib[ENCODERS[options.encoding]](buffer, function (err, compressed) {
+      if (err) {
+        return callback(err);
+      }
+
+      return compressed.length < buffer.length
+        ? callback(null, compressed, options.encoding)
+        : callback(null, buffer);
+    });
+  },
+
+  /**
+   * Decompress a body compressed with Content-Encoding.
+   * Bodies with any other (or no) encoding are returned as is.
+   *
+   * @public
+   *
+   * @param {string} encoding - Content-Encoding of body.
+   * @param {Buffer} body - Object body.
+   * @param {function} callback - Function executed with body.
+   */
+  decode: function (encoding, body, callback) {
+    if (!_.has(DECODERS, encoding) || !zlib[DECODERS[encoding]]) {
+      return callback(null, body);
+    }
+
+    zlib[DECODERS[encoding]](body, callback);
+  }
+
+};
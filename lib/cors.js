@@ -0,0 +1,143 @@
+/*!
+ * cors.js
+ *
+ * Copyright (c) 2014
+ */
+
+// 3rd party
+var _ = require('underscore');
+
+
+/* -----------------------------------------------------------------------------
+ * scope
+ * ---------------------------------------------------------------------------*/
+
+// Supported keys of each `options.cors` rule.
+var KEYS = ['origins', 'methods', 'headers', 'exposeHeaders', 'maxAge'];
+
+// Methods s3 allows in a CORS rule.
+var METHODS = ['GET', 'PUT', 'POST', 'DELETE', 'HEAD'];
+
+// Methods allowed when a rule does not list any (a website is
+// only read).
+var DEFAULT_METHODS = ['GET', 'HEAD'];
+
+
+/* -----------------------------------------------------------------------------
+ * cors
+ * ---------------------------------------------------------------------------*/
+
+module.exports = {
+
+  /**
+   * Normalize `options.cors`, a rule or list of rules:
+   *
+   *   origins       - allowed origins ('*' for any)
+   *   methods       - allowed methods (['GET', 'HEAD'])
+   *   headers       - allowed request headers (optional)
+   *   exposeHeaders - response headers exposed to scripts (optional)
+   *   maxAge        - seconds browsers cache preflight responses
+   *
+   * Returns null when CORS is not configured. Throws if invalid.
+   *
+   * @public
+   *
+   * @param {object|array|boolean} cors - `options.cors`.
+   */
+  options: function (cors) {
+    if (!cors) {
+      return null;
+    }
+
+    return _.map([].concat(cors), function (rule, i) {
+      var name = 'cors rule ' + (i + 1);
+
+      var unknown = _.difference(_.keys(rule), KEYS);
+      if (unknown.length) {
+        throw new Error('Unknown ' + name + ' option(s): ' + unknown.join(', '));
+      }
+
+      rule = _.extend({ methods: DEFAULT_METHODS }, rule);
+
+      _.each(['origins', 'methods', 'headers', 'exposeHeaders'], function (key) {
+        if (_.has(rule, key)) {
+          rule[key] = strings(rule[key], name + ' ' + key);
+        }
+      });
+
+      if (!rule.origins || !rule.origins.length) {
+        throw new Error(name + ' must list at least one origin');
+      }
+
+      rule.methods = _.map(rule.methods, function (method) {
+        return method.toUpperCase();
+      });
+
+      var invalid = _.difference(rule.methods, METHODS);
+      if (invalid.length) {
+        throw new Error(name + ' method(s) not supported by s3: ' + invalid.join(', '));
+      }
+
+      if (_.has(rule, 'maxAge') && (!_.isNumber(rule.maxAge) || rule.maxAge < 0 || rule.maxAge % 1)) {
+        throw new Error(name + ' maxAge must be a whole number of seconds');
+      }
+
+      return rule;
+    });
+  },
+
+  /**
+   * Create s3 CORS rules from normalized options.
+   *
+   * @public
+   *
+   * @param {array} options - Normalized cors rules.
+   */
+  rules: function (options) {
+    return _.map(options, function (rule) {
+      var CORSRule = {
+        AllowedOrigins: rule.origins,
+        AllowedMethods: rule.methods
+      };
+
+      if (rule.headers) {
+        CORSRule.AllowedHeaders = rule.headers;
+      }
+
+      if (rule.exposeHeaders) {
+        CORSRule.ExposeHeaders = rule.exposeHeaders;
+      }
+
+      if (_.has(rule, 'maxAge')) {
+        CORSRule.MaxAgeSeconds = rule.maxAge;
+      }
+
+      return CORSRule;
+    });
+  }
+
+};
+
+
+/* -----------------------------------------------------------------------------
+ * utils
+ * ---------------------------------------------------------------------------*/
+
+/**
+ * Normalize value to a list of non-empty strings. Throws if it
+ * holds anything else.
+ *
+ * @private
+ *
+ * @param {string|array} value - String or list of strings.
+ * @param {string} name - Option name used in errors.
+ */
+var strings = function (value, name) {
+  var list = [].concat(value);
+
+  if (!_.every(list, function (item) { return _.isString(item) && item; })) {
+    throw new Error(name + ' must be a string or list of strings');
+  }
+
+  return list;
+};
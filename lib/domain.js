@@ -0,0 +1,179 @@
+/*!
+ * domain.js
+ *
+ * Copyright (c) 2014
+ */
+
+// 3rd party
+var _ = require('underscore');
+
+// lib
+var region = require('./region');
+
+
+/* -----------------------------------------------------------------------------
+ * scope
+ * ---------------------------------------------------------------------------*/
+
+// Route 53 hosted zone of the s3 website endpoint in each region,
+// needed to alias an apex domain to a bucket.
+var HOSTED_ZONES = {
+  'us-east-1'      : 'Z3AQBSTGFYJSTF',
+  'us-east-2'      : 'Z2O1EMRO9K5GLX',
+  'us-west-1'      : 'Z2F56UZL2M1ACD',
+  'us-west-2'      : 'Z3BJ6K6RIION7M',
+  'ca-central-1'   : 'Z1QDHH18159H29',
+  'sa-east-1'      : 'Z7KQH4QJS55SO',
+  'eu-west-1'      : 'Z1BKCTXD74EZPE',
+  'eu-west-2'      : 'Z3GKZC51ZF0DB4',
+  'eu-west-3'      : 'Z3R1K369G5AVDG',
+  'eu-central-1'   : 'Z21DNDUVLTQW6Q',
+  'eu-north-1'     : 'Z3BAZG2TWCNX0D',
+  'eu-south-1'     : 'Z30OZKI7KPW7MI',
+  'ap-east-1'      : 'ZNB98KWMFR0R6',
+  'ap-south-1'     : 'Z11RGJOFQNVJUP',
+  'ap-southeast-1' : 'Z3O0J2DXBE1FTB',
+  'ap-southeast-2' : 'Z1WCIGYICN2BYD',
+  'ap-northeast-1' : 'Z2M4EHUR26P7ZW',
+  'ap-northeast-2' : 'Z3W03O7B5YMIYP',
+  'ap-northeast-3' : 'Z2YQB5RD63NC85',
+  'af-south-1'     : 'Z83WF9RJE8B12',
+  'me-south-1'     : 'Z1MPMWCPA7YB62',
+  'us-gov-west-1'  : 'Z31GFT0UA1I2HV',
+  'us-gov-east-1'  : 'Z2NIFVYYW2VKV1'
+};
+
+
+/* -----------------------------------------------------------------------------
+ * domain
+ * ---------------------------------------------------------------------------*/
+
+module.exports = {
+
+  /**
+   * Check that a hostname can be used as a bucket name serving a
+   * website: 3-63 characters, lowercase dot separated labels of
+   * letters, digits and hyphens, not formatted as an IP address.
+   * Throws describing the first problem found.
+   *
+   * @public
+   *
+   * @param {string} name - Hostname to check.
+   */
+  validate: function (name) {
+    if (!_.isString(name) || name.length < 3 || name.length > 63) {
+      throw new Error('Domain "' + name + '" must be between 3 and 63 characters');
+    }
+
+    if (/^\d+\.\d+\.\d+\.\d+$/.test(name)) {
+      throw new Error('Domain "' + name + '" must not be an IP address');
+    }
+
+    _.each(name.split('.'), function (label) {
+      if (!/^[a-z0-9]([a-z0-9-]*[a-z0-9])?$/.test(label)) {
+        throw new Error('Domain "' + name + '" is not DNS-compliant: label "' + label
+          + '" must be lowercase letters, digits or hyphens, and not start or end with a hyphen');
+      }
+    });
+  },
+
+  /**
+   * Hostnames redirected to domain. Defaults to the www variant
+   * of domain (or the bare domain if domain starts with www.).
+   * Throws if any hostname is invalid.
+   *
+   * @public
+   *
+   * @param {string} domain - Domain the site is served on.
+   * @param {string|array|boolean} redirectFrom - Hostnames to
+   *   redirect, or false for none (optional).
+   */
+  redirects: function (domain, redirectFrom) {
+    if (redirectFrom === false) {
+      return [];
+    }
+
+    var hosts = redirectFrom
+      ? [].concat(redirectFrom)
+      : [domain.indexOf('www.') === 0 ? domain.substr(4) : 'www.' + domain];
+
+    _.each(hosts, function (host) {
+      if (host === domain) {
+        throw new Error('Domain "' + domain + '" cannot redirect to itself');
+      }
+
+      this.validate(host);
+    }, this);
+
+    return hosts;
+  },
+
+  /**
+   * Apex of the DNS zone serving domain: `zone` if set, otherwise
+   * domain itself (or the bare domain if domain starts with
+   * www.). Throws if zone does not contain domain.
+   *
+   * @public
+   *
+   * @param {string} domain - Domain the site is served on.
+   * @param {string} zone - Hosted zone (apex) name (optional).
+   */
+  apex: function (domain, zone) {
+    if (!zone) {
+      return domain.indexOf('www.') === 0 ? domain.substr(4) : domain;
+    }
+
+    this.validate(zone);
+
+    if (domain !== zone && domain.slice(-(zone.length + 1)) !== '.' + zone) {
+      throw new Error('Domain "' + domain + '" is not within zone "' + zone + '"');
+    }
+
+    return zone;
+  },
+
+  /**
+   * Website endpoint host of a bucket.
+   *
+   * @public
+   *
+   * @param {string} bucketName - Name of bucket.
+   * @param {string} bucketRegion - Bucket region (optional).
+   */
+  endpoint: function (bucketName, bucketRegion) {
+    return bucketName + '.' + region.websiteHost(bucketRegion);
+  },
+
+  /**
+   * DNS record pointing hostname at its bucket website endpoint.
+   * Hosts within the apex zone get a CNAME. The apex itself cannot,
+   * so it (like hosts outside the zone) gets a Route 53 alias record
+   * instead, without `hostedZoneId` if the hosted zone of the
+   * region's website endpoint is not known.
+   *
+   * @public
+   *
+   * @param {string} host - Hostname (and bucket name).
+   * @param {string} bucketRegion - Bucket region (optional).
+   * @param {string} apex - Zone apex (optional, see `apex`).
+   */
+  record: function (host, bucketRegion, apex) {
+    var endpoint = this.endpoint(host, bucketRegion);
+    var name = bucketRegion || region.DEFAULT;
+
+    apex = apex || this.apex(host);
+
+    if (host.slice(-(apex.length + 1)) === '.' + apex) {
+      return { name: host, type: 'CNAME', value: endpoint };
+    }
+
+    var record = { name: host, type: 'A', alias: true, value: region.websiteHost(name) };
+
+    if (HOSTED_ZONES[name]) {
+      record.hostedZoneId = HOSTED_ZONES[name];
+    }
+
+    return record;
+  }
+
+};
@@ -0,0 +1,62 @@
+/*!
+ * files.js
+ * 
+ * Copyright (c) 2014
+ */
+
+// core
+var path = require('path');
+var fs = require('fs');
+
+// 3rd party
+var _ = require('underscore');
+
+
+/* -----------------------------------------------------------------------------
+ * files
+ * ---------------------------------------------------------------------------*/
+
+module.exports = {
+
+  /**
+   * Create directory and any missing parents. Throws if a
+   * directory cannot be created.
+   *
+   * @public
+   *
+   * @param {string} dirPath - Absolute path of directory.
+   */
+  mkdirp: function (dirPath) {
+    if (fs.existsSync(dirPath)) {
+      return;
+    }
+
+    this.mkdirp(path.dirname(dirPath));
+    fs.mkdirSync(dirPath);
+  },
+
+  /**
+   * Remove file or directory and all of its contents. Missing
+   * paths are ignored.
+   *
+   * @public
+   *
+   * @param {string} targetPath - Absolute path to remove.
+   */
+  rmrf: function (targetPath) {
+    if (!fs.existsSync(targetPath)) {
+      return;
+    }
+
+    if (fs.statSync(targetPath).isDirectory()) {
+      _.each(fs.readdirSync(targetPath), function (file) {
+        this.rmrf(path.join(targetPath, file));
+      }, this);
+
+      return fs.rmdirSync(targetPath);
+    }
+
+    fs.unlinkSync(targetPath);
+  }
+
+};
@@ -0,0 +1,414 @@
+/*!
+ * headers.js
+ * 
+ * Copyright (c) 2014
+ */
+
+// 3rd party
+var _ = require('underscore');
+var minimatch = require('minimatch');
+
+
+/* -----------------------------------------------------------------------------
+ * scope
+ * ---------------------------------------------------------------------------*/
+
+// Cache-Control applied to keys listed in `options.noCache`.
+var NO_CACHE = 'no-cache, no-store, must-revalidate';
+
+// Cache-Control applied to fingerprinted keys, whose content
+// never changes.
+var IMMUTABLE = 'public, max-age=31536000, immutable';
+
+// Cache-Control applied to keys which are not fingerprinted when
+// `options.fingerprint` is set.
+var REVALIDATE = 'public, max-age=0, must-revalidate';
+
+// Default fingerprinted key pattern: a hex hash before the
+// extension (app.3f9a1c.js, app-3f9a1c.css).
+var FINGERPRINT = /[.-][0-9a-f]{6,}\.[a-z0-9]+$/i;
+
+// s3 putObject params and the response headers they are served as.
+var HTTP_HEADERS = {
+  ContentType        : 'Content-Type',
+  ContentEncoding    : 'Content-Encoding',
+  CacheControl       : 'Cache-Control',
+  Expires            : 'Expires',
+  ContentDisposition : 'Content-Disposition',
+  ContentLanguage    : 'Content-Language'
+};
+
+// Declarative rule keys and the s3 putObject params they map to.
+var HEADER_KEYS = {
+  contentType        : 'ContentType',
+  cacheControl       : 'CacheControl',
+  expires            : 'Expires',
+  contentDisposition : 'ContentDisposition',
+  contentLanguage    : 'ContentLanguage',
+  metadata           : 'Metadata'
+};
+
+
+// `_headers` file headers (lowercase) and the rule keys they set.
+var FILE_HEADERS = {
+  'content-type'        : 'contentType',
+  'cache-control'       : 'cacheControl',
+  'expires'             : 'expires',
+  'content-disposition' : 'contentDisposition',
+  'content-language'    : 'contentLanguage'
+};
+
+// `_headers` file header prefix setting object metadata.
+var META_PREFIX = 'x-amz-meta-';
+
+
+/* -----------------------------------------------------------------------------
+ * headers
+ * ---------------------------------------------------------------------------*/
+
+module.exports = {
+
+  /**
+   * Create ordered header rules from `options.headers`. Keys
+   * listed in `options.noCache` are prepended as rules which
+   * remove all browser caching. Rules parsed from a `_headers`
+   * file follow `options.headers`. With `options.fingerprint`,
+   * rules caching fingerprinted keys forever and revalidating
+   * all other keys are appended. `_headers` and fingerprint rules
+   * are merged (see `params`), later `_headers` blocks overriding
+   * earlier ones. Throws if a rule is invalid.
+   *
+   * Example: { match: '**\/*.html', cacheControl: 'max-age=60' }
+   *          { match: 'assets/**', metadata: { team: 'web' } }
+   *
+   * @public
+   *
+   * @param {object} options - s3site options.
+   * @param {array} fileRules - Rules parsed from `_headers` (optional).
+   */
+  rules: function (options, fileRules) {
+    var noCache = _.map(options.noCache || [], function (key) {
+      return {
+        match: key,
+        cacheControl: NO_CACHE,
+        expires: (new Date()).toISOString()
+      };
+    });
+
+    var rules = noCache.concat(options.headers || []);
+    fileRules = (fileRules || []).slice().reverse();
+
+    _.each(rules.concat(fileRules), validate);
+
+    var fingerprint = this.fingerprint(options);
+    if (fingerprint) {
+      fileRules.push({ match: fingerprint.pattern, cacheControl: IMMUTABLE });
+      fileRules.push({ match: '**', cacheControl: fingerprint.cacheControl });
+    }
+
+    return rules.concat(_.map(fileRules, function (rule) {
+      return _.extend({ merge: true }, rule);
+    }));
+  },
+
+  /**
+   * Normalize `options.fingerprint`, either true, a pattern
+   * (RegExp or string) matching fingerprinted keys or:
+   *
+   *   pattern      - fingerprinted key pattern
+   *   cacheControl - Cache-Control of other keys
+   *
+   * Returns null when fingerprinting is off. Throws if invalid.
+   *
+   * @public
+   *
+   * @param {object} options - s3site options.
+   */
+  fingerprint: function (options) {
+    var fingerprint = options.fingerprint;
+
+    if (!fingerprint) {
+      return null;
+    }
+
+    if (fingerprint === true || _.isString(fingerprint) || _.isRegExp(fingerprint)) {
+      fingerprint = { pattern: fingerprint };
+    }
+
+    var pattern = fingerprint.pattern === true || !fingerprint.pattern
+      ? FINGERPRINT
+      : fingerprint.pattern;
+
+    if (_.isString(pattern)) {
+      try {
+        pattern = new RegExp(pattern);
+      } catch (err) {
+        throw new Error('fingerprint pattern is not a valid RegExp: ' + err.message);
+      }
+    }
+
+    if (!_.isRegExp(pattern)) {
+      throw new Error('fingerprint pattern must be a RegExp or string');
+    }
+
+    return {
+      pattern: pattern,
+      cacheControl: fingerprint.cacheControl || REVALIDATE
+    };
+  },
+
+  /**
+   * Parse the contents of a `_headers` file. Each block starts
+   * with an absolute path (`*` matching anything, a trailing `/`
+   * its index document) followed by indented headers:
+   *
+   *   /assets/*
+   *     Cache-Control: public, max-age=31536000
+   *     X-Amz-Meta-Team: web
+   *
+   * Only headers s3 can serve are kept; a warning is returned for
+   * each other header. Blank lines and lines starting with `#` are
+   * ignored. Throws on malformed lines.
+   *
+   * @public
+   *
+   * @param {string} contents - `_headers` file contents.
+   * @param {string} index - Website index document suffix.
+   * @returns {object} `rules` and `warnings`.
+   */
+  parseFile: function (contents, index) {
+    var rules = [];
+    var warnings = [];
+    var rule;
+
+    _.each(contents.split(/\r?\n/), function (line, i) {
+      var trimmed = line.trim();
+      if (!trimmed || trimmed.charAt(0) === '#') {
+        return;
+      }
+
+      if (!/^\s/.test(line)) {
+        if (trimmed.charAt(0) !== '/' || /\s/.test(trimmed)) {
+          throw new Error('Invalid path on line ' + (i + 1) + ': "' + trimmed + '"');
+        }
+
+        rule = { match: pathPattern(trimmed, index) };
+        return rules.push(rule);
+      }
+
+      var separator = trimmed.indexOf(':');
+      if (!rule || separator < 1) {
+        throw new Error('Invalid header on line ' + (i + 1) + ': "' + trimmed + '"');
+      }
+
+      var name = trimmed.slice(0, separator).trim();
+      var value = trimmed.slice(separator + 1).trim();
+      var lower = name.toLowerCase();
+
+      if (_.has(FILE_HEADERS, lower)) {
+        rule[FILE_HEADERS[lower]] = value;
+      } else if (lower.indexOf(META_PREFIX) === 0 && lower.length > META_PREFIX.length) {
+        rule.metadata = rule.metadata || {};
+        rule.metadata[lower.slice(META_PREFIX.length)] = value;
+      } else if (lower === 'content-encoding') {
+        warnings.push('line ' + (i + 1) + ': Content-Encoding is set by the compress option, ignoring it');
+      } else {
+        warnings.push('line ' + (i + 1) + ': s3 cannot serve "' + name + '", ignoring it'
+          + ' (supported: Content-Type, Cache-Control, Expires, Content-Disposition,'
+          + ' Content-Language and X-Amz-Meta-*)');
+      }
+    });
+
+    // paths without any supported header set nothing
+    rules = _.filter(rules, function (rule) {
+      return _.size(rule) > 1;
+    });
+
+    return { rules: rules, warnings: warnings };
+  },
+
+  /**
+   * Create `_headers` file contents listing the headers of each
+   * object, the inverse of `parseFile`. Keys a `_headers` path
+   * cannot express (containing whitespace or `*`) are skipped.
+   *
+   * @public
+   *
+   * @param {object} objects - Object headers (getObject or
+   *   putObject params) by key.
+   * @returns {object} `contents` and `skipped` keys.
+   */
+  formatFile: function (objects) {
+    var blocks = [];
+    var skipped = [];
+
+    _.each(_.keys(objects).sort(), function (key) {
+      var http = this.http(_.pick(objects[key], _.values(HEADER_KEYS)));
+      var lines = _.map(http, function (value, name) {
+        return '  ' + name.replace(/^x-amz-meta-/, 'X-Amz-Meta-') + ': ' + value;
+      });
+
+      if (!lines.length) {
+        return;
+      }
+
+      if (/[\s*]/.test(key)) {
+        return skipped.push(key);
+      }
+
+      blocks.push(['/' + key].concat(lines).join('\n'));
+    }, this);
+
+    return {
+      contents: blocks.length ? blocks.join('\n\n') + '\n' : '',
+      skipped: skipped
+    };
+  },
+
+  /**
+   * Create putObject params for a key from the first rule whose
+   * glob (or RegExp) matches it. Matching rules created with
+   * `merge` (`_headers` and fingerprint rules) only set the
+   * headers (and metadata names) no earlier match has set, so
+   * matching continues past them.
+   *
+   * @public
+   *
+   * @param {array} rules - Rules created by `rules`.
+   * @param {string} key - Bucket key of object.
+   */
+  params: function (rules, key) {
+    var matching = _.filter(rules, function (rule) {
+      return _.isRegExp(rule.match)
+        ? rule.match.test(key)
+        : minimatch(key, rule.match, { dot: true });
+    });
+
+    var params = {};
+    _.find(matching, function (rule) {
+      _.each(HEADER_KEYS, function (param, name) {
+        if (!_.has(rule, name)) {
+          return;
+        }
+
+        if (param === 'Metadata') {
+          params[param] = _.defaults(params[param] || {}, rule[name]);
+        } else if (!_.has(params, param)) {
+          params[param] = rule[name];
+        }
+      });
+
+      return !rule.merge;
+    });
+
+    return params;
+  },
+
+  /**
+   * Check if an object's current headers (headObject response or
+   * putObject params) match the params rules create for it. As
+   * `noCache` sets Expires to the upload time, only its presence
+   * is compared.
+   *
+   * @public
+   *
+   * @param {object} expected - Params created by `params`.
+   * @param {object} current - Current object headers.
+   */
+  matches: function (expected, current) {
+    var lower = function (metadata) {
+      return _.object(_.map(metadata || {}, function (value, name) {
+        return [name.toLowerCase(), value];
+      }));
+    };
+
+    return _.every(_.values(HEADER_KEYS), function (param) {
+      if (param === 'Metadata') {
+        return _.isEqual(lower(expected.Metadata), lower(current.Metadata));
+      }
+
+      if (param === 'Expires') {
+        return !expected.Expires === !current.Expires;
+      }
+
+      return (expected[param] || '') === String(current[param] || '');
+    });
+  },
+
+  /**
+   * Create the response headers s3 serves an object with from
+   * its putObject params.
+   *
+   * @public
+   *
+   * @param {object} params - putObject params.
+   */
+  http: function (params) {
+    var http = {};
+
+    _.each(HTTP_HEADERS, function (header, param) {
+      if (_.has(params, param)) {
+        http[header] = param === 'Expires'
+          ? new Date(params[param]).toUTCString()
+          : String(params[param]);
+      }
+    });
+
+    _.each(params.Metadata || {}, function (value, name) {
+      http['x-amz-meta-' + name.toLowerCase()] = value;
+    });
+
+    return http;
+  }
+
+};
+
+
+/* -----------------------------------------------------------------------------
+ * utils
+ * ---------------------------------------------------------------------------*/
+
+/**
+ * Create RegExp matching the keys served at a `_headers` path.
+ *
+ * @private
+ *
+ * @param {string} urlPath - Absolute path, may contain `*`.
+ * @param {string} index - Website index document suffix.
+ */
+var pathPattern = function (urlPath, index) {
+  var key = urlPath.replace(/^\//, '');
+
+  if (!key || key.slice(-1) === '/') {
+    key += index;
+  }
+
+  var source = _.map(key.split('*'), function (part) {
+    return part.replace(/[\\^$.+?()[\]{}|]/g, '\\$&');
+  }).join('.*');
+
+  return new RegExp('^' + source + '$');
+};
+
+/**
+ * Throw if rule has no glob, unknown keys or invalid metadata.
+ *
+ * @private
+ *
+ * @param {object} rule - Header rule.
+ */
+var validate = function (rule) {
+  if (!_.isRegExp(rule.match) && (!_.isString(rule.match) || !rule.match)) {
+    throw new Error('Header rule must have a "match" glob');
+  }
+
+  var unknown = _.difference(_.keys(rule), ['match'].concat(_.keys(HEADER_KEYS)));
+  if (unknown.length) {
+    throw new Error('Unknown header rule option(s) for "' + rule.match + '": ' + unknown.join(', '));
+  }
+
+  var metadata = rule.metadata || {};
+  if (!_.isObject(metadata) || _.reject(_.values(metadata), _.isString).length) {
+    throw new Error('Header rule metadata for "' + rule.match + '" must map names to strings');
+  }
+};
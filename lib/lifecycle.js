@@ -0,0 +1,149 @@
+/*!
+ * lifecycle.js
+ *
+ * Copyright (c) 2014
+ */
+
+// 3rd party
+var _ = require('underscore');
+
+
+/* -----------------------------------------------------------------------------
+ * scope
+ * ---------------------------------------------------------------------------*/
+
+// Supported `options.lifecycle` keys.
+var KEYS = ['noncurrentDays', 'abortIncompleteUploads', 'expire'];
+
+// Prefix of the ids of rules created from options.
+var RULE_ID = 's3-site-';
+
+// Milliseconds in a day.
+var DAY = 24 * 60 * 60 * 1000;
+
+
+/* -----------------------------------------------------------------------------
+ * lifecycle
+ * ---------------------------------------------------------------------------*/
+
+module.exports = {
+
+  /**
+   * Normalize `options.lifecycle`:
+   *
+   *   noncurrentDays         - expire noncurrent versions after days
+   *   abortIncompleteUploads - abort multipart uploads after days
+   *   expire                 - [{ prefix: 'tmp/', days: 1 }]
+   *
+   * Returns null when lifecycle is not configured and false when
+   * it is explicitly disabled. Throws if it is invalid.
+   *
+   * @public
+   *
+   * @param {object|boolean} lifecycle - `options.lifecycle`.
+   */
+  options: function (lifecycle) {
+    if (lifecycle === undefined) {
+      return null;
+    }
+
+    if (lifecycle === false) {
+      return false;
+    }
+
+    var unknown = _.difference(_.keys(lifecycle), KEYS);
+    if (unknown.length) {
+      throw new Error('Unknown lifecycle option(s): ' + unknown.join(', '));
+    }
+
+    _.each(['noncurrentDays', 'abortIncompleteUploads'], function (key) {
+      if (_.has(lifecycle, key)) {
+        days(lifecycle[key], 'lifecycle.' + key);
+      }
+    });
+
+    var expire = lifecycle.expire || [];
+
+    _.each(expire, function (rule) {
+      if (!_.isString(rule.prefix) || !rule.prefix) {
+        throw new Error('lifecycle.expire prefix must be a non-empty string');
+      }
+
+      days(rule.days, 'lifecycle.expire days for "' + rule.prefix + '"');
+    });
+
+    // s3 rejects expiration rules with overlapping prefixes
+    _.each(expire, function (rule, i) {
+      _.each(expire.slice(i + 1), function (other) {
+        if (rule.prefix.indexOf(other.prefix) === 0 || other.prefix.indexOf(rule.prefix) === 0) {
+          throw new Error('lifecycle.expire prefixes "' + rule.prefix + '" and "'
+            + other.prefix + '" overlap');
+        }
+      });
+    });
+
+    return _.extend({ expire: expire }, _.pick(lifecycle, 'noncurrentDays', 'abortIncompleteUploads'));
+  },
+
+  /**
+   * Create s3 lifecycle rules from normalized options.
+   *
+   * @public
+   *
+   * @param {object} options - Normalized lifecycle options.
+   */
+  rules: function (options) {
+    var Rules = _.map(options.expire, function (rule) {
+      return {
+        ID: RULE_ID + 'expire-' + rule.prefix,
+        Prefix: rule.prefix,
+        Status: 'Enabled',
+        Expiration: { Days: rule.days }
+      };
+    });
+
+    if (options.noncurrentDays) {
+      Rules.unshift({
+        ID: RULE_ID + 'noncurrent-versions',
+        Prefix: '',
+        Status: 'Enabled',
+        NoncurrentVersionExpiration: { NoncurrentDays: options.noncurrentDays }
+      });
+    }
+
+    return Rules;
+  },
+
+  /**
+   * Check if a multipart upload was initiated more than days ago.
+   *
+   * @public
+   *
+   * @param {object} upload - listMultipartUploads upload.
+   * @param {number} days - Age in days.
+   * @param {number} now - Current time (ms).
+   */
+  isStale: function (upload, days, now) {
+    return now - new Date(upload.Initiated).getTime() > days * DAY;
+  }
+
+};
+
+
+/* -----------------------------------------------------------------------------
+ * utils
+ * ---------------------------------------------------------------------------*/
+
+/**
+ * Throw unless value is a positive whole number of days.
+ *
+ * @private
+ *
+ * @param {number} value - Value to check.
+ * @param {string} name - Name used in error message.
+ */
+var days = function (value, name) {
+  if (!_.isNumber(value) || value < 1 || value % 1 !== 0) {
+    throw new Error(name + ' must be a positive whole number of days');
+  }
+};
@@ -0,0 +1,73 @@
+/*!
+ * logging.js
+ *
+ * Copyright (c) 2014
+ */
+
+// 3rd party
+var _ = require('underscore');
+
+
+/* -----------------------------------------------------------------------------
+ * logging
+ * ---------------------------------------------------------------------------*/
+
+module.exports = {
+
+  /**
+   * Normalize `options.logging`, either a target bucket name or:
+   *
+   *   bucket - bucket access logs are delivered to
+   *   prefix - key prefix of log objects ('[bucketName]/')
+   *
+   * Returns null when logging is not configured. Throws if invalid.
+   *
+   * @public
+   *
+   * @param {string|object|boolean} logging - `options.logging`.
+   * @param {string} bucketName - Name of the logged bucket.
+   */
+  options: function (logging, bucketName) {
+    if (!logging) {
+      return null;
+    }
+
+    var options = _.extend({ prefix: bucketName + '/' },
+      _.isString(logging) ? { bucket: logging } : logging);
+
+    var unknown = _.difference(_.keys(options), ['bucket', 'prefix']);
+    if (unknown.length) {
+      throw new Error('Unknown logging option(s): ' + unknown.join(', '));
+    }
+
+    if (!_.isString(options.bucket) || !options.bucket) {
+      throw new Error('logging.bucket must be a bucket name');
+    }
+
+    // sync would remove log objects written to the site bucket
+    if (options.bucket === bucketName) {
+      throw new Error('logging.bucket must not be the site bucket');
+    }
+
+    if (!_.isString(options.prefix)) {
+      throw new Error('logging.prefix must be a string');
+    }
+
+    return options;
+  },
+
+  /**
+   * Create s3 BucketLoggingStatus from normalized options
+   * (disabling logging when null).
+   *
+   * @public
+   *
+   * @param {object} options - Normalized logging options.
+   */
+  status: function (options) {
+    return options
+      ? { LoggingEnabled: { TargetBucket: options.bucket, TargetPrefix: options.prefix } }
+      : {};
+  }
+
+};
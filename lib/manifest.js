@@ -0,0 +1,212 @@
+/*!
+ * manifest.js
+ *
+ * Copyright (c) 2014
+ */
+
+// core
+var crypto = require('crypto');
+var childProcess = require('child_process');
+
+// 3rd party
+var _ = require('underscore');
+
+// lib
+var pkg = require('../package.json');
+
+
+/* -----------------------------------------------------------------------------
+ * scope
+ * ---------------------------------------------------------------------------*/
+
+// Key prefix reserved for deploy records. Never synced or removed
+// as stale content.
+var PREFIX = '.s3-site/';
+
+// Number of past manifests kept when `options.manifest.keep` is
+// not set.
+var KEEP = 20;
+
+// putObject params recorded for each object, by manifest name.
+var HEADERS = {
+  contentType: 'ContentType',
+  contentEncoding: 'ContentEncoding',
+  cacheControl: 'CacheControl',
+  expires: 'Expires',
+  contentDisposition: 'ContentDisposition',
+  contentLanguage: 'ContentLanguage',
+  metadata: 'Metadata',
+  redirect: 'WebsiteRedirectLocation'
+};
+
+
+/* -----------------------------------------------------------------------------
+ * manifest
+ * ---------------------------------------------------------------------------*/
+
+module.exports = {
+
+  PREFIX: PREFIX,
+
+  // Key of the manifest describing the live deploy.
+  KEY: PREFIX + 'manifest.json',
+
+  // Key prefix of past manifests (one per deploy).
+  HISTORY_PREFIX: PREFIX + 'history/',
+
+  /**
+   * Normalize `options.manifest`, either true or an object. Returns
+   * null when manifests are not enabled (the default). Throws if
+   * invalid.
+   *
+   * @public
+   *
+   * @param {object|boolean} manifest - `options.manifest`.
+   */
+  options: function (manifest) {
+    if (!manifest) {
+      return null;
+    }
+
+    var options = _.extend({ keep: KEEP, labels: {} }, _.isObject(manifest) ? manifest : {});
+
+    if (!_.isNumber(options.keep) || options.keep < 1) {
+      throw new Error('manifest.keep must be a positive number');
+    }
+
+    if (!_.isObject(options.labels) || _.isArray(options.labels)) {
+      throw new Error('manifest.labels must be an object');
+    }
+
+    return options;
+  },
+
+  /**
+   * Create an empty manifest.
+   *
+   * @public
+   *
+   * @param {string} bucketName - Name of deployed bucket.
+   * @param {string} mode - deploy, sync or release.
+   * @param {object} options - Normalized manifest options.
+   */
+  create: function (bucketName, mode, options) {
+    var date = new Date();
+
+    return {
+      id: date.toISOString().replace(/[-:]/g, ''),
+      bucket: bucketName,
+      mode: mode,
+      timestamp: date.toISOString(),
+      version: pkg.version,
+      labels: options.labels,
+      objects: {}
+    };
+  },
+
+  /**
+   * Create manifest entry for an object from its putObject
+   * params. The hash is the object ETag (without quotes).
+   *
+   * @public
+   *
+   * @param {object} params - putObject params.
+   * @param {string} etag - ETag returned by s3 (optional for
+   *   params holding a Body).
+   */
+  object: function (params, etag) {
+    var body = params.Body || '';
+    var entry = {
+      hash: etag
+        ? etag.replace(/"/g, '')
+        : crypto.createHash('md5').update(body).digest('hex'),
+      size: params.Body !== undefined ? body.length : params.ContentLength
+    };
+
+    _.each(HEADERS, function (param, name) {
+      if (params[param]) {
+        entry[name] = params[param];
+      }
+    });
+
+    return entry;
+  },
+
+  /**
+   * Create the putObject header params recorded in a manifest
+   * entry, the inverse of `object`.
+   *
+   * @public
+   *
+   * @param {object} entry - Manifest entry.
+   */
+  params: function (entry) {
+    var params = {};
+
+    _.each(HEADERS, function (param, name) {
+      if (entry[name]) {
+        params[param] = entry[name];
+      }
+    });
+
+    return params;
+  },
+
+  /**
+   * Create manifest entry for an object only known from a
+   * listing (no headers).
+   *
+   * @public
+   *
+   * @param {object} content - listObjects content.
+   */
+  content: function (content) {
+    return {
+      hash: content.ETag.replace(/"/g, ''),
+      size: content.Size
+    };
+  },
+
+  /**
+   * Create listObjects-like contents (Key, ETag, Size) from a
+   * manifest.
+   *
+   * @public
+   *
+   * @param {object} manifest - Manifest to list.
+   */
+  contents: function (manifest) {
+    return _.map(manifest.objects, function (entry, key) {
+      return { Key: key, ETag: '"' + entry.hash + '"', Size: entry.size };
+    });
+  },
+
+  /**
+   * Check if key is reserved for deploy records.
+   *
+   * @public
+   *
+   * @param {string} key - Bucket key.
+   */
+  isReserved: function (key) {
+    return key.indexOf(PREFIX) === 0;
+  },
+
+  /**
+   * Read the git commit checked out in directoryPath. Calls back
+   * with undefined if it is not within a git repository.
+   *
+   * @public
+   *
+   * @param {string} directoryPath - Directory to inspect.
+   * @param {function} callback - Function executed with commit.
+   */
+  commit: function (directoryPath, callback) {
+    var options = { cwd: directoryPath };
+
+    childProcess.execFile('git', ['rev-parse', 'HEAD'], options, function (err, stdout) {
+      callback(null, err ? undefined : stdout.trim());
+    });
+  }
+
+};
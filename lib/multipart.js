@@ -0,0 +1,125 @@
+/*!
+ * multipart.js
+ * 
+ * Copyright (c) 2014
+ */
+
+// core
+var fs = require('fs');
+var crypto = require('crypto');
+
+// 3rd party
+var _ = require('underscore');
+
+
+/* -----------------------------------------------------------------------------
+ * scope
+ * ---------------------------------------------------------------------------*/
+
+var MB = 1024 * 1024;
+
+// s3 limits on part size and number of parts.
+var MIN_PART_SIZE = 5 * MB;
+var MAX_PARTS = 10000;
+
+// Used when `options.multipart` does not specify otherwise.
+var DEFAULTS = {
+  threshold   : 16 * MB,
+  partSize    : 8 * MB,
+  concurrency : 4
+};
+
+
+/* -----------------------------------------------------------------------------
+ * multipart
+ * ---------------------------------------------------------------------------*/
+
+module.exports = {
+
+  /**
+   * Create multipart options from `options.multipart`. Throws
+   * if the part size is below the s3 minimum.
+   *
+   * @public
+   *
+   * @param {object} multipart - `options.multipart` (optional).
+   */
+  options: function (multipart) {
+    var options = _.extend({}, DEFAULTS, multipart);
+
+    if (options.partSize < MIN_PART_SIZE) {
+      throw new Error('Multipart partSize must be at least ' + MIN_PART_SIZE + ' bytes');
+    }
+
+    return options;
+  },
+
+  /**
+   * Check if a file is large enough to be uploaded in parts.
+   *
+   * @public
+   *
+   * @param {object} options - Options created by `options`.
+   * @param {number} size - Size of file in bytes.
+   */
+  matches: function (options, size) {
+    return size >= options.threshold;
+  },
+
+  /**
+   * Split a file into parts. The part size grows if needed to
+   * stay within the s3 limit on number of parts.
+   *
+   * @public
+   *
+   * @param {object} options - Options created by `options`.
+   * @param {number} size - Size of file in bytes.
+   */
+  parts: function (options, size) {
+    var partSize = Math.max(options.partSize, Math.ceil(size / MAX_PARTS));
+
+    return _.map(_.range(0, Math.ceil(size / partSize)), function (i) {
+      return {
+        PartNumber: i + 1,
+        start: i * partSize,
+        end: Math.min(size, (i + 1) * partSize) - 1
+      };
+    });
+  },
+
+  /**
+   * Compute the ETag s3 assigns to a multipart upload of a file:
+   * the md5 of the concatenated part md5s, followed by the number
+   * of parts. Parts are hashed one at a time from disk.
+   *
+   * @public
+   *
+   * @param {object} options - Options created by `options`.
+   * @param {string} filePath - Path of file.
+   * @param {number} size - Size of file in bytes.
+   * @param {function} callback - Function executed with ETag.
+   */
+  etag: function (options, filePath, size, callback) {
+    var parts = this.parts(options, size);
+    var digests = [];
+
+    var next = function (i) {
+      if (i === parts.length) {
+        var md5 = crypto.createHash('md5').update(Buffer.concat(digests)).digest('hex');
+        return callback(null, '"' + md5 + '-' + parts.length + '"');
+      }
+
+      var hash = crypto.createHash('md5');
+      fs.createReadStream(filePath, { start: parts[i].start, end: parts[i].end })
+        .on('data', function (chunk) { hash.update(chunk); })
+        .on('error', callback)
+        .on('end', function () {
+          digests.push(hash.digest());
+          next(i + 1);
+        });
+    };
+
+    next(0);
+  }
+
+};
@@ -0,0 +1,178 @@
+/*!
+ * plan.js
+ * 
+ * Copyright (c) 2014
+ */
+
+// 3rd party
+var _ = require('underscore');
+
+
+/* -----------------------------------------------------------------------------
+ * plan
+ * ---------------------------------------------------------------------------*/
+
+module.exports = {
+
+  /**
+   * Create an empty plan. Configuration left unchanged is null,
+   * while an empty lifecycle or cors rule list (or logging status)
+   * means the configuration is removed.
+   *
+   * @public
+   *
+   * @param {string} bucketName - Name of bucket the plan applies to.
+   * @param {string} mode - deploy, sync, release or destroy.
+   */
+  create: function (bucketName, mode) {
+    return {
+      bucket: bucketName,
+      mode: mode,
+      buckets: { create: [], remove: [] },
+      redirects: [],
+      website: null,
+      policy: null,
+      versioning: null,
+      lifecycle: null,
+      cors: null,
+      logging: null,
+      objects: { upload: [], overwrite: [], remove: [] }
+    };
+  },
+
+  /**
+   * Create plan entry for an object from its putObject params
+   * (params of multipart uploads hold a ContentLength instead of
+   * a Body).
+   *
+   * @public
+   *
+   * @param {object} params - putObject params.
+   */
+  object: function (params) {
+    var entry = {
+      key: params.Key,
+      size: params.Body ? params.Body.length : params.ContentLength,
+      contentType: params.ContentType
+    };
+
+    if (params.ContentEncoding) {
+      entry.contentEncoding = params.ContentEncoding;
+    }
+
+    if (params.CacheControl) {
+      entry.cacheControl = params.CacheControl;
+    }
+
+    return entry;
+  },
+
+  /**
+   * Create human-readable description of a plan.
+   *
+   * @public
+   *
+   * @param {object} plan - Plan to describe.
+   */
+  format: function (plan) {
+    var lines = ['Plan (' + plan.mode + ') for bucket ' + plan.bucket + ':'];
+
+    _.each(plan.buckets.remove, function (name) {
+      lines.push('  - delete bucket ' + name);
+    });
+
+    _.each(plan.buckets.create, function (name) {
+      lines.push('  + create bucket ' + name);
+    });
+
+    if (plan.website) {
+      lines.push('  ~ website index ' + plan.website.IndexDocument.Suffix
+        + (plan.website.ErrorDocument ? ', error ' + plan.website.ErrorDocument.Key : '')
+        + ', ' + (plan.website.RoutingRules || []).length + ' routing rule(s)');
+    }
+
+    _.each(plan.redirects, function (redirect) {
+      lines.push('  ~ redirect ' + redirect.bucket + ' -> '
+        + (redirect.to.Protocol ? redirect.to.Protocol + '://' : '') + redirect.to.HostName);
+    });
+
+    if (plan.policy) {
+      lines.push('  ~ policy ' + _.map(plan.policy.Statement, function (statement) {
+        var resources = statement.Resource || _.map(statement.NotResource, function (resource) {
+          return 'not ' + resource;
+        });
+
+        return statement.Effect + ' ' + [].concat(resources).join(', ');
+      }).join('; '));
+    }
+
+    if (plan.versioning) {
+      lines.push('  ~ versioning ' + plan.versioning);
+    }
+
+    _.each(['lifecycle', 'cors'], function (name) {
+      if (plan[name]) {
+        lines.push(plan[name].length
+          ? '  ~ ' + name + ' ' + plan[name].length + ' rule(s)'
+          : '  - ' + name);
+      }
+    });
+
+    if (plan.logging) {
+      lines.push(plan.logging.LoggingEnabled
+        ? '  ~ logging to ' + plan.logging.LoggingEnabled.TargetBucket + '/' + plan.logging.LoggingEnabled.TargetPrefix
+        : '  - logging');
+    }
+
+    _.each(plan.objects.upload, function (entry) {
+      lines.push('  + ' + describe(entry));
+    });
+
+    _.each(plan.objects.overwrite, function (entry) {
+      lines.push('  ~ ' + describe(entry));
+    });
+
+    _.each(plan.objects.remove, function (entry) {
+      lines.push('  - ' + entry.key);
+    });
+
+    lines.push([
+      plan.objects.upload.length + ' to upload',
+      plan.objects.overwrite.length + ' to overwrite',
+      plan.objects.remove.length + ' to remove'
+    ].join(', '));
+
+    return lines.join('\n');
+  }
+
+};
+
+
+/* -----------------------------------------------------------------------------
+ * utils
+ * ---------------------------------------------------------------------------*/
+
+/**
+ * Describe an object entry on a single line.
+ *
+ * @private
+ *
+ * @param {object} entry - Plan object entry.
+ */
+var describe = function (entry) {
+  if (entry.redirect) {
+    return entry.key + ' -> ' + entry.redirect;
+  }
+
+  var details = [entry.size + ' B', entry.contentType];
+
+  if (entry.contentEncoding) {
+    details.push(entry.contentEncoding);
+  }
+
+  if (entry.cacheControl) {
+    details.push(entry.cacheControl);
+  }
+
+  return entry.key + ' (' + details.join(', ') + ')';
+};
@@ -0,0 +1,237 @@
+/*!
+ * policy.js
+ *
+ * Copyright (c) 2014
+ */
+
+// 3rd party
+var _ = require('underscore');
+
+// lib
+var template = require('./policy.json');
+
+
+/* -----------------------------------------------------------------------------
+ * scope
+ * ---------------------------------------------------------------------------*/
+
+// Maximum size (bytes) of a bucket policy accepted by s3.
+var MAX_SIZE = 20480;
+
+// Supported restriction keys.
+var RESTRICTIONS = ['sourceIps', 'referers', 'requireTls', 'private'];
+
+// IPv4 address with optional CIDR suffix.
+var IPV4 = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})(\/(\d{1,2}))?$/;
+
+// IPv6 address with optional CIDR suffix (loosely checked).
+var IPV6 = /^[0-9a-f:]*:[0-9a-f:.]*(\/\d{1,3})?$/i;
+
+
+/* -----------------------------------------------------------------------------
+ * policy
+ * ---------------------------------------------------------------------------*/
+
+module.exports = {
+
+  /**
+   * Create bucket policy from `options.policy`. A full policy
+   * document (anything with a `Statement`) is validated and used
+   * as is. Otherwise a public read policy is built, narrowed by
+   * any restrictions:
+   *
+   *   sourceIps  - IPs/CIDRs allowed to read
+   *   referers   - Referer values (wildcards allowed) required to read
+   *   requireTls - deny reads over plain http
+   *   private    - key prefixes never made public
+   *
+   * A new document is returned on every call. Throws if the
+   * policy is invalid.
+   *
+   * @public
+   *
+   * @param {string} bucketName - Name of bucket policy applies to.
+   * @param {object} options - `options.policy` (optional).
+   */
+  document: function (bucketName, options) {
+    var document = options && options.Statement
+      ? JSON.parse(JSON.stringify(options))
+      : this.build(bucketName, options || {});
+
+    this.validate(bucketName, document);
+
+    return document;
+  },
+
+  /**
+   * Build public read policy narrowed by restrictions. Without
+   * restrictions the default policy (policy.json) is returned.
+   *
+   * @public
+   *
+   * @param {string} bucketName - Name of bucket policy applies to.
+   * @param {object} restrictions - Policy restrictions.
+   */
+  build: function (bucketName, restrictions) {
+    var unknown = _.difference(_.keys(restrictions), RESTRICTIONS);
+    var arn = 'arn:aws:s3:::' + bucketName;
+
+    if (unknown.length) {
+      throw new Error('Unknown policy option(s): ' + unknown.join(', '));
+    }
+
+    var document = JSON.parse(JSON.stringify(template));
+    var statement = document.Statement[0];
+    statement.Resource += bucketName + '/*';
+
+    if (_.isEmpty(restrictions)) {
+      return document;
+    }
+
+    // conditions and NotResource require the current version
+    document.Version = '2012-10-17';
+
+    var condition = {};
+    var sourceIps = list(restrictions, 'sourceIps');
+    var referers = list(restrictions, 'referers');
+    var prefixes = list(restrictions, 'private');
+
+    _.each(sourceIps, function (ip) {
+      if (!isIp(ip)) {
+        throw new Error('Policy sourceIps entry "' + ip + '" is not an IP address or CIDR');
+      }
+    });
+
+    if (sourceIps.length) {
+      condition.IpAddress = { 'aws:SourceIp': sourceIps };
+    }
+
+    if (referers.length) {
+      condition.StringLike = { 'aws:Referer': referers };
+    }
+
+    if (!_.isEmpty(condition)) {
+      statement.Condition = condition;
+    }
+
+    // everything but private prefixes is public. Private keys stay
+    // readable by the owner's credentials.
+    if (prefixes.length) {
+      delete statement.Resource;
+      statement.NotResource = _.map(prefixes, function (prefix) {
+        return arn + '/' + prefix.replace(/^\//, '') + '*';
+      });
+    }
+
+    if (restrictions.requireTls) {
+      document.Statement.push({
+        Sid: 'DenyInsecureTransport',
+        Effect: 'Deny',
+        Principal: { AWS: '*' },
+        Action: 's3:*',
+        Resource: [arn, arn + '/*'],
+        Condition: { Bool: { 'aws:SecureTransport': 'false' } }
+      });
+    }
+
+    return document;
+  },
+
+  /**
+   * Validate a policy document before it is sent to s3. Throws
+   * describing the first problem found.
+   *
+   * @public
+   *
+   * @param {string} bucketName - Name of bucket policy applies to.
+   * @param {object} document - Policy document.
+   */
+  validate: function (bucketName, document) {
+    var arn = 'arn:aws:s3:::' + bucketName;
+
+    if (!_.isArray(document.Statement) || !document.Statement.length) {
+      throw new Error('Policy must have at least one statement');
+    }
+
+    if (document.Version && !_.contains(['2008-10-17', '2012-10-17'], document.Version)) {
+      throw new Error('Policy version "' + document.Version + '" is not supported');
+    }
+
+    _.each(document.Statement, function (statement, i) {
+      var name = 'Policy statement ' + (statement.Sid || i + 1);
+      var resources = [].concat(statement.Resource || statement.NotResource || []);
+
+      if (!_.contains(['Allow', 'Deny'], statement.Effect)) {
+        throw new Error(name + ' Effect must be "Allow" or "Deny"');
+      }
+
+      if (!statement.Principal && !statement.NotPrincipal) {
+        throw new Error(name + ' must have a Principal');
+      }
+
+      if (!statement.Action && !statement.NotAction) {
+        throw new Error(name + ' must have an Action');
+      }
+
+      if (!resources.length) {
+        throw new Error(name + ' must have a Resource');
+      }
+
+      _.each(resources, function (resource) {
+        if (resource !== arn && resource.indexOf(arn + '/') !== 0) {
+          throw new Error(name + ' resource "' + resource + '" is not within bucket ' + bucketName);
+        }
+      });
+    });
+
+    if (JSON.stringify(document).length > MAX_SIZE) {
+      throw new Error('Policy exceeds ' + MAX_SIZE + ' bytes');
+    }
+  }
+
+};
+
+
+/* -----------------------------------------------------------------------------
+ * utils
+ * ---------------------------------------------------------------------------*/
+
+/**
+ * Read a restriction which may be a single string or a list of
+ * non-empty strings. Throws otherwise.
+ *
+ * @private
+ *
+ * @param {object} restrictions - Policy restrictions.
+ * @param {string} key - Restriction to read.
+ */
+var list = function (restrictions, key) {
+  var values = [].concat(restrictions[key] || []);
+
+  _.each(values, function (value) {
+    if (!_.isString(value) || !value) {
+      throw new Error('Policy ' + key + ' must be non-empty strings');
+    }
+  });
+
+  return values;
+};
+
+/**
+ * Check if value is an IPv4/IPv6 address or CIDR range.
+ *
+ * @private
+ *
+ * @param {string} value - Value to check.
+ */
+var isIp = function (value) {
+  var match = IPV4.exec(value);
+
+  if (match) {
+    return _.every(match.slice(1, 5), function (octet) {
+      return Number(octet) <= 255;
+    }) && (!match[6] || Number(match[6]) <= 32);
+  }
+
+  return IPV6.test(value);
+};
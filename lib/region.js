@@ -0,0 +1,116 @@
+/*!
+ * region.js
+ *
+ * Copyright (c) 2014
+ */
+
+// 3rd party
+var _ = require('underscore');
+
+
+/* -----------------------------------------------------------------------------
+ * scope
+ * ---------------------------------------------------------------------------*/
+
+// Region used when neither `options.region` nor s3config.region
+// is set.
+var DEFAULT = 'us-east-1';
+
+// Regions whose website endpoints are named s3-website-[region].
+// Newer regions use s3-website.[region].
+var DASH_REGIONS = [
+  'us-east-1',
+  'us-west-1',
+  'us-west-2',
+  'eu-west-1',
+  'ap-southeast-1',
+  'ap-southeast-2',
+  'ap-northeast-1',
+  'sa-east-1',
+  'us-gov-west-1'
+];
+
+// Legacy LocationConstraint values returned by getBucketLocation.
+var LOCATIONS = {
+  ''  : 'us-east-1',
+  'EU': 'eu-west-1'
+};
+
+
+/* -----------------------------------------------------------------------------
+ * region
+ * ---------------------------------------------------------------------------*/
+
+module.exports = {
+
+  /**
+   * Default region.
+   *
+   * @public
+   */
+  DEFAULT: DEFAULT,
+
+  /**
+   * Resolve the region a bucket lives in: `options.region`, then
+   * s3config.region, then us-east-1. Throws if it is invalid.
+   *
+   * @public
+   *
+   * @param {object} options - s3site options.
+   * @param {object} s3config - AWS.S3 constructor options.
+   */
+  resolve: function (options, s3config) {
+    var name = options.region || (s3config || {}).region || DEFAULT;
+
+    if (!/^[a-z]{2}(-gov)?-[a-z]+-\d$/.test(name)) {
+      throw new Error('Region "' + name + '" is not a valid AWS region');
+    }
+
+    return name;
+  },
+
+  /**
+   * Website endpoint host of a region.
+   *
+   * @public
+   *
+   * @param {string} name - Region.
+   */
+  websiteHost: function (name) {
+    name = name || DEFAULT;
+
+    return _.contains(DASH_REGIONS, name)
+      ? 's3-website-' + name + '.amazonaws.com'
+      : 's3-website.' + name + '.amazonaws.com';
+  },
+
+  /**
+   * createBucket params placing a bucket in region (none for
+   * us-east-1, which rejects a LocationConstraint).
+   *
+   * @public
+   *
+   * @param {string} name - Region.
+   */
+  createParams: function (name) {
+    return !name || name === DEFAULT
+      ? {}
+      : { CreateBucketConfiguration: { LocationConstraint: name } };
+  },
+
+  /**
+   * Region of a getBucketLocation LocationConstraint.
+   *
+   * @public
+   *
+   * @param {string} constraint - LocationConstraint (if any).
+   */
+  fromLocation: function (constraint) {
+    constraint = constraint || '';
+
+    return _.has(LOCATIONS, constraint)
+      ? LOCATIONS[constraint]
+      : constraint;
+  }
+
+};
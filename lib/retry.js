@@ -0,0 +1,88 @@
+/*!
+ * retry.js
+ * 
+ * Copyright (c) 2014
+ */
+
+// 3rd party
+var _ = require('underscore');
+
+
+/* -----------------------------------------------------------------------------
+ * scope
+ * ---------------------------------------------------------------------------*/
+
+// Defaults used when `options.retries`/`options.retryDelay` are not set.
+var RETRIES = 3;
+var RETRY_DELAY = 200;
+
+// Error codes returned when s3 is throttling requests or the
+// network failed.
+var RETRYABLE_CODES = [
+  'SlowDown',
+  'Throttling',
+  'RequestTimeout',
+  'ServiceUnavailable',
+  'InternalError',
+  'NetworkingError',
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN'
+];
+
+
+/* -----------------------------------------------------------------------------
+ * retry
+ * ---------------------------------------------------------------------------*/
+
+module.exports = {
+
+  /**
+   * Execute task, retrying with exponential backoff and full
+   * jitter while it fails with a retryable error.
+   *
+   * @public
+   *
+   * @param {object} options - s3site options (retries, retryDelay).
+   * @param {function} task - Function accepting a callback.
+   * @param {function} callback - Function executed with the result
+   *   of the last attempt.
+   */
+  run: function (options, task, callback) {
+    var retries = _.has(options, 'retries') ? options.retries : RETRIES;
+    var retryDelay = _.has(options, 'retryDelay') ? options.retryDelay : RETRY_DELAY;
+    var attempt = 0;
+
+    var next = _.bind(function () {
+      task(_.bind(function (err) {
+        if (!err || attempt >= retries || !this.isRetryable(err)) {
+          return callback.apply(null, arguments);
+        }
+
+        var delay = Math.random() * retryDelay * Math.pow(2, attempt);
+        attempt++;
+
+        setTimeout(next, delay);
+      }, this));
+    }, this);
+
+    next();
+  },
+
+  /**
+   * Check if error is caused by throttling, a server error or the
+   * network.
+   *
+   * @public
+   *
+   * @param {Error} err - Error to check.
+   */
+  isRetryable: function (err) {
+    return _.contains(RETRYABLE_CODES, err.code)
+      || err.statusCode === 429
+      || err.statusCode >= 500;
+  }
+
+};
@@ -4,8 +4,63 @@
  * Copyright (c) 2014
  */
 
+// 3rd party
+var _ = require('underscore');
+
 // lib
 var Bucket = require('./bucket').Bucket;
+var Server = require('./server').Server;
+
+
+/* -----------------------------------------------------------------------------
+ * scope
+ * ---------------------------------------------------------------------------*/
+
+// Port used by serve when `options.port` is not set.
+var PORT = 8080;
+
+
+/* -----------------------------------------------------------------------------
+ * utils
+ * ---------------------------------------------------------------------------*/
+
+/**
+ * Create bucket. Invalid options (domain, region) are passed to
+ * callback instead of being thrown.
+ *
+ * @private
+ *
+ * @param {object} options - s3site options.
+ * @param {object} s3config - AWS.s3 constructor options.
+ * @param {function} callback - Function executed with any error.
+ * @returns {Bucket} bucket - null if options are invalid.
+ */
+var create = function (options, s3config, callback) {
+  try {
+    return new Bucket(options, s3config);
+  } catch (err) {
+    return fail(err, callback);
+  }
+};
+
+/**
+ * Pass err to callback once the calling wrapper has returned.
+ *
+ * @private
+ *
+ * @param {Error} err - Error to pass.
+ * @param {function} callback - Function executed with err.
+ * @returns {null} - Returned by wrappers in place of a bucket.
+ */
+var fail = function (err, callback) {
+  process.nextTick(function () {
+    if (callback) {
+      callback(err);
+    }
+  });
+
+  return null;
+};
 
 
 /* -----------------------------------------------------------------------------
@@ -17,17 +72,223 @@ module.exports = {
   /**
    * Upload a local folder to a bucket in s3. If a
    * bucket by the specified name already exists, first
-   * remove the bucket and all of its contents.
+   * remove the bucket and all of its contents. With
+   * `options.dryRun` only the plan is returned.
    *
    * @public
    *
    * @param {object} options - s3site options.
    * @param {object} s3config - AWS.s3 constructor options.
    * @param {function} callback - Function executed after deploy.
+   * @returns {Bucket} bucket - Emits progress events (null if
+   *   options are invalid).
    */
   deploy: function (options, s3config, callback) {
-    var bucket = new Bucket(options, s3config);
-    bucket.deploy(callback);
+    var bucket = create(options, s3config, callback);
+
+    if (bucket) {
+      bucket.deploy(callback);
+    }
+
+    return bucket;
+  },
+
+  /**
+   * Sync a local folder with a bucket in s3. Only new or
+   * changed files are uploaded and files which no longer
+   * exist locally are removed.
+   *
+   * @public
+   *
+   * @param {object} options - s3site options.
+   * @param {object} s3config - AWS.s3 constructor options.
+   * @param {function} callback - Function executed after sync.
+   * @returns {Bucket} bucket - Emits progress events (null if
+   *   options are invalid).
+   */
+  sync: function (options, s3config, callback) {
+    var bucket = create(options, s3config, callback);
+
+    if (bucket) {
+      bucket.sync(callback);
+    }
+
+    return bucket;
+  },
+
+  /**
+   * Make a previous release live. If no releaseId is passed,
+   * the release prior to the current live release is used.
+   *
+   * @public
+   *
+   * @param {object} options - s3site options.
+   * @param {object} s3config - AWS.s3 constructor options.
+   * @param {string} releaseId - Id of release to make live (optional).
+   * @param {function} callback - Function executed after rollback.
+   * @returns {Bucket} bucket - Emits progress events (null if
+   *   options are invalid).
+   */
+  rollback: function (options, s3config, releaseId, callback) {
+    var bucket = create(options, s3config, _.isFunction(releaseId) ? releaseId : callback);
+
+    if (bucket) {
+      bucket.rollback(releaseId, callback);
+    }
+
+    return bucket;
+  },
+
+  /**
+   * Copy the objects of the `options.from` environment's bucket
+   * into the `options.to` environment's bucket, removing anything
+   * the source does not have. No srcPath is needed.
+   *
+   * @public
+   *
+   * @param {object} options - s3site options (and from, to).
+   * @param {object} s3config - AWS.s3 constructor options.
+   * @param {function} callback - Function executed after promote.
+   * @returns {Bucket} bucket - Target bucket, emits progress events
+   *   (null if options are invalid).
+   */
+  promote: function (options, s3config, callback) {
+    // without `to` the bucket without an env would be overwritten
+    var missing = _.find(['from', 'to'], function (name) {
+      return !options[name] || !_.isString(options[name]);
+    });
+
+    if (missing) {
+      return fail(new Error('Missing environment to promote ' + missing), callback);
+    }
+
+    var bucket = create(_.extend({}, options, { env: options.to }), s3config, callback);
+
+    if (bucket) {
+      bucket.promote(options.from, callback);
+    }
+
+    return bucket;
+  },
+
+  /**
+   * Download every object of a site bucket to `options.dest`,
+   * along with `_redirects` and (with `options.sidecar`) `_headers`
+   * files, so it can be deployed again as is.
+   *
+   * @public
+   *
+   * @param {object} options - s3site options (and dest, sidecar).
+   * @param {object} s3config - AWS.s3 constructor options.
+   * @param {function} callback - Function executed with the
+   *   downloaded and skipped keys.
+   * @returns {Bucket} bucket - Emits progress events (null if
+   *   options are invalid).
+   */
+  pull: function (options, s3config, callback) {
+    var bucket = create(options, s3config, callback);
+
+    if (bucket) {
+      bucket.pull(options.dest, { sidecar: options.sidecar }, callback);
+    }
+
+    return bucket;
+  },
+
+  /**
+   * Remove a site bucket and all of its contents.
+   *
+   * @public
+   *
+   * @param {object} options - s3site options.
+   * @param {object} s3config - AWS.s3 constructor options.
+   * @param {function} callback - Function executed after destroy.
+   * @returns {Bucket} bucket - Emits progress events (null if
+   *   options are invalid).
+   */
+  destroy: function (options, s3config, callback) {
+    var bucket = create(options, s3config, callback);
+
+    if (bucket) {
+      bucket.destroy(callback);
+    }
+
+    return bucket;
+  },
+
+  /**
+   * Retrieve bucket name, website url and a summary of the
+   * bucket contents.
+   *
+   * @public
+   *
+   * @param {object} options - s3site options.
+   * @param {object} s3config - AWS.s3 constructor options.
+   * @param {function} callback - Function executed with info.
+   * @returns {Bucket} bucket - Emits progress events (null if
+   *   options are invalid).
+   */
+  info: function (options, s3config, callback) {
+    var bucket = create(options, s3config, callback);
+
+    if (bucket) {
+      bucket.info(callback);
+    }
+
+    return bucket;
+  },
+
+  /**
+   * List manifests of past deploys, newest first.
+   *
+   * @public
+   *
+   * @param {object} options - s3site options.
+   * @param {object} s3config - AWS.s3 constructor options.
+   * @param {function} callback - Function executed with manifests.
+   * @returns {Bucket} bucket - Emits progress events (null if
+   *   options are invalid).
+   */
+  history: function (options, s3config, callback) {
+    var bucket = create(options, s3config, callback);
+
+    if (bucket) {
+      bucket.history(callback);
+    }
+
+    return bucket;
+  },
+
+  /**
+   * Serve srcPath locally the way s3 website hosting would
+   * serve it once deployed.
+   *
+   * @public
+   *
+   * @param {object} options - s3site options (and port).
+   * @param {function} callback - Function executed once listening, or
+   *   with an error if the server cannot start.
+   * @returns {Server} server
+   */
+  serve: function (options, callback) {
+    var port = options.port === undefined ? PORT : options.port;
+    var server;
+
+    callback = callback || function () {};
+
+    try {
+      server = new Server(options);
+    } catch (err) {
+      return callback(err);
+    }
+
+    server.listen(port, function (err) {
+      return err
+        ? callback(err)
+        : callback(null, server.server.address().port);
+    });
+
+    return server;
   }
 
 };
\ No newline at end of file
@@ -0,0 +1,322 @@
+/*!
+ * server.js
+ * 
+ * Copyright (c) 2014
+ */
+
+// core
+var path = require('path');
+var fs = require('fs');
+var url = require('url');
+var http = require('http');
+var crypto = require('crypto');
+
+// 3rd party
+var _ = require('underscore');
+var mime = require('mime');
+
+// lib
+var website = require('./website');
+var headers = require('./headers');
+var compress = require('./compress');
+
+
+/* -----------------------------------------------------------------------------
+ * scope
+ * ---------------------------------------------------------------------------*/
+
+// Files in srcPath which are never uploaded and therefore not served.
+var IGNORED = ['_redirects', '_headers'];
+
+
+/* -----------------------------------------------------------------------------
+ * Server
+ * ---------------------------------------------------------------------------*/
+
+/**
+ * Serve srcPath over http the way s3 website hosting would
+ * serve it once deployed: index documents, trailing slash
+ * redirects, error document, routing rules, `_redirects` and
+ * the headers uploadFile would set.
+ *
+ * @constructor
+ * @public
+ *
+ * @param {object} options - s3site options.
+ */
+var Server = function (options) {
+  this.options = options;
+  this.srcPath = path.resolve(options.srcPath);
+
+  this.config = website.configuration(options.website);
+  this.headerRules = headers.rules(options, this._readHeaders());
+  this.compress = compress.options(options.compress);
+  this.redirects = this._readRedirects();
+
+  _.bindAll(this, 'handle', 'listen', 'respond', 'serveObject',
+    'serveError', '_route', '_redirect', '_lookup', '_readRedirects',
+    '_readHeaders');
+
+  this.server = http.createServer(this.handle);
+};
+
+/**
+ * Start listening.
+ *
+ * @public
+ *
+ * @param {number} port - Port to listen on (0 for any).
+ * @param {function} callback - Function executed once listening, or
+ *   with an error if the port cannot be used.
+ */
+Server.prototype.listen = function (port, callback) {
+  var server = this.server;
+
+  server.once('error', callback);
+  server.listen(port, function () {
+    server.removeListener('error', callback);
+    callback();
+  });
+};
+
+/**
+ * Handle an http request.
+ *
+ * @public
+ *
+ * @param {http.IncomingMessage} req - Request.
+ * @param {http.ServerResponse} res - Response.
+ */
+Server.prototype.handle = function (req, res) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    return this.respond(req, res, 405, { 'Content-Type': 'text/plain' }, '405 Method Not Allowed');
+  }
+
+  var key;
+
+  try {
+    key = decodeURIComponent(url.parse(req.url).pathname).substr(1);
+  } catch (err) {
+    return this.respond(req, res, 400, { 'Content-Type': 'text/plain' }, '400 Bad Request');
+  }
+
+  // routing rules without an error condition apply before lookup
+  var rule = this._route(key);
+  if (rule) {
+    return this._redirect(req, res, rule, key);
+  }
+
+  this._lookup(key, _.bind(function (err, found) {
+    if (err) {
+      return this.respond(req, res, 500, { 'Content-Type': 'text/plain' }, err.message);
+    }
+
+    if (found.redirect) {
+      return this.respond(req, res, found.status, { 'Location': found.redirect }, '');
+    }
+
+    if (found.filePath) {
+      return this.serveObject(req, res, 200, found.key, found.filePath);
+    }
+
+    var errorRule = this._route(key, '404');
+    return errorRule
+      ? this._redirect(req, res, errorRule, key)
+      : this.serveError(req, res);
+  }, this));
+};
+
+/**
+ * Serve a file with the headers s3 would serve it with.
+ *
+ * @public
+ *
+ * @param {http.IncomingMessage} req - Request.
+ * @param {http.ServerResponse} res - Response.
+ * @param {number} status - Response status code.
+ * @param {string} key - Bucket key of file.
+ * @param {string} filePath - Absolute path of file.
+ */
+Server.prototype.serveObject = function (req, res, status, key, filePath) {
+  fs.readFile(filePath, _.bind(function (err, buffer) {
+    if (err) {
+      return this.respond(req, res, 500, { 'Content-Type': 'text/plain' }, err.message);
+    }
+
+    compress.body(this.compress, filePath, buffer, _.bind(function (err, body, encoding) {
+      var params = _.extend({
+        ContentType: mime.lookup(filePath)
+      }, headers.params(this.headerRules, key));
+
+      if (encoding) {
+        params.ContentEncoding = encoding;
+      }
+
+      var responseHeaders = _.extend(headers.http(params), {
+        'ETag': '"' + crypto.createHash('md5').update(body).digest('hex') + '"',
+        'Content-Length': body.length
+      });
+
+      this.respond(req, res, status, responseHeaders, body);
+    }, this));
+  }, this));
+};
+
+/**
+ * Serve the error document (if configured and present) or a
+ * plain 404.
+ *
+ * @public
+ *
+ * @param {http.IncomingMessage} req - Request.
+ * @param {http.ServerResponse} res - Response.
+ */
+Server.prototype.serveError = function (req, res) {
+  var errorDocument = this.config.ErrorDocument;
+  var filePath = errorDocument && path.join(this.srcPath, errorDocument.Key);
+
+  fs.stat(filePath || this.srcPath, _.bind(function (err, stats) {
+    return filePath && !err && stats.isFile()
+      ? this.serveObject(req, res, 404, errorDocument.Key, filePath)
+      : this.respond(req, res, 404, { 'Content-Type': 'text/plain' }, '404 Not Found');
+  }, this));
+};
+
+/**
+ * Write response (without body for HEAD requests).
+ *
+ * @public
+ */
+Server.prototype.respond = function (req, res, status, responseHeaders, body) {
+  res.writeHead(status, responseHeaders);
+  res.end(req.method === 'HEAD' ? undefined : body);
+};
+
+
+/* -----------------------------------------------------------------------------
+ * utils
+ * ---------------------------------------------------------------------------*/
+
+/**
+ * Find the first routing rule matching key and error code.
+ * Without an error code only rules without an error condition
+ * are considered.
+ *
+ * @private
+ *
+ * @param {string} key - Requested key.
+ * @param {string} errorCode - Error code returned for key (optional).
+ */
+Server.prototype._route = function (key, errorCode) {
+  return _.find(this.config.RoutingRules || [], function (rule) {
+    var condition = rule.Condition || {};
+    var prefix = condition.KeyPrefixEquals || '';
+
+    return key.indexOf(prefix) === 0
+      && condition.HttpErrorCodeReturnedEquals === errorCode;
+  });
+};
+
+/**
+ * Respond with redirect described by routing rule.
+ *
+ * @private
+ */
+Server.prototype._redirect = function (req, res, rule, key) {
+  var redirect = rule.Redirect;
+  var prefix = (rule.Condition || {}).KeyPrefixEquals || '';
+
+  if (_.has(redirect, 'ReplaceKeyWith')) {
+    key = redirect.ReplaceKeyWith;
+  } else if (_.has(redirect, 'ReplaceKeyPrefixWith')) {
+    key = redirect.ReplaceKeyPrefixWith + key.substr(prefix.length);
+  }
+
+  var location = (redirect.Protocol || 'http') + '://'
+    + (redirect.HostName || req.headers.host) + '/' + key;
+
+  this.respond(req, res, Number(redirect.HttpRedirectCode || 301), {
+    'Location': location
+  }, '');
+};
+
+/**
+ * Resolve key to a `_redirects` entry, a file, or a trailing
+ * slash redirect for directories with an index document.
+ *
+ * @private
+ *
+ * @param {string} key - Requested key.
+ * @param {function} callback - Function executed with result.
+ */
+Server.prototype._lookup = function (key, callback) {
+  var suffix = this.config.IndexDocument.Suffix;
+  var objectKey = !key || /\/$/.test(key) ? key + suffix : key;
+  var redirect = _.findWhere(this.redirects, { key: objectKey });
+
+  if (redirect) {
+    return callback(null, { redirect: redirect.location, status: 301 });
+  }
+
+  var filePath = path.join(this.srcPath, objectKey);
+  var isFile = function (filePath, callback) {
+    fs.stat(filePath, function (err, stats) {
+      callback(!err && stats.isFile());
+    });
+  };
+
+  // keys outside of srcPath or never uploaded do not exist
+  if (filePath.indexOf(this.srcPath + path.sep) !== 0 || _.contains(IGNORED, objectKey)) {
+    return callback(null, {});
+  }
+
+  isFile(filePath, function (exists) {
+    if (exists) {
+      return callback(null, { key: objectKey, filePath: filePath });
+    }
+
+    if (objectKey !== key) {
+      return callback(null, {});
+    }
+
+    isFile(path.join(filePath, suffix), function (exists) {
+      return exists
+        ? callback(null, { redirect: '/' + key + '/', status: 302 })
+        : callback(null, {});
+    });
+  });
+};
+
+/**
+ * Read `_redirects` from srcPath (if present).
+ *
+ * @private
+ */
+Server.prototype._readRedirects = function () {
+  var redirectsPath = path.join(this.srcPath, '_redirects');
+
+  return fs.existsSync(redirectsPath)
+    ? website.parseRedirects(fs.readFileSync(redirectsPath, 'utf8'), this.config.IndexDocument.Suffix)
+    : [];
+};
+
+/**
+ * Read header rules from `_headers` in srcPath (if present).
+ * Unsupported headers are skipped, as they are on upload.
+ *
+ * @private
+ */
+Server.prototype._readHeaders = function () {
+  var headersPath = path.join(this.srcPath, '_headers');
+
+  return fs.existsSync(headersPath)
+    ? headers.parseFile(fs.readFileSync(headersPath, 'utf8'), this.config.IndexDocument.Suffix).rules
+    : [];
+};
+
+
+/* -----------------------------------------------------------------------------
+ * export
+ * ---------------------------------------------------------------------------*/
+
+module.exports = { Server: Server };
@@ -0,0 +1,226 @@
+/*!
+ * storage/fs.js
+ * 
+ * Copyright (c) 2014
+ */
+
+// core
+var path = require('path');
+var fs = require('fs');
+var util = require('util');
+
+// 3rd party
+var _ = require('underscore');
+
+// lib
+var MemoryStorage = require('./memory').MemoryStorage;
+var files = require('../files');
+
+
+/* -----------------------------------------------------------------------------
+ * scope
+ * ---------------------------------------------------------------------------*/
+
+// Directory (within rootPath) holding bucket configuration and
+// object metadata.
+var META_DIR = '.s3-site';
+
+// Directory (within rootPath) holding the bodies of noncurrent
+// object versions, by bucket.
+var VERSIONS_DIR = '.s3-site-versions';
+
+
+/* -----------------------------------------------------------------------------
+ * FsStorage
+ * ---------------------------------------------------------------------------*/
+
+/**
+ * Storage adapter which keeps buckets in a local directory.
+ * Each bucket is a subdirectory holding its objects as files.
+ * Bucket configuration and object (and version) metadata are
+ * kept as json in `.s3-site/[bucket].json`, and bodies of
+ * noncurrent versions in `.s3-site-versions/[bucket]`. State
+ * survives across processes.
+ *
+ * @constructor
+ * @public
+ *
+ * @param {string} rootPath - Directory to store buckets in.
+ * @param {string} clientRegion - Region requests are sent to
+ *   (optional).
+ */
+var FsStorage = function (rootPath, clientRegion) {
+  MemoryStorage.call(this, clientRegion);
+
+  this.rootPath = path.resolve(rootPath);
+  this._load();
+};
+
+util.inherits(FsStorage, MemoryStorage);
+
+
+/* -----------------------------------------------------------------------------
+ * storage hooks
+ * ---------------------------------------------------------------------------*/
+
+/**
+ * Write object body to `[rootPath]/[bucket]/[key]`.
+ *
+ * @private
+ */
+FsStorage.prototype._write = function (name, key, object, body) {
+  var filePath = this._objectPath(name, key);
+
+  files.mkdirp(path.dirname(filePath));
+  fs.writeFileSync(filePath, body);
+};
+
+/**
+ * Read object body from its file.
+ *
+ * @private
+ */
+FsStorage.prototype._read = function (name, key) {
+  return fs.readFileSync(this._objectPath(name, key));
+};
+
+/**
+ * Remove object file.
+ *
+ * @private
+ */
+FsStorage.prototype._unlink = function (name, key) {
+  var filePath = this._objectPath(name, key);
+
+  if (fs.existsSync(filePath)) {
+    fs.unlinkSync(filePath);
+  }
+};
+
+/**
+ * Copy the current object file as the body of a noncurrent
+ * version, before it is replaced or removed.
+ *
+ * @private
+ */
+FsStorage.prototype._writeVersion = function (name, key, object) {
+  var filePath = this._objectPath(name, key);
+  var versionPath = this._versionPath(name, key, object.VersionId);
+
+  if (fs.existsSync(filePath)) {
+    files.mkdirp(path.dirname(versionPath));
+    fs.writeFileSync(versionPath, fs.readFileSync(filePath));
+  }
+};
+
+/**
+ * Move the body of a noncurrent version back to the object file.
+ *
+ * @private
+ */
+FsStorage.prototype._restoreVersion = function (name, key, object) {
+  var filePath = this._objectPath(name, key);
+  var versionPath = this._versionPath(name, key, object.VersionId);
+
+  if (fs.existsSync(versionPath)) {
+    files.mkdirp(path.dirname(filePath));
+    fs.renameSync(versionPath, filePath);
+  }
+};
+
+/**
+ * Remove the body of a noncurrent version.
+ *
+ * @private
+ */
+FsStorage.prototype._unlinkVersion = function (name, key, object) {
+  var versionPath = this._versionPath(name, key, object.VersionId);
+
+  if (fs.existsSync(versionPath)) {
+    fs.unlinkSync(versionPath);
+  }
+};
+
+/**
+ * Write bucket metadata, or remove bucket directory and metadata
+ * once the bucket has been deleted.
+ *
+ * @private
+ */
+FsStorage.prototype._persist = function (name) {
+  var bucket = this.buckets[name];
+  var metaPath = this._metaPath(name);
+
+  if (!bucket) {
+    files.rmrf(path.join(this.rootPath, name));
+    files.rmrf(path.join(this.rootPath, VERSIONS_DIR, name));
+    return files.rmrf(metaPath);
+  }
+
+  files.mkdirp(path.join(this.rootPath, name));
+  files.mkdirp(path.dirname(metaPath));
+
+  fs.writeFileSync(metaPath, JSON.stringify(_.omit(bucket, 'uploads'), null, 2));
+};
+
+
+/* -----------------------------------------------------------------------------
+ * utils
+ * ---------------------------------------------------------------------------*/
+
+/**
+ * Load buckets previously written to rootPath.
+ *
+ * @private
+ */
+FsStorage.prototype._load = function () {
+  var metaDir = path.join(this.rootPath, META_DIR);
+
+  if (!fs.existsSync(metaDir)) {
+    return;
+  }
+
+  _.each(fs.readdirSync(metaDir), function (file) {
+    var meta = JSON.parse(fs.readFileSync(path.join(metaDir, file), 'utf8'));
+
+    this.buckets[path.basename(file, '.json')] = _.extend(meta, { uploads: {} });
+  }, this);
+};
+
+/**
+ * @private
+ */
+FsStorage.prototype._objectPath = function (name, key) {
+  var bucketPath = path.join(this.rootPath, name);
+  var filePath = path.join(bucketPath, key);
+
+  if (filePath.indexOf(bucketPath + path.sep) !== 0) {
+    throw new Error('Key "' + key + '" resolves outside of bucket directory');
+  }
+
+  return filePath;
+};
+
+/**
+ * Versions of all keys share a directory, so their file names
+ * hold the (encoded) key along with the version id.
+ *
+ * @private
+ */
+FsStorage.prototype._versionPath = function (name, key, versionId) {
+  return path.join(this.rootPath, VERSIONS_DIR, name, encodeURIComponent(key) + '.' + versionId);
+};
+
+/**
+ * @private
+ */
+FsStorage.prototype._metaPath = function (name) {
+  return path.join(this.rootPath, META_DIR, name + '.json');
+};
+
+
+/* -----------------------------------------------------------------------------
+ * export
+ * ---------------------------------------------------------------------------*/
+
+module.exports = { FsStorage: FsStorage };
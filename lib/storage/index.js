@@ -0,0 +1,65 @@
+/*!
+ * storage/index.js
+ * 
+ * Copyright (c) 2014
+ */
+
+// 3rd party
+var _ = require('underscore');
+
+// lib
+var s3 = require('./s3');
+var MemoryStorage = require('./memory').MemoryStorage;
+var FsStorage = require('./fs').FsStorage;
+
+
+/* -----------------------------------------------------------------------------
+ * storage
+ * ---------------------------------------------------------------------------*/
+
+module.exports = {
+
+  MemoryStorage: MemoryStorage,
+  FsStorage: FsStorage,
+
+  /**
+   * Create storage adapter from `options.storage`:
+   *
+   *   undefined / 's3'            - Amazon S3 (default)
+   *   'memory'                    - in-memory buckets
+   *   { type: 'fs', path: [dir] } - buckets in a local directory
+   *   adapter instance            - used as is
+   *
+   * @public
+   *
+   * @param {string|object} storage - `options.storage`.
+   * @param {object} s3config - AWS.S3 constructor options.
+   */
+  create: function (storage, s3config) {
+    var type = _.isString(storage) ? storage : (storage || {}).type;
+    var region = (s3config || {}).region;
+
+    if (storage && !type) {
+      return storage;
+    }
+
+    if (!type || type === 's3') {
+      return s3.create(s3config);
+    }
+
+    if (type === 'memory') {
+      return new MemoryStorage(region);
+    }
+
+    if (type === 'fs') {
+      if (!storage.path) {
+        throw new Error('fs storage requires a "path"');
+      }
+
+      return new FsStorage(storage.path, region);
+    }
+
+    throw new Error('Unknown storage type "' + type + '"');
+  }
+
+};
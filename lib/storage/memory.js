@@ -0,0 +1,862 @@
+/*!
+ * storage/memory.js
+ * 
+ * Copyright (c) 2014
+ */
+
+// core
+var crypto = require('crypto');
+var stream = require('stream');
+
+// 3rd party
+var _ = require('underscore');
+
+// lib
+var region = require('../region');
+
+
+/* -----------------------------------------------------------------------------
+ * scope
+ * ---------------------------------------------------------------------------*/
+
+// Maximum number of keys returned by a single listObjects call.
+var MAX_KEYS = 1000;
+
+// putObject params stored along with an object.
+var OBJECT_PARAMS = ['ContentType', 'ContentEncoding', 'CacheControl',
+  'Expires', 'ContentDisposition', 'ContentLanguage', 'Metadata',
+  'WebsiteRedirectLocation'];
+
+
+/* -----------------------------------------------------------------------------
+ * MemoryStorage
+ * ---------------------------------------------------------------------------*/
+
+/**
+ * Storage adapter which keeps buckets in memory. Implements the
+ * subset of the AWS.S3 interface used by Bucket (same method
+ * names, params, responses and error codes), so deploys can run
+ * without a network. Resulting state is available on `buckets`.
+ *
+ * @constructor
+ * @public
+ *
+ * @param {string} clientRegion - Region requests are sent to, as
+ *   AWS.S3 `region` (optional).
+ */
+var MemoryStorage = function (clientRegion) {
+  this.buckets = {};
+  this.region = clientRegion || region.DEFAULT;
+};
+
+/**
+ * Check bucket exists. Fails with PermanentRedirect if it lives
+ * in a different region than the client.
+ *
+ * @public
+ */
+MemoryStorage.prototype.headBucket = function (params, callback) {
+  this._bucket(params, callback, function (bucket) {
+    if (region.fromLocation(bucket.location) !== this.region) {
+      throw error('PermanentRedirect', 301, 'The bucket you are attempting to access must be addressed using the specified endpoint');
+    }
+
+    return {};
+  });
+};
+
+/**
+ * Get bucket region as a LocationConstraint (empty for
+ * us-east-1).
+ *
+ * @public
+ */
+MemoryStorage.prototype.getBucketLocation = function (params, callback) {
+  this._bucket(params, callback, function (bucket) {
+    return { LocationConstraint: bucket.location || '' };
+  });
+};
+
+/**
+ * Create bucket (no-op if it already exists), in the region of
+ * CreateBucketConfiguration.LocationConstraint.
+ *
+ * @public
+ */
+MemoryStorage.prototype.createBucket = function (params, callback) {
+  var name = params.Bucket;
+  var config = params.CreateBucketConfiguration || {};
+
+  if (!this.buckets[name]) {
+    this.buckets[name] = {
+      location: config.LocationConstraint || '',
+      objects: {}, versions: {}, uploads: {},
+      website: null, policy: null, versioning: null, lifecycle: null,
+      cors: null, logging: null
+    };
+    this._persist(name);
+  }
+
+  respond(callback, null, { Location: '/' + name });
+};
+
+/**
+ * Delete bucket. Fails with BucketNotEmpty if it holds objects
+ * or versions.
+ *
+ * @public
+ */
+MemoryStorage.prototype.deleteBucket = function (params, callback) {
+  this._bucket(params, callback, function (bucket) {
+    if (!_.isEmpty(bucket.objects) || _.some(bucket.versions, _.size)) {
+      throw error('BucketNotEmpty', 409, 'The bucket you tried to delete is not empty');
+    }
+
+    delete this.buckets[params.Bucket];
+    this._persist(params.Bucket);
+
+    return {};
+  });
+};
+
+/**
+ * List objects in key order, honouring Prefix, Marker and MaxKeys.
+ *
+ * @public
+ */
+MemoryStorage.prototype.listObjects = function (params, callback) {
+  this._bucket(params, callback, function (bucket) {
+    var maxKeys = Math.min(params.MaxKeys || MAX_KEYS, MAX_KEYS);
+
+    var keys = _.filter(_.keys(bucket.objects).sort(), function (key) {
+      return key.indexOf(params.Prefix || '') === 0
+        && (!params.Marker || key > params.Marker);
+    });
+
+    var Contents = _.map(_.first(keys, maxKeys), function (key) {
+      var object = bucket.objects[key];
+      return _.pick(object, 'Key', 'ETag', 'Size', 'LastModified');
+    });
+
+    return {
+      IsTruncated: keys.length > maxKeys,
+      Contents: Contents
+    };
+  });
+};
+
+/**
+ * Store object, computing its md5 ETag.
+ *
+ * @public
+ */
+MemoryStorage.prototype.putObject = function (params, callback) {
+  toBuffer(params.Body, _.bind(function (err, body) {
+    if (err) {
+      return callback(err);
+    }
+
+    this._bucket(params, callback, function (bucket) {
+      var ETag = '"' + md5(body).digest('hex') + '"';
+      this._store(params.Bucket, bucket, params, body, ETag);
+
+      return { ETag: ETag };
+    });
+  }, this));
+};
+
+/**
+ * Get object with its body and stored headers.
+ *
+ * @public
+ */
+MemoryStorage.prototype.getObject = function (params, callback) {
+  this._bucket(params, callback, function (bucket) {
+    var object = bucket.objects[params.Key];
+
+    if (!object) {
+      throw error('NoSuchKey', 404, 'The specified key does not exist.');
+    }
+
+    return _.extend(_.omit(object, 'Key', 'Size'), {
+      ContentLength: object.Size,
+      Body: this._read(params.Bucket, params.Key, object)
+    });
+  });
+};
+
+/**
+ * Get object headers without its body.
+ *
+ * @public
+ */
+MemoryStorage.prototype.headObject = function (params, callback) {
+  this._bucket(params, callback, function (bucket) {
+    var object = bucket.objects[params.Key];
+
+    if (!object) {
+      throw error('NotFound', 404, null);
+    }
+
+    return _.extend(_.omit(object, 'Key', 'Size', 'Body'), {
+      ContentLength: object.Size
+    });
+  });
+};
+
+/**
+ * Copy an object from `CopySource` (`bucket/key`, url encoded).
+ * Headers are copied unless `MetadataDirective` is 'REPLACE'. As
+ * on S3, `WebsiteRedirectLocation` is never copied.
+ *
+ * @public
+ */
+MemoryStorage.prototype.copyObject = function (params, callback) {
+  var copySource = decodeURIComponent(params.CopySource).replace(/^\//, '');
+  var separator = copySource.indexOf('/');
+  var name = copySource.slice(0, separator);
+  var key = copySource.slice(separator + 1);
+
+  this._bucket({ Bucket: name }, callback, function (source) {
+    var object = source.objects[key];
+
+    if (!object) {
+      throw error('NoSuchKey', 404, 'The specified key does not exist.');
+    }
+
+    var headers = params.MetadataDirective === 'REPLACE'
+      ? _.pick(params, OBJECT_PARAMS)
+      : _.extend(_.omit(_.pick(object, OBJECT_PARAMS), 'WebsiteRedirectLocation'),
+        _.pick(params, 'WebsiteRedirectLocation'));
+
+    var body = this._read(name, key, object);
+    var bucket = this.buckets[params.Bucket];
+
+    if (!bucket) {
+      throw error('NoSuchBucket', 404, 'The specified bucket does not exist');
+    }
+
+    this._store(params.Bucket, bucket, _.extend(headers, { Key: params.Key }), body, object.ETag);
+
+    return {
+      CopyObjectResult: { ETag: object.ETag, LastModified: bucket.objects[params.Key].LastModified }
+    };
+  });
+};
+
+/**
+ * Delete objects. Missing keys are reported as deleted, as on S3.
+ * In versioned buckets a delete marker is added unless a specific
+ * VersionId is deleted.
+ *
+ * @public
+ */
+MemoryStorage.prototype.deleteObjects = function (params, callback) {
+  this._bucket(params, callback, function (bucket) {
+    var Deleted = _.map(params.Delete.Objects, function (object) {
+      return object.VersionId
+        ? this._deleteVersion(params.Bucket, bucket, object.Key, object.VersionId)
+        : this._delete(params.Bucket, bucket, object.Key);
+    }, this);
+
+    this._persist(params.Bucket);
+
+    return { Deleted: Deleted, Errors: [] };
+  });
+};
+
+/**
+ * Store website configuration.
+ *
+ * @public
+ */
+MemoryStorage.prototype.putBucketWebsite = function (params, callback) {
+  this._bucket(params, callback, function (bucket) {
+    bucket.website = params.WebsiteConfiguration;
+    this._persist(params.Bucket);
+
+    return {};
+  });
+};
+
+/**
+ * Get website configuration.
+ *
+ * @public
+ */
+MemoryStorage.prototype.getBucketWebsite = function (params, callback) {
+  this._bucket(params, callback, function (bucket) {
+    if (!bucket.website) {
+      throw error('NoSuchWebsiteConfiguration', 404, 'The specified bucket does not have a website configuration');
+    }
+
+    return bucket.website;
+  });
+};
+
+/**
+ * List current and noncurrent object versions and delete markers.
+ *
+ * @public
+ */
+MemoryStorage.prototype.listObjectVersions = function (params, callback) {
+  this._bucket(params, callback, function (bucket) {
+    var keys = _.union(_.keys(bucket.objects), _.keys(bucket.versions)).sort();
+    var records = [];
+
+    _.each(keys, function (key) {
+      if (key.indexOf(params.Prefix || '') !== 0) {
+        return;
+      }
+
+      var versions = (bucket.versions[key] || []).slice().reverse();
+      var current = bucket.objects[key];
+
+      _.each(current ? [current].concat(versions) : versions, function (record, i) {
+        records.push(_.extend(_.pick(record, 'Key', 'VersionId', 'ETag', 'Size',
+          'LastModified', 'IsDeleteMarker'), { IsLatest: i === 0 }));
+      });
+    });
+
+    return {
+      IsTruncated: false,
+      Versions: _.map(_.reject(records, isMarker), function (record) {
+        return _.omit(record, 'IsDeleteMarker');
+      }),
+      DeleteMarkers: _.map(_.filter(records, isMarker), function (record) {
+        return _.pick(record, 'Key', 'VersionId', 'IsLatest', 'LastModified');
+      })
+    };
+  });
+};
+
+/**
+ * Set versioning status (Enabled or Suspended).
+ *
+ * @public
+ */
+MemoryStorage.prototype.putBucketVersioning = function (params, callback) {
+  this._bucket(params, callback, function (bucket) {
+    bucket.versioning = params.VersioningConfiguration.Status;
+    this._persist(params.Bucket);
+
+    return {};
+  });
+};
+
+/**
+ * Get versioning status (empty if versioning was never enabled).
+ *
+ * @public
+ */
+MemoryStorage.prototype.getBucketVersioning = function (params, callback) {
+  this._bucket(params, callback, function (bucket) {
+    return bucket.versioning ? { Status: bucket.versioning } : {};
+  });
+};
+
+/**
+ * Store lifecycle configuration.
+ *
+ * @public
+ */
+MemoryStorage.prototype.putBucketLifecycle = function (params, callback) {
+  this._bucket(params, callback, function (bucket) {
+    bucket.lifecycle = params.LifecycleConfiguration;
+    this._persist(params.Bucket);
+
+    return {};
+  });
+};
+
+/**
+ * Get lifecycle rules.
+ *
+ * @public
+ */
+MemoryStorage.prototype.getBucketLifecycle = function (params, callback) {
+  this._bucket(params, callback, function (bucket) {
+    if (!bucket.lifecycle) {
+      throw error('NoSuchLifecycleConfiguration', 404, 'The lifecycle configuration does not exist');
+    }
+
+    return bucket.lifecycle;
+  });
+};
+
+/**
+ * Remove lifecycle configuration.
+ *
+ * @public
+ */
+MemoryStorage.prototype.deleteBucketLifecycle = function (params, callback) {
+  this._bucket(params, callback, function (bucket) {
+    bucket.lifecycle = null;
+    this._persist(params.Bucket);
+
+    return {};
+  });
+};
+
+/**
+ * Store bucket policy (parsed).
+ *
+ * @public
+ */
+MemoryStorage.prototype.putBucketPolicy = function (params, callback) {
+  this._bucket(params, callback, function (bucket) {
+    bucket.policy = JSON.parse(params.Policy);
+    this._persist(params.Bucket);
+
+    return {};
+  });
+};
+
+/**
+ * Store CORS configuration.
+ *
+ * @public
+ */
+MemoryStorage.prototype.putBucketCors = function (params, callback) {
+  this._bucket(params, callback, function (bucket) {
+    bucket.cors = params.CORSConfiguration;
+    this._persist(params.Bucket);
+
+    return {};
+  });
+};
+
+/**
+ * Get CORS configuration.
+ *
+ * @public
+ */
+MemoryStorage.prototype.getBucketCors = function (params, callback) {
+  this._bucket(params, callback, function (bucket) {
+    if (!bucket.cors) {
+      throw error('NoSuchCORSConfiguration', 404, 'The CORS configuration does not exist');
+    }
+
+    return bucket.cors;
+  });
+};
+
+/**
+ * Remove CORS configuration.
+ *
+ * @public
+ */
+MemoryStorage.prototype.deleteBucketCors = function (params, callback) {
+  this._bucket(params, callback, function (bucket) {
+    bucket.cors = null;
+    this._persist(params.Bucket);
+
+    return {};
+  });
+};
+
+/**
+ * Store logging status. Fails with InvalidTargetBucketForLogging
+ * if the target bucket does not exist.
+ *
+ * @public
+ */
+MemoryStorage.prototype.putBucketLogging = function (params, callback) {
+  this._bucket(params, callback, function (bucket) {
+    var enabled = params.BucketLoggingStatus.LoggingEnabled;
+
+    if (enabled && !this.buckets[enabled.TargetBucket]) {
+      throw error('InvalidTargetBucketForLogging', 400, 'The target bucket for logging does not exist');
+    }
+
+    bucket.logging = enabled || null;
+    this._persist(params.Bucket);
+
+    return {};
+  });
+};
+
+/**
+ * Get logging status (empty if logging is disabled).
+ *
+ * @public
+ */
+MemoryStorage.prototype.getBucketLogging = function (params, callback) {
+  this._bucket(params, callback, function (bucket) {
+    return bucket.logging ? { LoggingEnabled: bucket.logging } : {};
+  });
+};
+
+/**
+ * Start multipart upload.
+ *
+ * @public
+ */
+MemoryStorage.prototype.createMultipartUpload = function (params, callback) {
+  this._bucket(params, callback, function (bucket) {
+    var UploadId = randomId();
+    bucket.uploads[UploadId] = { params: params, parts: {}, initiated: new Date() };
+
+    return { UploadId: UploadId };
+  });
+};
+
+/**
+ * List multipart uploads in progress.
+ *
+ * @public
+ */
+MemoryStorage.prototype.listMultipartUploads = function (params, callback) {
+  this._bucket(params, callback, function (bucket) {
+    var Uploads = _.map(bucket.uploads, function (upload, UploadId) {
+      return { Key: upload.params.Key, UploadId: UploadId, Initiated: upload.initiated };
+    });
+
+    return { IsTruncated: false, Uploads: _.sortBy(Uploads, 'Key') };
+  });
+};
+
+/**
+ * Store a single part of a multipart upload.
+ *
+ * @public
+ */
+MemoryStorage.prototype.uploadPart = function (params, callback) {
+  toBuffer(params.Body, _.bind(function (err, body) {
+    if (err) {
+      return callback(err);
+    }
+
+    this._upload(params, callback, function (bucket, upload) {
+      var ETag = '"' + md5(body).digest('hex') + '"';
+      upload.parts[params.PartNumber] = { ETag: ETag, Body: body };
+
+      return { ETag: ETag };
+    });
+  }, this));
+};
+
+/**
+ * Assemble uploaded parts into an object with a multipart ETag.
+ *
+ * @public
+ */
+MemoryStorage.prototype.completeMultipartUpload = function (params, callback) {
+  this._upload(params, callback, function (bucket, upload) {
+    var parts = _.map(params.MultipartUpload.Parts, function (part) {
+      var uploaded = upload.parts[part.PartNumber];
+
+      if (!uploaded || uploaded.ETag !== part.ETag) {
+        throw error('InvalidPart', 400, 'One or more of the specified parts could not be found');
+      }
+
+      return uploaded.Body;
+    });
+
+    var digests = _.map(parts, function (body) {
+      return md5(body).digest();
+    });
+
+    var ETag = '"' + md5(Buffer.concat(digests)).digest('hex') + '-' + parts.length + '"';
+    this._store(params.Bucket, bucket, upload.params, Buffer.concat(parts), ETag);
+    delete bucket.uploads[params.UploadId];
+
+    return { ETag: ETag };
+  });
+};
+
+/**
+ * Discard multipart upload and its parts.
+ *
+ * @public
+ */
+MemoryStorage.prototype.abortMultipartUpload = function (params, callback) {
+  this._upload(params, callback, function (bucket) {
+    delete bucket.uploads[params.UploadId];
+    return {};
+  });
+};
+
+
+/* -----------------------------------------------------------------------------
+ * storage hooks (overridden by persistent adapters)
+ * ---------------------------------------------------------------------------*/
+
+/**
+ * Store object body.
+ *
+ * @private
+ */
+MemoryStorage.prototype._write = function (name, key, object, body) {
+  object.Body = body;
+};
+
+/**
+ * Read object body.
+ *
+ * @private
+ */
+MemoryStorage.prototype._read = function (name, key, object) {
+  return object.Body;
+};
+
+/**
+ * Remove object body.
+ *
+ * @private
+ */
+MemoryStorage.prototype._unlink = function () {};
+
+/**
+ * Keep the body of a version which is no longer current. Memory
+ * versions keep their body.
+ *
+ * @private
+ */
+MemoryStorage.prototype._writeVersion = function () {};
+
+/**
+ * Make the body of a noncurrent version the object body again.
+ *
+ * @private
+ */
+MemoryStorage.prototype._restoreVersion = function () {};
+
+/**
+ * Remove the body of a noncurrent version.
+ *
+ * @private
+ */
+MemoryStorage.prototype._unlinkVersion = function () {};
+
+/**
+ * Persist bucket state (or its removal).
+ *
+ * @private
+ */
+MemoryStorage.prototype._persist = function () {};
+
+
+/* -----------------------------------------------------------------------------
+ * utils
+ * ---------------------------------------------------------------------------*/
+
+/**
+ * Store object with body and its putObject params.
+ *
+ * @private
+ */
+MemoryStorage.prototype._store = function (name, bucket, params, body, ETag) {
+  var object = _.extend(_.pick(params, OBJECT_PARAMS), {
+    Key: params.Key,
+    VersionId: bucket.versioning === 'Enabled' ? randomId() : 'null',
+    ETag: ETag,
+    Size: body.length,
+    LastModified: new Date()
+  });
+
+  this._archive(name, bucket, params.Key);
+  bucket.objects[params.Key] = object;
+  this._write(name, params.Key, object, body);
+  this._persist(name);
+};
+
+/**
+ * Keep the current version of key as a noncurrent version before
+ * it is replaced, if versioning is (or was) enabled. The 'null'
+ * version is replaced in place while versioning is suspended.
+ *
+ * @private
+ */
+MemoryStorage.prototype._archive = function (name, bucket, key) {
+  var current = bucket.objects[key];
+
+  if (!current || !bucket.versioning) {
+    return;
+  }
+
+  if (bucket.versioning === 'Suspended' && current.VersionId === 'null') {
+    return;
+  }
+
+  bucket.versions[key] = (bucket.versions[key] || []).concat(current);
+  this._writeVersion(name, key, current);
+};
+
+/**
+ * Delete current object, adding a delete marker in versioned
+ * buckets.
+ *
+ * @private
+ */
+MemoryStorage.prototype._delete = function (name, bucket, key) {
+  var deleted = { Key: key };
+
+  this._archive(name, bucket, key);
+
+  if (bucket.objects[key]) {
+    delete bucket.objects[key];
+    this._unlink(name, key);
+  }
+
+  if (bucket.versioning === 'Enabled') {
+    var marker = { Key: key, VersionId: randomId(), IsDeleteMarker: true, LastModified: new Date() };
+    bucket.versions[key] = (bucket.versions[key] || []).concat(marker);
+
+    deleted.DeleteMarker = true;
+    deleted.DeleteMarkerVersionId = marker.VersionId;
+  }
+
+  return deleted;
+};
+
+/**
+ * Permanently delete a specific version (or delete marker). When
+ * the current version is deleted, the latest noncurrent version
+ * becomes current.
+ *
+ * @private
+ */
+MemoryStorage.prototype._deleteVersion = function (name, bucket, key, versionId) {
+  var current = bucket.objects[key];
+  var versions = bucket.versions[key] || [];
+
+  if (current && current.VersionId === versionId) {
+    delete bucket.objects[key];
+    this._unlink(name, key);
+
+    var latest = _.last(versions);
+    if (latest && !latest.IsDeleteMarker) {
+      bucket.objects[key] = versions.pop();
+      this._restoreVersion(name, key, latest);
+    }
+  } else {
+    versions = _.reject(versions, function (version) {
+      if (version.VersionId !== versionId) {
+        return false;
+      }
+
+      if (!version.IsDeleteMarker) {
+        this._unlinkVersion(name, key, version);
+      }
+
+      return true;
+    }, this);
+  }
+
+  bucket.versions[key] = versions;
+  if (!versions.length) {
+    delete bucket.versions[key];
+  }
+
+  return { Key: key, VersionId: versionId };
+};
+
+/**
+ * Execute fn with the bucket named in params, responding with
+ * its result or a NoSuchBucket error.
+ *
+ * @private
+ */
+MemoryStorage.prototype._bucket = function (params, callback, fn) {
+  var bucket = this.buckets[params.Bucket];
+
+  if (!bucket) {
+    return respond(callback, error('NoSuchBucket', 404, 'The specified bucket does not exist'));
+  }
+
+  try {
+    respond(callback, null, fn.call(this, bucket));
+  } catch (err) {
+    respond(callback, err);
+  }
+};
+
+/**
+ * Execute fn with the bucket and multipart upload named in params.
+ *
+ * @private
+ */
+MemoryStorage.prototype._upload = function (params, callback, fn) {
+  this._bucket(params, callback, function (bucket) {
+    var upload = bucket.uploads[params.UploadId];
+
+    if (!upload) {
+      throw error('NoSuchUpload', 404, 'The specified upload does not exist');
+    }
+
+    return fn.call(this, bucket, upload);
+  });
+};
+
+/**
+ * Create an error shaped like those returned by AWS.S3.
+ *
+ * @private
+ */
+var error = function (code, statusCode, message) {
+  var err = new Error(message);
+  err.code = code;
+  err.name = code;
+  err.statusCode = statusCode;
+
+  return err;
+};
+
+/**
+ * Call callback asynchronously, as AWS.S3 would.
+ *
+ * @private
+ */
+var respond = function (callback, err, data) {
+  process.nextTick(function () {
+    callback(err, err ? null : data);
+  });
+};
+
+/**
+ * Read a putObject/uploadPart Body (Buffer, string or stream)
+ * into a Buffer.
+ *
+ * @private
+ */
+var toBuffer = function (body, callback) {
+  if (!(body instanceof stream.Readable)) {
+    return callback(null, Buffer.isBuffer(body) ? body : new Buffer(body || ''));
+  }
+
+  var chunks = [];
+  body.on('data', function (chunk) { chunks.push(chunk); });
+  body.on('error', callback);
+  body.on('end', function () {
+    callback(null, Buffer.concat(chunks));
+  });
+};
+
+/**
+ * @private
+ */
+var isMarker = function (record) {
+  return !!record.IsDeleteMarker;
+};
+
+/**
+ * @private
+ */
+var randomId = function () {
+  return crypto.randomBytes(8).toString('hex');
+};
+
+/**
+ * @private
+ */
+var md5 = function (buffer) {
+  return crypto.createHash('md5').update(buffer);
+};
+
+
+/* -----------------------------------------------------------------------------
+ * export
+ * ---------------------------------------------------------------------------*/
+
+module.exports = { MemoryStorage: MemoryStorage, error: error };
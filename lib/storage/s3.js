@@ -0,0 +1,29 @@
+/*!
+ * storage/s3.js
+ * 
+ * Copyright (c) 2014
+ */
+
+// 3rd party
+var AWS = require('aws-sdk');
+
+
+/* -----------------------------------------------------------------------------
+ * s3
+ * ---------------------------------------------------------------------------*/
+
+module.exports = {
+
+  /**
+   * Create storage adapter backed by Amazon S3. AWS.S3 itself
+   * defines the storage interface other adapters implement.
+   *
+   * @public
+   *
+   * @param {object} s3config - AWS.S3 constructor options.
+   */
+  create: function (s3config) {
+    return new AWS.S3(s3config || {});
+  }
+
+};
@@ -0,0 +1,239 @@
+/*!
+ * verify.js
+ *
+ * Copyright (c) 2014
+ */
+
+// core
+var http = require('http');
+var url = require('url');
+var crypto = require('crypto');
+
+// 3rd party
+var _ = require('underscore');
+
+// lib
+var headers = require('./headers');
+
+
+/* -----------------------------------------------------------------------------
+ * scope
+ * ---------------------------------------------------------------------------*/
+
+// Defaults used when `options.verify` keys are not set. Mismatching
+// paths are requested again `retries` times, `delay` ms apart, as
+// new objects may take a while to be served.
+var DEFAULTS = {
+  paths   : ['/'],
+  retries : 5,
+  delay   : 2000,
+  timeout : 10000
+};
+
+// Response headers compared to the headers objects were uploaded
+// with. Expires is left out as noCache sets it to the upload time.
+var CHECKED_HEADERS = ['Content-Type', 'Content-Encoding', 'Cache-Control'];
+
+// Redirects followed (release routing rules redirect to the live
+// release).
+var MAX_REDIRECTS = 5;
+
+
+/* -----------------------------------------------------------------------------
+ * verify
+ * ---------------------------------------------------------------------------*/
+
+module.exports = {
+
+  /**
+   * Normalize `options.verify`, either true or:
+   *
+   *   paths   - paths requested besides the index (['/'])
+   *   retries - requests repeated while a path mismatches (5)
+   *   delay   - ms between requests of a path (2000)
+   *   timeout - ms before a request fails (10000)
+   *
+   * Returns null when verification is off. Throws if invalid.
+   *
+   * @public
+   *
+   * @param {object|boolean} verify - `options.verify`.
+   */
+  options: function (verify) {
+    if (!verify) {
+      return null;
+    }
+
+    var options = _.extend({}, DEFAULTS, verify === true ? {} : verify);
+
+    _.each(options.paths, function (urlPath) {
+      if (!_.isString(urlPath) || urlPath.charAt(0) !== '/') {
+        throw new Error('verify path "' + urlPath + '" must start with "/"');
+      }
+    });
+
+    _.each(['retries', 'delay', 'timeout'], function (key) {
+      if (!_.isNumber(options[key]) || options[key] < 0) {
+        throw new Error('verify.' + key + ' must be a positive number');
+      }
+    });
+
+    options.paths = _.uniq(['/'].concat(options.paths));
+
+    return options;
+  },
+
+  /**
+   * Bucket key served at a path.
+   *
+   * @public
+   *
+   * @param {string} urlPath - Absolute url path.
+   * @param {string} index - Website index document suffix.
+   */
+  key: function (urlPath, index) {
+    var key = decodeURI(urlPath.split('?')[0]).replace(/^\//, '');
+
+    return !key || key.slice(-1) === '/'
+      ? key + index
+      : key;
+  },
+
+  /**
+   * Compare a response to the putObject params of the object it
+   * should serve.
+   *
+   * @public
+   *
+   * @param {object} params - Expected putObject params.
+   * @param {object} res - Response (status, headers, body).
+   * @returns {array} problems - Empty if response matches.
+   */
+  compare: function (params, res) {
+    if (res.status !== 200) {
+      return ['status ' + res.status + ' (expected 200)'];
+    }
+
+    var expected = headers.http(params);
+
+    var problems = _.compact(_.map(CHECKED_HEADERS, function (name) {
+      var actual = res.headers[name.toLowerCase()];
+
+      return actual !== expected[name]
+        ? name + ' ' + quote(actual) + ' (expected ' + quote(expected[name]) + ')'
+        : null;
+    }));
+
+    if (params.Body) {
+      var hash = md5(params.Body);
+      var actual = md5(res.body);
+
+      if (actual !== hash) {
+        problems.push('body md5 ' + actual + ' (expected ' + hash + ')');
+      }
+    } else if (Number(res.headers['content-length']) !== params.ContentLength) {
+      problems.push('Content-Length ' + res.headers['content-length']
+        + ' (expected ' + params.ContentLength + ')');
+    }
+
+    return problems;
+  },
+
+  /**
+   * Request url, following redirects.
+   *
+   * @public
+   *
+   * @param {string} target - Absolute url.
+   * @param {number} timeout - ms before the request fails.
+   * @param {function} callback - Function executed with the final
+   *   response (status, headers, body, url).
+   */
+  request: function (target, timeout, callback) {
+    var redirects = 0;
+
+    var get = function (target) {
+      // a request may fail several ways (timeout, abort, error)
+      // but only the first outcome counts
+      var done = _.once(function (err, res, body) {
+        var location = res && res.headers['location'];
+
+        if (err) {
+          return callback(err);
+        }
+
+        if (res.statusCode >= 300 && res.statusCode < 400 && location && redirects++ < MAX_REDIRECTS) {
+          return get(url.resolve(target, location));
+        }
+
+        callback(null, {
+          url: target,
+          status: res.statusCode,
+          headers: res.headers,
+          body: body
+        });
+      });
+
+      var incomplete = function () {
+        done(new Error('Response of ' + target + ' ended before it was complete'));
+      };
+
+      var req = http.request(url.parse(target), function (res) {
+        var chunks = [];
+
+        res.on('data', function (chunk) {
+          chunks.push(chunk);
+        });
+
+        res.on('end', function () {
+          done(null, res, Buffer.concat(chunks));
+        });
+
+        res.on('aborted', incomplete);
+        res.on('close', incomplete);
+        res.on('error', done);
+      });
+
+      req.setTimeout(timeout, function () {
+        var err = new Error('Request of ' + target + ' timed out after ' + timeout + ' ms');
+        err.code = 'ETIMEDOUT';
+
+        done(err);
+        req.abort();
+      });
+
+      req.on('error', done);
+      req.end();
+    };
+
+    get(target);
+  }
+
+};
+
+
+/* -----------------------------------------------------------------------------
+ * utils
+ * ---------------------------------------------------------------------------*/
+
+/**
+ * Hex md5 of buffer.
+ *
+ * @private
+ *
+ * @param {Buffer} buffer - Data to hash.
+ */
+var md5 = function (buffer) {
+  return crypto.createHash('md5').update(buffer).digest('hex');
+};
+
+/**
+ * Quote header value for reports.
+ *
+ * @private
+ *
+ * @param {string} value - Header value (if any).
+ */
+var quote = function (value) {
+  return value === undefined ? 'missing' : '"' + value + '"';
+};
@@ -0,0 +1,213 @@
+/*!
+ * website.js
+ * 
+ * Copyright (c) 2014
+ */
+
+// 3rd party
+var _ = require('underscore');
+
+
+/* -----------------------------------------------------------------------------
+ * scope
+ * ---------------------------------------------------------------------------*/
+
+// Maximum number of routing rules s3 accepts per bucket.
+var MAX_ROUTING_RULES = 50;
+
+// Declarative rule keys and the s3 fields they map to.
+var CONDITION_KEYS = {
+  prefix : 'KeyPrefixEquals',
+  status : 'HttpErrorCodeReturnedEquals'
+};
+
+var REDIRECT_KEYS = {
+  replacePrefix : 'ReplaceKeyPrefixWith',
+  replaceKey    : 'ReplaceKeyWith',
+  host          : 'HostName',
+  protocol      : 'Protocol',
+  code          : 'HttpRedirectCode'
+};
+
+
+/* -----------------------------------------------------------------------------
+ * website
+ * ---------------------------------------------------------------------------*/
+
+module.exports = {
+
+  /**
+   * Create s3 WebsiteConfiguration from `options.website`.
+   * Throws if the configuration is invalid.
+   *
+   * @public
+   *
+   * @param {object} options - Website options (index, error, rules).
+   * @param {array} routingRules - Additional s3 routing rules appended
+   *   after the declarative rules (optional).
+   */
+  configuration: function (options, routingRules) {
+    options = options || {};
+
+    var WebsiteConfiguration = {
+      IndexDocument: { Suffix: options.index || 'index.html' }
+    };
+
+    if (options.index && options.index.indexOf('/') !== -1) {
+      throw new Error('Website index "' + options.index + '" must not contain "/"');
+    }
+
+    if (options.error) {
+      WebsiteConfiguration.ErrorDocument = { Key: options.error };
+    }
+
+    var RoutingRules = _.map(options.rules || [], this.routingRule)
+      .concat(routingRules || []);
+
+    if (RoutingRules.length > MAX_ROUTING_RULES) {
+      throw new Error('Website supports at most ' + MAX_ROUTING_RULES + ' routing rules');
+    }
+
+    if (RoutingRules.length) {
+      WebsiteConfiguration.RoutingRules = RoutingRules;
+    }
+
+    return WebsiteConfiguration;
+  },
+
+  /**
+   * Create s3 routing rule from a declarative rule. Throws if
+   * the rule is invalid.
+   *
+   * Example: { prefix: 'docs/', replacePrefix: 'documents/' }
+   *          { status: 404, host: 'example.com', replaceKey: '' }
+   *          { host: 'example.com', protocol: 'https', code: 301 }
+   *
+   * @public
+   *
+   * @param {object} rule - Declarative routing rule.
+   */
+  routingRule: function (rule) {
+    var unknown = _.difference(_.keys(rule),
+      _.keys(CONDITION_KEYS).concat(_.keys(REDIRECT_KEYS)));
+
+    if (unknown.length) {
+      throw new Error('Unknown routing rule option(s): ' + unknown.join(', '));
+    }
+
+    if (_.has(rule, 'replacePrefix') && _.has(rule, 'replaceKey')) {
+      throw new Error('Routing rule cannot set both replacePrefix and replaceKey');
+    }
+
+    if (rule.protocol && !_.contains(['http', 'https'], rule.protocol)) {
+      throw new Error('Routing rule protocol must be "http" or "https"');
+    }
+
+    if (rule.status && !/^[45]\d\d$/.test(rule.status)) {
+      throw new Error('Routing rule status must be a 4xx or 5xx code');
+    }
+
+    if (rule.code && !/^3\d\d$/.test(rule.code)) {
+      throw new Error('Routing rule code must be a 3xx code');
+    }
+
+    var Redirect = mapKeys(rule, REDIRECT_KEYS);
+    if (_.isEmpty(_.omit(Redirect, 'HttpRedirectCode'))) {
+      throw new Error('Routing rule must redirect to a prefix, key, host or protocol');
+    }
+
+    var RoutingRule = { Redirect: Redirect };
+    var Condition = mapKeys(rule, CONDITION_KEYS);
+
+    if (!_.isEmpty(Condition)) {
+      RoutingRule.Condition = Condition;
+    }
+
+    return RoutingRule;
+  },
+
+  /**
+   * Parse the contents of a `_redirects` file. Each line contains
+   * a source path and a destination (path or absolute url),
+   * separated by whitespace. A source path ending in `/`
+   * redirects its index document. Blank lines and lines starting
+   * with `#` are ignored. Throws on malformed lines.
+   *
+   * @public
+   *
+   * @param {string} contents - `_redirects` file contents.
+   * @param {string} index - Website index document suffix.
+   */
+  parseRedirects: function (contents, index) {
+    var redirects = [];
+
+    _.each(contents.split(/\r?\n/), function (line, i) {
+      line = line.trim();
+      if (!line || line.charAt(0) === '#') {
+        return;
+      }
+
+      var parts = line.split(/\s+/);
+      var location = parts[1];
+
+      if (parts.length !== 2 || !/^(\/|https?:\/\/)/.test(location)) {
+        throw new Error('Invalid redirect on line ' + (i + 1) + ': "' + line + '"');
+      }
+
+      var key = parts[0].replace(/^\//, '');
+
+      if (!key || key.slice(-1) === '/') {
+        key += index;
+      }
+
+      redirects.push({
+        key: key,
+        location: location
+      });
+    });
+
+    return redirects;
+  },
+
+  /**
+   * Create `_redirects` file contents, the inverse of
+   * `parseRedirects`.
+   *
+   * @public
+   *
+   * @param {array} redirects - Redirects (key, location).
+   */
+  formatRedirects: function (redirects) {
+    return _.map(_.sortBy(redirects, 'key'), function (redirect) {
+      return '/' + redirect.key + ' ' + redirect.location + '\n';
+    }).join('');
+  }
+
+};
+
+
+/* -----------------------------------------------------------------------------
+ * utils
+ * ---------------------------------------------------------------------------*/
+
+/**
+ * Pick keys of obj found in map and rename them to their
+ * mapped s3 field. Values are converted to strings as s3
+ * expects.
+ *
+ * @private
+ *
+ * @param {object} obj - Object to map.
+ * @param {object} map - Map of keys to s3 fields.
+ */
+var mapKeys = function (obj, map) {
+  var mapped = {};
+
+  _.each(map, function (field, key) {
+    if (_.has(obj, key)) {
+      mapped[field] = String(obj[key]);
+    }
+  });
+
+  return mapped;
+};
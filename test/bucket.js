@@ -7,11 +7,14 @@
 // core
 var path = require('path');
 var fs = require('fs');
+var crypto = require('crypto');
+var zlib = require('zlib');
 
 // 3rd party
 var _ = require('underscore');
 var async = require('async');
 var assert = require('chai').assert;
+var sinon = require('sinon');
 var request = require('request');
 var nock = require('nock');
 var AWS = require('aws-sdk');
@@ -33,6 +36,9 @@ var s3config = {
 };
 
 var sitePath = path.join(__dirname, 'fixtures/site');
+var redirectsPath = path.join(__dirname, 'fixtures/redirects');
+var fingerprintPath = path.join(__dirname, 'fixtures/fingerprint');
+var headersPath = path.join(__dirname, 'fixtures/headers');
 var indexPath = path.join(__dirname, 'fixtures/site/index.html');
 var indexUrl = 'http://s3site-test-site.s3-website-us-east-1.amazonaws.com/';
 var testUrl = 'http://s3site-test-site.s3-website-us-east-1.amazonaws.com/nested/folder/test.html';
@@ -218,6 +224,30 @@ describe('bucket.js', function () {
   });
 
 
+  describe('listContents (paginated)', function () {
+
+    it('Should follow truncated listings.', function (done) {
+      var listObjects = sinon.stub(this.siteBucket.s3, 'listObjects');
+      listObjects.onFirstCall().yields(null, {
+        IsTruncated: true,
+        Contents: [{ Key: 'a.html' }, { Key: 'b.html' }]
+      });
+      listObjects.onSecondCall().yields(null, {
+        IsTruncated: false,
+        Contents: [{ Key: 'c.html' }]
+      });
+
+      this.siteBucket.listContents(function (err, results) {
+        assert.notOk(err);
+        assert.equal(results.length, 3);
+        assert.equal(listObjects.args[1][0].Marker, 'b.html');
+        done();
+      });
+    });
+
+  });
+
+
   /* ---------------------------------------------------------------------------
    * uploadFile
    * -------------------------------------------------------------------------*/
@@ -279,6 +309,42 @@ describe('bucket.js', function () {
   });
 
 
+  describe('removeContents (batched)', function () {
+
+    beforeEach(function () {
+      this.contents = _.times(1500, function (i) {
+        return { Key: i + '.html' };
+      });
+    });
+
+    it('Should remove contents in batches of 1000.', function (done) {
+      var deleteObjects = sinon.stub(this.siteBucket.s3, 'deleteObjects');
+      deleteObjects.yields(null, {});
+
+      this.siteBucket.removeContents(this.contents, function (err) {
+        assert.notOk(err);
+        assert.equal(deleteObjects.callCount, 2);
+        assert.equal(deleteObjects.args[0][0].Delete.Objects.length, 1000);
+        assert.equal(deleteObjects.args[1][0].Delete.Objects.length, 500);
+        done();
+      });
+    });
+
+    it('Should report keys that failed to be removed.', function (done) {
+      sinon.stub(this.siteBucket.s3, 'deleteObjects').yields(null, {
+        Errors: [{ Key: '1.html', Code: 'AccessDenied', Message: 'Access Denied' }]
+      });
+
+      this.siteBucket.removeContents(this.contents, function (err) {
+        assert.include(err.message, '1.html');
+        assert.equal(err.errors.length, 2);
+        done();
+      });
+    });
+
+  });
+
+
   /* ---------------------------------------------------------------------------
    * destroy
    * -------------------------------------------------------------------------*/
@@ -389,4 +455,901 @@ describe('bucket.js', function () {
 
   });
 
-});
\ No newline at end of file
+
+
+  /* ---------------------------------------------------------------------------
+   * sync
+   * -------------------------------------------------------------------------*/
+
+  describe('sync', function () {
+
+    beforeEach(function () {
+      var s3 = this.siteBucket.s3;
+      var index = fs.readFileSync(indexPath);
+      var md5 = crypto.createHash('md5').update(index).digest('hex');
+
+      sinon.stub(s3, 'headBucket').yields(null, {});
+      sinon.stub(s3, 'createBucket').yields(null, {});
+      sinon.stub(s3, 'putObject').yields(null, {});
+      sinon.stub(s3, 'deleteObjects').yields(null, {});
+      sinon.stub(s3, 'getObject').yields({ code: 'NoSuchKey' });
+      sinon.stub(s3, 'getBucketCors').yields({ code: 'NoSuchCORSConfiguration' });
+      sinon.stub(s3, 'getBucketLogging').yields(null, {});
+      sinon.stub(s3, 'headObject').yields(null, {
+        ContentType: 'text/html',
+        CacheControl: 'no-cache, no-store, must-revalidate',
+        Expires: new Date()
+      });
+      sinon.stub(s3, 'listObjects').yields(null, {
+        Contents: [
+          { Key: 'index.html', ETag: '"' + md5 + '"', Size: index.length },
+          { Key: 'removed.html', ETag: '"removed"', Size: 1 }
+        ]
+      });
+    });
+
+    it('Should only upload new or changed files.', function (done) {
+      var s3 = this.siteBucket.s3;
+
+      this.siteBucket.sync(function (err) {
+        var keys = _.reject(_.map(s3.putObject.args, function (args) {
+          return args[0].Key;
+        }), function (key) {
+          return key.indexOf('.s3-site/') === 0;
+        });
+
+        assert.notOk(err);
+        assert.deepEqual(keys, ['nested/folder/test.html']);
+        done();
+      });
+    });
+
+    it('Should remove contents that no longer exist locally.', function (done) {
+      var s3 = this.siteBucket.s3;
+
+      this.siteBucket.sync(function (err) {
+        var objects = s3.deleteObjects.args[0][0].Delete.Objects;
+        assert.deepEqual(objects, [{ Key: 'removed.html' }]);
+        done();
+      });
+    });
+
+    it('Should not create bucket if it already exists.', function (done) {
+      var s3 = this.siteBucket.s3;
+
+      this.siteBucket.sync(function (err) {
+        assert.notOk(s3.createBucket.called);
+        done();
+      });
+    });
+
+  });
+
+
+
+  /* ---------------------------------------------------------------------------
+   * releases
+   * -------------------------------------------------------------------------*/
+
+  describe('releases', function () {
+
+    beforeEach(function () {
+      var s3 = this.siteBucket.s3;
+      var rules = this.siteBucket._releaseRoutingRules('2', ['index.html']);
+      var keys = ['releases/1/index.html', 'releases/2/index.html', 'releases/3/index.html'];
+
+      this.siteBucket.options.releases = { keep: 2 };
+
+      sinon.stub(s3, 'headBucket').yields(null, {});
+      sinon.stub(s3, 'putObject').yields(null, {});
+      sinon.stub(s3, 'deleteObjects').yields(null, {});
+      sinon.stub(s3, 'putBucketWebsite').yields(null, {});
+      sinon.stub(s3, 'getBucketWebsite').yields(null, { RoutingRules: rules });
+      sinon.stub(s3, 'getBucketCors').yields({ code: 'NoSuchCORSConfiguration' });
+      sinon.stub(s3, 'getBucketLogging').yields(null, {});
+
+      // existing releases along with anything uploaded since
+      sinon.stub(s3, 'listObjects', function (params, callback) {
+        var uploaded = _.map(s3.putObject.args, function (args) {
+          return args[0].Key;
+        });
+
+        callback(null, {
+          Contents: _.map(_.filter(keys.concat(uploaded), function (key) {
+            return key.indexOf(params.Prefix || '') === 0;
+          }), function (key) {
+            return { Key: key };
+          })
+        });
+      });
+    });
+
+    it('Should upload release under its own prefix.', function (done) {
+      var s3 = this.siteBucket.s3;
+
+      this.siteBucket.release(function (err, info) {
+        var keys = _.map(s3.putObject.args, function (args) {
+          return args[0].Key;
+        });
+
+        assert.notOk(err);
+        assert.equal(info.url, 'http://s3site-test-site.s3-website-us-east-1.amazonaws.com');
+        assert.equal(info.region, 'us-east-1');
+        assert.include(keys, 'releases/' + info.release + '/nested/folder/test.html');
+        done();
+      });
+    });
+
+    it('Should only make release live after upload.', function (done) {
+      var s3 = this.siteBucket.s3;
+
+      this.siteBucket.release(function (err, info) {
+        var releaseId = info.release;
+        var config = s3.putBucketWebsite.args[0][0].WebsiteConfiguration;
+        var prefixes = _.map(config.RoutingRules, function (rule) {
+          return rule.Redirect.ReplaceKeyPrefixWith;
+        });
+
+        var lastUpload = _.last(_.filter(s3.putObject.getCalls(), function (call) {
+          return call.args[0].Key.indexOf('releases/') === 0;
+        }));
+
+        assert.ok(s3.putBucketWebsite.firstCall.calledAfter(lastUpload));
+        assert.deepEqual(prefixes, [
+          'releases/' + releaseId + '/index.html',
+          'releases/' + releaseId + '/nested/'
+        ]);
+        done();
+      });
+    });
+
+    it('Should prune releases beyond keep.', function (done) {
+      var s3 = this.siteBucket.s3;
+
+      this.siteBucket.pruneReleases(function (err) {
+        var objects = s3.deleteObjects.args[0][0].Delete.Objects;
+        assert.deepEqual(objects, [{ Key: 'releases/1/index.html' }]);
+        done();
+      });
+    });
+
+    it('Should rollback to previous release.', function (done) {
+      this.siteBucket.rollback(function (err, releaseId) {
+        assert.notOk(err);
+        assert.equal(releaseId, '1');
+        done();
+      });
+    });
+
+    it('Should rollback to specified release.', function (done) {
+      var s3 = this.siteBucket.s3;
+
+      this.siteBucket.rollback('3', function (err, releaseId) {
+        var config = s3.putBucketWebsite.args[0][0].WebsiteConfiguration;
+        var prefix = config.RoutingRules[0].Redirect.ReplaceKeyPrefixWith;
+
+        assert.equal(prefix, 'releases/3/index.html');
+        done();
+      });
+    });
+
+    it('Should return error for unknown release.', function (done) {
+      this.siteBucket.rollback('4', function (err) {
+        assert.include(err.message, 'does not exist');
+        done();
+      });
+    });
+
+  });
+
+
+
+  /* ---------------------------------------------------------------------------
+   * makeWebsite
+   * -------------------------------------------------------------------------*/
+
+  describe('makeWebsite', function () {
+
+    beforeEach(function () {
+      sinon.stub(this.siteBucket.s3, 'putBucketWebsite').yields(null, {});
+    });
+
+    it('Should apply website options.', function (done) {
+      var s3 = this.siteBucket.s3;
+
+      this.siteBucket.options.website = {
+        error: '404.html',
+        rules: [{ prefix: 'docs/', replacePrefix: 'documents/' }]
+      };
+
+      this.siteBucket.makeWebsite(function (err) {
+        var config = s3.putBucketWebsite.args[0][0].WebsiteConfiguration;
+
+        assert.notOk(err);
+        assert.equal(config.ErrorDocument.Key, '404.html');
+        assert.equal(config.RoutingRules.length, 1);
+        done();
+      });
+    });
+
+    it('Should validate website options before configuring.', function (done) {
+      var s3 = this.siteBucket.s3;
+
+      this.siteBucket.options.website = {
+        rules: [{ prefix: 'docs/', protocol: 'ftp' }]
+      };
+
+      this.siteBucket.makeWebsite(function (err) {
+        assert.ok(err);
+        assert.notOk(s3.putBucketWebsite.called);
+        done();
+      });
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * redirects
+   * -------------------------------------------------------------------------*/
+
+  describe('redirects', function () {
+
+    beforeEach(function () {
+      this.siteBucket.options.srcPath = redirectsPath;
+      sinon.stub(this.siteBucket.s3, 'putObject').yields(null, {});
+    });
+
+    it('Should upload redirects listed in _redirects.', function (done) {
+      var s3 = this.siteBucket.s3;
+
+      this.siteBucket.upload(function (err) {
+        var redirect = _.find(s3.putObject.args, function (args) {
+          return args[0].Key === 'old.html';
+        });
+
+        assert.notOk(err);
+        assert.equal(redirect[0].WebsiteRedirectLocation, '/index.html');
+        done();
+      });
+    });
+
+    it('Should not upload _redirects file.', function (done) {
+      var s3 = this.siteBucket.s3;
+
+      this.siteBucket.upload(function (err) {
+        var keys = _.map(s3.putObject.args, function (args) {
+          return args[0].Key;
+        });
+
+        assert.notInclude(keys, '_redirects');
+        assert.equal(keys.length, 4);
+        done();
+      });
+    });
+
+  });
+
+
+
+  /* ---------------------------------------------------------------------------
+   * uploadFile (headers)
+   * -------------------------------------------------------------------------*/
+
+  describe('uploadFile (headers)', function () {
+
+    it('Should apply matching header rule.', function (done) {
+      var s3 = this.siteBucket.s3;
+      var testPath = path.join(sitePath, 'nested/folder/test.html');
+
+      sinon.stub(s3, 'putObject').yields(null, {});
+      this.siteBucket.options.headers = [
+        { match: 'nested/**', cacheControl: 'max-age=60', metadata: { team: 'web' } }
+      ];
+
+      this.siteBucket.uploadFile(testPath, function (err) {
+        var params = s3.putObject.args[0][0];
+
+        assert.equal(params.CacheControl, 'max-age=60');
+        assert.deepEqual(params.Metadata, { team: 'web' });
+        done();
+      });
+    });
+
+  });
+
+
+
+  /* ---------------------------------------------------------------------------
+   * upload (_headers)
+   * -------------------------------------------------------------------------*/
+
+  describe('upload (_headers)', function () {
+
+    beforeEach(function () {
+      this.headersBucket = new Bucket({
+        name    : 'site',
+        env     : 'test',
+        prefix  : 's3site',
+        srcPath : headersPath,
+        storage : 'memory'
+      });
+    });
+
+    it('Should apply headers listed in _headers.', function (done) {
+      var bucket = this.headersBucket;
+
+      bucket.deploy(function (err) {
+        var objects = bucket.s3.buckets['s3site-test-site'].objects;
+
+        assert.notOk(err);
+        assert.notOk(objects['_headers']);
+        assert.equal(objects['index.html'].CacheControl, 'max-age=60');
+        assert.equal(objects['docs/guide.txt'].ContentType, 'text/markdown');
+        assert.equal(objects['docs/guide.txt'].ContentDisposition, 'attachment');
+        assert.deepEqual(objects['docs/guide.txt'].Metadata, { team: 'docs' });
+        done();
+      });
+    });
+
+    it('Should warn once about unsupported headers.', function (done) {
+      var bucket = this.headersBucket;
+      var warning = sinon.spy();
+      bucket.on('warning', warning);
+
+      bucket.deploy(function (err) {
+        assert.notOk(err);
+        assert.ok(warning.calledOnce);
+        assert.match(warning.firstCall.args[0].message, /^_headers line 9: s3 cannot serve "X-Frame-Options"/);
+        done();
+      });
+    });
+
+  });
+
+
+
+  /* ---------------------------------------------------------------------------
+   * releases (routing)
+   * -------------------------------------------------------------------------*/
+
+  describe('releases (routing)', function () {
+
+    // resolve a website request the way s3 applies routing rules
+    var serve = function (bucket, key) {
+      var state = bucket.s3.buckets['s3site-test-site'];
+      var config = state.website;
+
+      for (var redirects = 0; redirects < 5; redirects++) {
+        if (state.objects[key]) {
+          return { status: 200, key: key };
+        }
+
+        var rule = _.find(config.RoutingRules || [], function (rule) {
+          return key.indexOf(rule.Condition.KeyPrefixEquals || '') === 0;
+        });
+
+        if (!rule) {
+          return { status: 404, key: config.ErrorDocument.Key };
+        }
+
+        key = rule.Redirect.ReplaceKeyPrefixWith + key.substr(rule.Condition.KeyPrefixEquals.length);
+      }
+
+      return { status: 'loop' };
+    };
+
+    it('Should serve the error document for missing pages.', function (done) {
+      var bucket = new Bucket({
+        name     : 'site',
+        env      : 'test',
+        prefix   : 's3site',
+        srcPath  : sitePath,
+        storage  : 'memory',
+        releases : { keep: 2 },
+        website  : { error: 'nested/folder/test.html' }
+      });
+
+      bucket.release(function (err, info) {
+        var error = { status: 404, key: 'releases/' + bucket.releaseId + '/nested/folder/test.html' };
+
+        assert.notOk(err);
+        assert.deepEqual(serve(bucket, 'index.html'), { status: 200, key: 'releases/' + bucket.releaseId + '/index.html' });
+        assert.deepEqual(serve(bucket, 'missing.html'), error);
+        assert.deepEqual(serve(bucket, 'nested/missing.html'), error);
+        assert.deepEqual(serve(bucket, 'releases/pruned/index.html'), error);
+        done();
+      });
+    });
+
+    it('Should fail before uploading a release with too many routing rules.', function (done) {
+      var bucket = new Bucket({
+        name     : 'site',
+        env      : 'test',
+        prefix   : 's3site',
+        srcPath  : sitePath,
+        storage  : 'memory',
+        releases : { keep: 2 }
+      });
+
+      // one routing rule per top-level entry
+      sinon.stub(bucket, 'listFiles').yields(null, _.times(51, function (i) {
+        return path.join(sitePath, 'page' + i + '.html');
+      }));
+
+      bucket.release(function (err) {
+        assert.match(err.message, /cannot go live: Website supports at most 50 routing rules/);
+        assert.deepEqual(bucket.s3.buckets['s3site-test-site'].objects, {});
+        done();
+      });
+    });
+
+  });
+
+
+
+  /* ---------------------------------------------------------------------------
+   * sync (fingerprint)
+   * -------------------------------------------------------------------------*/
+
+  describe('sync (fingerprint)', function () {
+
+    it('Should upload fingerprinted assets before pages.', function (done) {
+      var bucket = new Bucket({
+        name        : 'site',
+        env         : 'test',
+        prefix      : 's3site',
+        srcPath     : fingerprintPath,
+        storage     : 'memory',
+        concurrency : 10,
+        fingerprint : true
+      });
+
+      var putObject = bucket.s3.putObject;
+      var uploaded = [];
+      var started = {};
+
+      // record which uploads completed when each one starts
+      sinon.stub(bucket.s3, 'putObject', function (params, callback) {
+        started[params.Key] = _.clone(uploaded);
+
+        putObject.call(bucket.s3, params, function (err, res) {
+          uploaded.push(params.Key);
+          callback(err, res);
+        });
+      });
+
+      bucket.sync(function (err) {
+        assert.notOk(err);
+        assert.sameMembers(started['index.html'], ['assets/app.3f9a1c.js', 'assets/app.5b2e7d.css']);
+        assert.include(bucket.s3.buckets['s3site-test-site'].objects['assets/app.3f9a1c.js'].CacheControl, 'immutable');
+        done();
+      });
+    });
+
+    it('Should remove old assets only after every upload.', function (done) {
+      var bucket = new Bucket({
+        name        : 'site',
+        env         : 'test',
+        prefix      : 's3site',
+        srcPath     : fingerprintPath,
+        storage     : 'memory',
+        concurrency : 10,
+        fingerprint : true
+      });
+
+      var s3 = bucket.s3;
+      var putObject = s3.putObject;
+      var deleteObjects = s3.deleteObjects;
+      var uploaded = [];
+      var removedAfter;
+
+      s3.createBucket({ Bucket: 's3site-test-site' }, function () {
+        putObject.call(s3, { Bucket: 's3site-test-site', Key: 'assets/app.000000.js', Body: 'old' }, function () {
+          sinon.stub(s3, 'putObject', function (params, callback) {
+            putObject.call(s3, params, function (err, res) {
+              uploaded.push(params.Key);
+              callback(err, res);
+            });
+          });
+
+          sinon.stub(s3, 'deleteObjects', function (params, callback) {
+            removedAfter = _.clone(uploaded);
+            deleteObjects.call(s3, params, callback);
+          });
+
+          bucket.sync(function (err) {
+            assert.notOk(err);
+            assert.includeMembers(removedAfter, ['index.html', 'assets/app.3f9a1c.js', 'assets/app.5b2e7d.css']);
+            assert.notOk(s3.buckets['s3site-test-site'].objects['assets/app.000000.js']);
+            done();
+          });
+        });
+      });
+    });
+
+    it('Should update headers of unchanged files once rules change.', function (done) {
+      var options = {
+        name    : 'site',
+        env     : 'test',
+        prefix  : 's3site',
+        srcPath : fingerprintPath,
+        storage : 'memory'
+      };
+
+      var bucket = new Bucket(options);
+      var s3 = bucket.s3;
+
+      bucket.sync(function (err) {
+        var resync = new Bucket(_.extend({ storage: s3, fingerprint: true }, _.omit(options, 'storage')));
+        var putObject = sinon.spy(s3, 'putObject');
+        var objects = s3.buckets['s3site-test-site'].objects;
+
+        assert.notOk(err);
+        assert.isUndefined(objects['index.html'].CacheControl);
+
+        resync.sync(function (err) {
+          assert.notOk(err);
+          assert.notOk(putObject.called);
+          assert.equal(objects['assets/app.3f9a1c.js'].CacheControl, 'public, max-age=31536000, immutable');
+          assert.equal(objects['index.html'].CacheControl, 'public, max-age=0, must-revalidate');
+          assert.equal(objects['index.html'].ContentType, 'text/html');
+
+          // nothing left to update
+          resync.sync(function (err) {
+            assert.notOk(err);
+            assert.equal(resync.totals.skipped, 3);
+            done();
+          });
+        });
+      });
+    });
+
+  });
+
+
+
+  /* ---------------------------------------------------------------------------
+   * uploadFile (compress)
+   * -------------------------------------------------------------------------*/
+
+  describe('uploadFile (compress)', function () {
+
+    it('Should upload compressed body with Content-Encoding.', function (done) {
+      var s3 = this.siteBucket.s3;
+
+      sinon.stub(s3, 'putObject').yields(null, {});
+      this.siteBucket.options.compress = { minSize: 0 };
+
+      this.siteBucket.uploadFile(indexPath, function (err) {
+        var params = s3.putObject.args[0][0];
+
+        assert.equal(params.ContentEncoding, 'gzip');
+        assert.equal(params.Body.length, zlib.gzipSync(fs.readFileSync(indexPath)).length);
+        done();
+      });
+    });
+
+  });
+
+
+
+  /* ---------------------------------------------------------------------------
+   * dryRun
+   * -------------------------------------------------------------------------*/
+
+  describe('dryRun', function () {
+
+    beforeEach(function () {
+      var index = fs.readFileSync(indexPath);
+      var md5 = crypto.createHash('md5').update(index).digest('hex');
+
+      this.dryBucket = new Bucket({
+        name    : 'site',
+        env     : 'test',
+        prefix  : 's3site',
+        srcPath : sitePath,
+        noCache : ['index.html'],
+        dryRun  : true
+      }, s3config);
+
+      sinon.stub(this.dryBucket.s3, 'headBucket').yields(null, {});
+      sinon.stub(this.dryBucket.s3, 'getBucketCors').yields({ code: 'NoSuchCORSConfiguration' });
+      sinon.stub(this.dryBucket.s3, 'getBucketLogging').yields(null, {});
+      sinon.stub(this.dryBucket.s3, 'listObjects').yields(null, {
+        Contents: [
+          { Key: 'index.html', ETag: '"' + md5 + '"', Size: index.length },
+          { Key: 'removed.html', ETag: '"removed"', Size: 1 }
+        ]
+      });
+    });
+
+    it('Should not allow mutating operations.', function (done) {
+      this.dryBucket.s3.putObject({}, function (err) {
+        assert.include(err.message, 'not allowed');
+        done();
+      });
+    });
+
+    it('Should plan deploy.', function (done) {
+      this.dryBucket.deploy(function (err, plan) {
+        assert.notOk(err);
+        assert.deepEqual(plan.buckets, {
+          create: ['s3site-test-site'],
+          remove: ['s3site-test-site']
+        });
+        assert.equal(plan.objects.overwrite[0].key, 'index.html');
+        assert.include(plan.objects.overwrite[0].cacheControl, 'no-cache');
+        assert.equal(plan.objects.upload[0].key, 'nested/folder/test.html');
+        assert.equal(plan.objects.remove[0].key, 'removed.html');
+        done();
+      });
+    });
+
+    it('Should plan sync.', function (done) {
+      this.dryBucket.sync(function (err, plan) {
+        assert.notOk(err);
+        assert.equal(plan.buckets.create.length, 0);
+        assert.isNull(plan.website);
+        assert.equal(plan.objects.overwrite.length, 0);
+        assert.equal(plan.objects.upload.length, 1);
+        done();
+      });
+    });
+
+    it('Should plan configuration changes.', function (done) {
+      _.extend(this.dryBucket.options, {
+        versioning: false,
+        lifecycle: { noncurrentDays: 30 },
+        logging: 's3site-logs'
+      });
+
+      sinon.stub(this.dryBucket.s3, 'getBucketVersioning').yields(null, { Status: 'Enabled' });
+      this.dryBucket.s3.getBucketCors.yields(null, { CORSRules: [{}] });
+
+      this.dryBucket.sync(function (err, plan) {
+        assert.notOk(err);
+        assert.equal(plan.versioning, 'Suspended');
+        assert.equal(plan.lifecycle.length, 1);
+        assert.deepEqual(plan.cors, []);
+        assert.deepEqual(plan.logging, {
+          LoggingEnabled: { TargetBucket: 's3site-logs', TargetPrefix: 's3site-test-site/' }
+        });
+        done();
+      });
+    });
+
+    it('Should not plan removals on a recreated bucket.', function (done) {
+      var getBucketCors = this.dryBucket.s3.getBucketCors;
+
+      this.dryBucket.deploy(function (err, plan) {
+        assert.notOk(err);
+        assert.isNull(plan.cors);
+        assert.isNull(plan.logging);
+        assert.notOk(getBucketCors.called);
+        done();
+      });
+    });
+
+    it('Should plan destroy.', function (done) {
+      this.dryBucket.destroy(function (err, plan) {
+        assert.notOk(err);
+        assert.deepEqual(plan.buckets.remove, ['s3site-test-site']);
+        assert.equal(plan.objects.remove.length, 2);
+        done();
+      });
+    });
+
+  });
+
+
+
+  /* ---------------------------------------------------------------------------
+   * uploadFiles
+   * -------------------------------------------------------------------------*/
+
+  describe('uploadFiles', function () {
+
+    beforeEach(function () {
+      this.filePaths = [
+        indexPath,
+        path.join(sitePath, 'nested/folder/test.html')
+      ];
+
+      _.extend(this.siteBucket.options, {
+        concurrency: 1,
+        retries: 1,
+        retryDelay: 0
+      });
+    });
+
+    it('Should limit uploads to concurrency.', function (done) {
+      var active = 0;
+      var maxActive = 0;
+
+      sinon.stub(this.siteBucket.s3, 'putObject', function (params, callback) {
+        maxActive = Math.max(maxActive, ++active);
+        setImmediate(function () {
+          active--;
+          callback(null, {});
+        });
+      });
+
+      this.siteBucket.uploadFiles(this.filePaths, function (err) {
+        assert.notOk(err);
+        assert.equal(maxActive, 1);
+        done();
+      });
+    });
+
+    it('Should retry throttled uploads.', function (done) {
+      var throttled = new Error('Please reduce your request rate.');
+      throttled.code = 'SlowDown';
+
+      var putObject = sinon.stub(this.siteBucket.s3, 'putObject');
+      putObject.yields(null, {});
+      putObject.onFirstCall().yields(throttled);
+
+      this.siteBucket.uploadFiles(this.filePaths, function (err) {
+        assert.notOk(err);
+        assert.equal(putObject.callCount, 3);
+        done();
+      });
+    });
+
+    it('Should report every failed file.', function (done) {
+      var denied = new Error('Access Denied');
+      denied.code = 'AccessDenied';
+
+      sinon.stub(this.siteBucket.s3, 'putObject').yields(denied);
+
+      this.siteBucket.uploadFiles(this.filePaths, function (err) {
+        assert.equal(err.errors.length, 2);
+        assert.include(err.message, 'index.html');
+        assert.include(err.message, 'nested/folder/test.html');
+        done();
+      });
+    });
+
+  });
+
+
+
+  /* ---------------------------------------------------------------------------
+   * uploadMultipart
+   * -------------------------------------------------------------------------*/
+
+  describe('uploadMultipart', function () {
+
+    beforeEach(function () {
+      var s3 = this.siteBucket.s3;
+
+      _.extend(this.siteBucket.options, {
+        multipart: { threshold: 0 },
+        retries: 0
+      });
+
+      sinon.stub(s3, 'putObject').yields(null, {});
+      sinon.stub(s3, 'createMultipartUpload').yields(null, { UploadId: 'upload' });
+      sinon.stub(s3, 'completeMultipartUpload').yields(null, {});
+      sinon.stub(s3, 'abortMultipartUpload').yields(null, {});
+    });
+
+    it('Should upload files above threshold in parts.', function (done) {
+      var s3 = this.siteBucket.s3;
+      sinon.stub(s3, 'uploadPart').yields(null, { ETag: '"part"' });
+
+      this.siteBucket.uploadFile(indexPath, function (err) {
+        var complete = s3.completeMultipartUpload.args[0][0];
+
+        assert.notOk(err);
+        assert.notOk(s3.putObject.called);
+        assert.equal(s3.createMultipartUpload.args[0][0].ContentType, 'text/html');
+        assert.ok(s3.uploadPart.args[0][0].Body instanceof fs.ReadStream);
+        assert.deepEqual(complete.MultipartUpload.Parts, [{ ETag: '"part"', PartNumber: 1 }]);
+        done();
+      });
+    });
+
+    it('Should abort upload if a part fails.', function (done) {
+      var s3 = this.siteBucket.s3;
+      sinon.stub(s3, 'uploadPart').yields(new Error('Part failed'));
+
+      this.siteBucket.uploadFile(indexPath, function (err) {
+        assert.equal(err.message, 'Part failed');
+        assert.equal(s3.abortMultipartUpload.args[0][0].UploadId, 'upload');
+        assert.notOk(s3.completeMultipartUpload.called);
+        done();
+      });
+    });
+
+  });
+
+
+
+  /* ---------------------------------------------------------------------------
+   * events
+   * -------------------------------------------------------------------------*/
+
+  describe('events', function () {
+
+    beforeEach(function () {
+      var s3 = this.siteBucket.s3;
+
+      sinon.stub(s3, 'putObject').yields(null, {});
+      sinon.stub(s3, 'createBucket').yields(null, {});
+      sinon.stub(s3, 'putBucketWebsite').yields(null, {});
+      sinon.stub(s3, 'putBucketPolicy').yields(null, {});
+      sinon.stub(s3, 'deleteObjects').yields(null, {});
+    });
+
+    it('Should emit lifecycle events on create.', function (done) {
+      var events = [];
+
+      _.each(['bucket:created', 'website:configured', 'policy:applied'], function (name) {
+        this.siteBucket.on(name, function () {
+          events.push(name);
+        });
+      }, this);
+
+      this.siteBucket.create(function (err) {
+        assert.deepEqual(events, ['bucket:created', 'website:configured', 'policy:applied']);
+        done();
+      });
+    });
+
+    it('Should emit file events with running totals.', function (done) {
+      var starts = [];
+      var uploads = [];
+
+      this.siteBucket.on('file:start', function (e) {
+        starts.push(e.key);
+      });
+
+      this.siteBucket.on('file:uploaded', function (e) {
+        uploads.push(_.clone(e.totals));
+        assert.isNumber(e.bytes);
+        assert.isNumber(e.duration);
+      });
+
+      this.siteBucket.upload(function (err) {
+        assert.sameMembers(starts, ['index.html', 'nested/folder/test.html']);
+        assert.equal(uploads.length, 2);
+        assert.equal(uploads[1].files, 2);
+        assert.equal(uploads[1].queued, 2);
+        done();
+      });
+    });
+
+    it('Should emit object:deleted for removed contents.', function (done) {
+      var deleted = [];
+
+      this.siteBucket.on('object:deleted', function (e) {
+        deleted.push(e.key);
+      });
+
+      this.siteBucket.removeContents([{ Key: 'a.html' }, { Key: 'b.html' }], function (err) {
+        assert.deepEqual(deleted, ['a.html', 'b.html']);
+        done();
+      });
+    });
+
+    it('Should emit error for failed files when listened to.', function (done) {
+      var errors = [];
+
+      this.siteBucket.s3.putObject.yields(new Error('Access Denied'));
+      this.siteBucket.options.retries = 0;
+      this.siteBucket.on('error', function (err) {
+        errors.push(err);
+      });
+
+      this.siteBucket.upload(function (err) {
+        assert.ok(err);
+        assert.equal(errors.length, 2);
+        done();
+      });
+    });
+
+  });
+
+});
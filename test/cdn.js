@@ -0,0 +1,163 @@
+/*!
+ * test/cdn.js
+ *
+ * Copyright (c) 2014
+ */
+
+// 3rd party
+var _ = require('underscore');
+var assert = require('chai').assert;
+var sinon = require('sinon');
+
+// lib
+var cdn = require('../lib/cdn');
+var helpers = require('./helpers');
+
+
+/* -----------------------------------------------------------------------------
+ * scope
+ * ---------------------------------------------------------------------------*/
+
+var createBucket = function (options) {
+  var bucket = helpers.createBucket(_.extend({ cdn: 'E2QWRUHAPOMQZL' }, options));
+
+  sinon.stub(bucket.cloudfront, 'createInvalidation')
+    .yieldsAsync(null, { Invalidation: { Id: 'I2J0I21PCUYOIK', Status: 'InProgress' } });
+  sinon.stub(bucket.cloudfront, 'waitFor')
+    .yieldsAsync(null, { Invalidation: { Id: 'I2J0I21PCUYOIK', Status: 'Completed' } });
+
+  return bucket;
+};
+
+var invalidatedPaths = function (bucket) {
+  return bucket.cloudfront.createInvalidation.lastCall.args[0].InvalidationBatch.Paths.Items;
+};
+
+
+/* -----------------------------------------------------------------------------
+ * cdn
+ * ---------------------------------------------------------------------------*/
+
+describe('cdn.js', function () {
+
+  /* ---------------------------------------------------------------------------
+   * options
+   * -------------------------------------------------------------------------*/
+
+  describe('options', function () {
+
+    it('Should accept a distribution id.', function () {
+      assert.isNull(cdn.options());
+      assert.deepEqual(cdn.options('E2QWRUHAPOMQZL'), {
+        distributionId: 'E2QWRUHAPOMQZL',
+        maxPaths: 100,
+        wait: false
+      });
+    });
+
+    it('Should throw on invalid options.', function () {
+      assert.throws(function () { cdn.options({ wait: true }); }, /distributionId/);
+      assert.throws(function () { cdn.options({ distributionId: 'E2', maxPaths: 0 }); }, /maxPaths/);
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * paths
+   * -------------------------------------------------------------------------*/
+
+  describe('paths', function () {
+
+    var options = cdn.options({ distributionId: 'E2QWRUHAPOMQZL', maxPaths: 3 });
+
+    it('Should create paths for keys.', function () {
+      var paths = cdn.paths(['releases/20140101/blog/index.html', 'a b.css'], options, 'index.html');
+      assert.deepEqual(paths, ['/a%20b.css', '/blog/', '/blog/index.html']);
+    });
+
+    it('Should invalidate everything above maxPaths.', function () {
+      assert.deepEqual(cdn.paths(['a', 'b', 'c', 'd'], options, 'index.html'), ['/*']);
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * Bucket
+   * -------------------------------------------------------------------------*/
+
+  describe('Bucket', function () {
+
+    it('Should invalidate uploaded keys after deploy.', function (done) {
+      var bucket = createBucket({ cdn: { distributionId: 'E2QWRUHAPOMQZL', maxPaths: 1000 } });
+      var invalidated = sinon.spy();
+      bucket.on('cdn:invalidated', invalidated);
+
+      bucket.deploy(function (err) {
+        var paths = invalidatedPaths(bucket);
+
+        assert.notOk(err);
+        assert.include(paths, '/index.html');
+        assert.include(paths, '/');
+        assert.notInclude(paths, '/.s3-site/manifest.json');
+        assert.equal(invalidated.firstCall.args[0].id, 'I2J0I21PCUYOIK');
+        assert.isFalse(bucket.cloudfront.waitFor.called);
+        done();
+      });
+    });
+
+    it('Should only invalidate changed keys on sync.', function (done) {
+      // without a manifest, sync removes objects missing from srcPath
+      var bucket = createBucket({ manifest: false });
+
+      bucket.deploy(function (err) {
+        bucket.s3.putObject({ Bucket: 's3site-test-site', Key: 'old.html', Body: '' }, function () {
+          bucket.sync(function (err) {
+            assert.notOk(err);
+            assert.equal(bucket.cloudfront.createInvalidation.callCount, 2);
+            assert.deepEqual(invalidatedPaths(bucket), ['/old.html']);
+            done();
+          });
+        });
+      });
+    });
+
+    it('Should skip invalidation without changes.', function (done) {
+      var bucket = createBucket();
+
+      bucket.deploy(function (err) {
+        bucket.sync(function (err) {
+          assert.notOk(err);
+          assert.equal(bucket.cloudfront.createInvalidation.callCount, 1);
+          done();
+        });
+      });
+    });
+
+    it('Should wait for the invalidation to complete.', function (done) {
+      var bucket = createBucket({ cdn: { distributionId: 'E2QWRUHAPOMQZL', wait: true } });
+
+      bucket.deploy(function (err) {
+        assert.notOk(err);
+        assert.ok(bucket.cloudfront.waitFor.calledWith('invalidationCompleted', {
+          DistributionId: 'E2QWRUHAPOMQZL',
+          Id: 'I2J0I21PCUYOIK'
+        }));
+        done();
+      });
+    });
+
+    it('Should pass invalidation errors to callback.', function (done) {
+      var bucket = createBucket();
+      bucket.cloudfront.createInvalidation.yieldsAsync(new Error('AccessDenied'));
+
+      bucket.deploy(function (err) {
+        assert.equal(err.message, 'AccessDenied');
+        done();
+      });
+    });
+
+  });
+
+});
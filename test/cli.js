@@ -0,0 +1,181 @@
+/*!
+ * test/cli.js
+ * 
+ * Copyright (c) 2014
+ */
+
+// core
+var http = require('http');
+var path = require('path');
+
+// 3rd party
+var assert = require('chai').assert;
+
+// lib
+var cli = require('../lib/cli');
+var plan = require('../lib/plan');
+
+
+/* -----------------------------------------------------------------------------
+ * scope
+ * ---------------------------------------------------------------------------*/
+
+var configDir = path.join(__dirname, 'fixtures/config');
+var sitePath = path.join(__dirname, 'fixtures/site');
+
+
+/* -----------------------------------------------------------------------------
+ * cli
+ * ---------------------------------------------------------------------------*/
+
+describe('cli.js', function () {
+
+  /* ---------------------------------------------------------------------------
+   * parse
+   * -------------------------------------------------------------------------*/
+
+  describe('parse', function () {
+
+    it('Should read options from config file.', function () {
+      var parsed = cli.parse(['deploy'], configDir);
+
+      assert.equal(parsed.command, 'deploy');
+      assert.equal(parsed.options.name, 'site');
+      assert.equal(parsed.options.srcPath, sitePath);
+    });
+
+    it('Should prefer flags over config file.', function () {
+      var parsed = cli.parse(['sync', '--env', 'prod', '--src', '.'], configDir);
+
+      assert.equal(parsed.options.env, 'prod');
+      assert.equal(parsed.options.srcPath, configDir);
+    });
+
+    it('Should throw on unknown command.', function () {
+      assert.throws(function () {
+        cli.parse(['launch'], configDir);
+      }, /Unknown command/);
+    });
+
+    it('Should throw if srcPath is missing.', function () {
+      assert.throws(function () {
+        cli.parse(['deploy', '--name', 'site'], __dirname);
+      }, /srcPath/);
+    });
+
+    it('Should not require srcPath for destroy.', function () {
+      var parsed = cli.parse(['destroy', '--name', 'site'], __dirname);
+      assert.equal(parsed.options.name, 'site');
+    });
+
+    it('Should require environments for promote.', function () {
+      var parsed = cli.parse(['promote', '--name', 'site', '--from', 'staging', '--to', 'production'], __dirname);
+      assert.equal(parsed.options.to, 'production');
+
+      assert.throws(function () {
+        cli.parse(['promote', '--name', 'site', '--from', 'staging'], __dirname);
+      }, /"to"/);
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * run
+   * -------------------------------------------------------------------------*/
+
+  describe('run', function () {
+
+    it('Should pass serve errors to callback.', function (done) {
+      var server = http.createServer().listen(0, function () {
+        var port = String(server.address().port);
+
+        cli.run(['serve', '--src', sitePath, '--port', port], function (err) {
+          assert.equal(err.code, 'EADDRINUSE');
+          server.close(done);
+        });
+      });
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * format
+   * -------------------------------------------------------------------------*/
+
+  describe('format', function () {
+
+    it('Should list history one deploy per line.', function () {
+      var output = cli.format('history', [{
+        timestamp: '2014-10-01T00:00:00.000Z',
+        mode: 'sync',
+        commit: '0123456789abcdef',
+        labels: { ticket: 'WEB-1' },
+        objects: { 'index.html': {} }
+      }], {});
+
+      assert.equal(output, '2014-10-01T00:00:00.000Z  sync  0123456  1 objects  ticket=WEB-1');
+    });
+
+    it('Should list DNS records to create.', function () {
+      var output = cli.format('deploy', {
+        dns: [{ name: 'www.example.com', type: 'CNAME', value: 'www.example.com.s3-website-us-east-1.amazonaws.com' }]
+      }, {});
+
+      assert.equal(output, [
+        'deploy complete',
+        'dns records:',
+        '  www.example.com CNAME www.example.com.s3-website-us-east-1.amazonaws.com'
+      ].join('\n'));
+    });
+
+    it('Should print the plan of dry runs.', function () {
+      var output = cli.format('sync', plan.create('s3site-test-site', 'sync'), { dryRun: true });
+
+      assert.equal(output, [
+        'Plan (sync) for bucket s3site-test-site:',
+        '0 to upload, 0 to overwrite, 0 to remove',
+        'dry run complete, nothing was changed'
+      ].join('\n'));
+    });
+
+    it('Should print bucket region in info.', function () {
+      var output = cli.format('info', {
+        bucket: 's3site-test-site',
+        region: 'eu-central-1',
+        url: 'http://s3site-test-site.s3-website.eu-central-1.amazonaws.com',
+        exists: false
+      }, {});
+
+      assert.equal(output, [
+        'bucket:  s3site-test-site',
+        'region:  eu-central-1',
+        'url:     http://s3site-test-site.s3-website.eu-central-1.amazonaws.com',
+        'exists:  false'
+      ].join('\n'));
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * formatError
+   * -------------------------------------------------------------------------*/
+
+  describe('formatError', function () {
+
+    it('Should include aws error code.', function () {
+      var err = new Error('Access Denied');
+      err.code = 'AccessDenied';
+
+      assert.equal(cli.formatError(err), 'AccessDenied: Access Denied');
+    });
+
+    it('Should pass through string errors.', function () {
+      assert.equal(cli.formatError('Does not exist'), 'Does not exist');
+    });
+
+  });
+
+});
@@ -0,0 +1,133 @@
+/*!
+ * test/compress.js
+ * 
+ * Copyright (c) 2014
+ */
+
+// core
+var zlib = require('zlib');
+
+// 3rd party
+var assert = require('chai').assert;
+
+// lib
+var compress = require('../lib/compress');
+
+
+/* -----------------------------------------------------------------------------
+ * compress
+ * ---------------------------------------------------------------------------*/
+
+describe('compress.js', function () {
+
+  /* ---------------------------------------------------------------------------
+   * options
+   * -------------------------------------------------------------------------*/
+
+  describe('options', function () {
+
+    it('Should return null when disabled.', function () {
+      assert.isNull(compress.options(false));
+    });
+
+    it('Should merge defaults.', function () {
+      var options = compress.options({ minSize: 0 });
+
+      assert.equal(options.encoding, 'gzip');
+      assert.equal(options.minSize, 0);
+      assert.include(options.types, 'text/html');
+    });
+
+    it('Should throw on unsupported encoding.', function () {
+      assert.throws(function () {
+        compress.options({ encoding: 'deflate' });
+      }, /Unsupported/);
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * matches
+   * -------------------------------------------------------------------------*/
+
+  describe('matches', function () {
+
+    beforeEach(function () {
+      this.options = compress.options({ extensions: ['map'] });
+    });
+
+    it('Should match configured types and extensions.', function () {
+      assert.isTrue(compress.matches(this.options, 'app.js', 2048));
+      assert.isTrue(compress.matches(this.options, 'app.js.map', 2048));
+    });
+
+    it('Should not match other types.', function () {
+      assert.isFalse(compress.matches(this.options, 'image.png', 2048));
+    });
+
+    it('Should not match files below minSize.', function () {
+      assert.isFalse(compress.matches(this.options, 'app.js', 10));
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * body
+   * -------------------------------------------------------------------------*/
+
+  describe('body', function () {
+
+    beforeEach(function () {
+      this.options = compress.options({ minSize: 0 });
+    });
+
+    it('Should compress matching files.', function (done) {
+      var buffer = new Buffer(new Array(2048).join('a'));
+
+      compress.body(this.options, 'index.html', buffer, function (err, body, encoding) {
+        assert.equal(encoding, 'gzip');
+        assert.equal(zlib.gunzipSync(body).toString(), buffer.toString());
+        done();
+      });
+    });
+
+    it('Should return raw files that do not shrink.', function (done) {
+      var buffer = new Buffer('a');
+
+      compress.body(this.options, 'index.html', buffer, function (err, body, encoding) {
+        assert.notOk(encoding);
+        assert.equal(body, buffer);
+        done();
+      });
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * decode
+   * -------------------------------------------------------------------------*/
+
+  describe('decode', function () {
+
+    it('Should decompress encoded bodies.', function (done) {
+      compress.decode('gzip', zlib.gzipSync(new Buffer('body')), function (err, body) {
+        assert.equal(body.toString(), 'body');
+        done();
+      });
+    });
+
+    it('Should return other bodies as is.', function (done) {
+      var buffer = new Buffer('body');
+
+      compress.decode(undefined, buffer, function (err, body) {
+        assert.equal(body, buffer);
+        done();
+      });
+    });
+
+  });
+
+});
@@ -0,0 +1,152 @@
+/*!
+ * test/cors.js
+ *
+ * Copyright (c) 2014
+ */
+
+// 3rd party
+var assert = require('chai').assert;
+var sinon = require('sinon');
+
+// lib
+var cors = require('../lib/cors');
+var helpers = require('./helpers');
+
+
+/* -----------------------------------------------------------------------------
+ * scope
+ * ---------------------------------------------------------------------------*/
+
+var createBucket = helpers.createBucket;
+
+
+/* -----------------------------------------------------------------------------
+ * cors
+ * ---------------------------------------------------------------------------*/
+
+describe('cors.js', function () {
+
+  /* ---------------------------------------------------------------------------
+   * options
+   * -------------------------------------------------------------------------*/
+
+  describe('options', function () {
+
+    it('Should normalize a rule or list of rules.', function () {
+      assert.isNull(cors.options(undefined));
+      assert.isNull(cors.options(false));
+      assert.deepEqual(cors.options({ origins: '*' }), [{ origins: ['*'], methods: ['GET', 'HEAD'] }]);
+      assert.deepEqual(cors.options([{ origins: ['https://a.com'], methods: ['get', 'post'] }]), [{
+        origins: ['https://a.com'],
+        methods: ['GET', 'POST']
+      }]);
+    });
+
+    it('Should throw on invalid rules.', function () {
+      assert.throws(function () { cors.options({ methods: ['GET'] }); }, /rule 1 must list at least one origin/);
+      assert.throws(function () { cors.options({ origins: '*', methods: ['PATCH'] }); }, /not supported by s3: PATCH/);
+      assert.throws(function () { cors.options({ origins: '*', maxAge: -1 }); }, /maxAge/);
+      assert.throws(function () { cors.options({ origins: '*', headers: [1] }); }, /headers must be a string/);
+      assert.throws(function () { cors.options([{ origins: '*' }, { origin: '*' }]); }, /Unknown cors rule 2 option\(s\): origin/);
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * rules
+   * -------------------------------------------------------------------------*/
+
+  describe('rules', function () {
+
+    it('Should create s3 CORS rules.', function () {
+      var rules = cors.rules(cors.options({
+        origins: ['https://example.com'],
+        headers: ['Authorization'],
+        exposeHeaders: 'ETag',
+        maxAge: 3000
+      }));
+
+      assert.deepEqual(rules, [{
+        AllowedOrigins: ['https://example.com'],
+        AllowedMethods: ['GET', 'HEAD'],
+        AllowedHeaders: ['Authorization'],
+        ExposeHeaders: ['ETag'],
+        MaxAgeSeconds: 3000
+      }]);
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * Bucket
+   * -------------------------------------------------------------------------*/
+
+  describe('Bucket', function () {
+
+    it('Should apply cors on create.', function (done) {
+      var bucket = createBucket({ cors: { origins: '*', maxAge: 600 } });
+
+      bucket.deploy(function (err) {
+        var state = bucket.s3.buckets['s3site-test-site'];
+
+        assert.notOk(err);
+        assert.deepEqual(state.cors.CORSRules, [{
+          AllowedOrigins: ['*'],
+          AllowedMethods: ['GET', 'HEAD'],
+          MaxAgeSeconds: 600
+        }]);
+        done();
+      });
+    });
+
+    it('Should not look for cors to remove on new buckets.', function (done) {
+      var bucket = createBucket();
+      var getBucketCors = sinon.spy(bucket.s3, 'getBucketCors');
+
+      bucket.deploy(function (err) {
+        assert.notOk(err);
+        assert.notOk(getBucketCors.called);
+        done();
+      });
+    });
+
+    it('Should remove cors once the option is removed.', function (done) {
+      var bucket = createBucket({ cors: { origins: '*' } });
+      var events = [];
+
+      bucket.on('cors:configured', function (data) {
+        events.push(data.rules.length);
+      });
+
+      bucket.deploy(function (err) {
+        delete bucket.options.cors;
+
+        bucket.sync(function (err) {
+          assert.notOk(err);
+          assert.isNull(bucket.s3.buckets['s3site-test-site'].cors);
+          assert.deepEqual(events, [1, 0]);
+
+          // nothing left to remove
+          bucket.sync(function (err) {
+            assert.notOk(err);
+            assert.deepEqual(events, [1, 0]);
+            done();
+          });
+        });
+      });
+    });
+
+    it('Should fail on invalid options.', function (done) {
+      var bucket = createBucket({ cors: { origins: [] } });
+
+      bucket.sync(function (err) {
+        assert.match(err.message, /must list at least one origin/);
+        done();
+      });
+    });
+
+  });
+
+});
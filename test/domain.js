@@ -0,0 +1,280 @@
+/*!
+ * test/domain.js
+ *
+ * Copyright (c) 2014
+ */
+
+// 3rd party
+var _ = require('underscore');
+var assert = require('chai').assert;
+
+// lib
+var domain = require('../lib/domain');
+var storage = require('../lib/storage');
+var helpers = require('./helpers');
+
+
+/* -----------------------------------------------------------------------------
+ * scope
+ * ---------------------------------------------------------------------------*/
+
+var createBucket = function (options) {
+  return helpers.createBucket(_.extend({ domain: 'example.com' }, options));
+};
+
+
+/* -----------------------------------------------------------------------------
+ * domain
+ * ---------------------------------------------------------------------------*/
+
+describe('domain.js', function () {
+
+  /* ---------------------------------------------------------------------------
+   * validate
+   * -------------------------------------------------------------------------*/
+
+  describe('validate', function () {
+
+    it('Should accept DNS-compliant names.', function () {
+      assert.doesNotThrow(function () {
+        domain.validate('example.com');
+        domain.validate('www.my-site.example.co.uk');
+      });
+    });
+
+    it('Should reject names which are not DNS-compliant.', function () {
+      assert.throws(function () { domain.validate('Example.com'); }, /label "Example"/);
+      assert.throws(function () { domain.validate('my_site.com'); }, /not DNS-compliant/);
+      assert.throws(function () { domain.validate('-site.com'); }, /not DNS-compliant/);
+      assert.throws(function () { domain.validate('site..com'); }, /not DNS-compliant/);
+      assert.throws(function () { domain.validate('192.168.1.1'); }, /IP address/);
+      assert.throws(function () { domain.validate('a'); }, /between 3 and 63/);
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * redirects
+   * -------------------------------------------------------------------------*/
+
+  describe('redirects', function () {
+
+    it('Should default to the www variant.', function () {
+      assert.deepEqual(domain.redirects('example.com'), ['www.example.com']);
+      assert.deepEqual(domain.redirects('www.example.com'), ['example.com']);
+    });
+
+    it('Should accept custom hostnames or none.', function () {
+      assert.deepEqual(domain.redirects('example.com', 'example.net'), ['example.net']);
+      assert.deepEqual(domain.redirects('example.com', false), []);
+    });
+
+    it('Should throw on invalid hostnames.', function () {
+      assert.throws(function () { domain.redirects('example.com', 'example.com'); }, /itself/);
+      assert.throws(function () { domain.redirects('example.com', ['Bad.com']); }, /not DNS-compliant/);
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * apex
+   * -------------------------------------------------------------------------*/
+
+  describe('apex', function () {
+
+    it('Should default to the domain without www.', function () {
+      assert.equal(domain.apex('example.co.uk'), 'example.co.uk');
+      assert.equal(domain.apex('www.example.co.uk'), 'example.co.uk');
+      assert.equal(domain.apex('blog.example.com', 'example.com'), 'example.com');
+    });
+
+    it('Should throw if zone does not contain domain.', function () {
+      assert.throws(function () { domain.apex('example.com', 'ample.com'); }, /not within zone "ample.com"/);
+      assert.throws(function () { domain.apex('example.com', 'Example.com'); }, /label "Example"/);
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * record
+   * -------------------------------------------------------------------------*/
+
+  describe('record', function () {
+
+    it('Should create CNAME records for subdomains.', function () {
+      assert.deepEqual(domain.record('www.example.com', 'eu-west-1'), {
+        name: 'www.example.com',
+        type: 'CNAME',
+        value: 'www.example.com.s3-website-eu-west-1.amazonaws.com'
+      });
+    });
+
+    it('Should create alias records for apex domains.', function () {
+      assert.deepEqual(domain.record('example.com'), {
+        name: 'example.com',
+        type: 'A',
+        alias: true,
+        value: 's3-website-us-east-1.amazonaws.com',
+        hostedZoneId: 'Z3AQBSTGFYJSTF'
+      });
+    });
+
+    it('Should use the dotted endpoint format of newer regions.', function () {
+      assert.equal(domain.endpoint('example.com', 'eu-central-1'), 'example.com.s3-website.eu-central-1.amazonaws.com');
+      assert.deepEqual(domain.record('example.com', 'eu-central-1'), {
+        name: 'example.com',
+        type: 'A',
+        alias: true,
+        value: 's3-website.eu-central-1.amazonaws.com',
+        hostedZoneId: 'Z21DNDUVLTQW6Q'
+      });
+    });
+
+    it('Should decide apex from the zone rather than label count.', function () {
+      assert.equal(domain.record('example.co.uk').type, 'A');
+      assert.equal(domain.record('www.example.co.uk', null, 'example.co.uk').type, 'CNAME');
+      assert.equal(domain.record('example.com', null, 'www.example.co.uk').type, 'A');
+      assert.equal(domain.record('blog.example.com', null, 'blog.example.com').type, 'A');
+    });
+
+    it('Should leave out hosted zone ids which are not known.', function () {
+      assert.equal(domain.record('example.com', 'ap-northeast-3').hostedZoneId, 'Z2YQB5RD63NC85');
+      assert.deepEqual(domain.record('example.com', 'ap-southeast-3'), {
+        name: 'example.com',
+        type: 'A',
+        alias: true,
+        value: 's3-website.ap-southeast-3.amazonaws.com'
+      });
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * Bucket
+   * -------------------------------------------------------------------------*/
+
+  describe('Bucket', function () {
+
+    it('Should name bucket after domain.', function () {
+      assert.equal(createBucket().bucketName, 'example.com');
+    });
+
+    it('Should throw on invalid domain.', function () {
+      assert.throws(function () {
+        createBucket({ domain: 'Example.com' });
+      }, /not DNS-compliant/);
+    });
+
+    it('Should create redirect bucket.', function (done) {
+      var bucket = createBucket({ redirectProtocol: 'https' });
+
+      bucket.deploy(function (err) {
+        var redirect = bucket.s3.buckets['www.example.com'];
+
+        assert.notOk(err);
+        assert.ok(bucket.s3.buckets['example.com']);
+        assert.deepEqual(redirect.website, {
+          RedirectAllRequestsTo: { HostName: 'example.com', Protocol: 'https' }
+        });
+        assert.deepEqual(redirect.objects, {});
+        done();
+      });
+    });
+
+    it('Should return endpoints and DNS records.', function (done) {
+      var bucket = createBucket();
+
+      bucket.deploy(function (err, endpoints) {
+        assert.equal(endpoints.url, 'http://example.com.s3-website-us-east-1.amazonaws.com');
+        assert.deepEqual(endpoints.redirects, [{
+          bucket: 'www.example.com',
+          url: 'http://www.example.com.s3-website-us-east-1.amazonaws.com'
+        }]);
+        assert.deepEqual(_.pluck(endpoints.dns, 'type'), ['A', 'CNAME']);
+        done();
+      });
+    });
+
+    it('Should take the apex from options.zone.', function (done) {
+      var bucket = createBucket({ domain: 'blog.example.com', zone: 'example.com', redirectFrom: false });
+
+      bucket.deploy(function (err, endpoints) {
+        assert.notOk(err);
+        assert.deepEqual(_.pluck(endpoints.dns, 'type'), ['CNAME']);
+        done();
+      });
+    });
+
+    it('Should warn about unknown hosted zones once deployed.', function (done) {
+      var bucket = createBucket({ region: 'ap-southeast-3' });
+      var warnings = [];
+
+      bucket.on('warning', function (warning) {
+        warnings.push(warning.message);
+      });
+
+      bucket.deploy(function (err, endpoints) {
+        assert.notOk(err);
+        assert.notOk(endpoints.dns[0].hostedZoneId);
+        assert.match(warnings[0], /No Route 53 hosted zone id is known for region "ap-southeast-3"/);
+        done();
+      });
+    });
+
+    it('Should throw on invalid redirect hosts.', function () {
+      assert.throws(function () {
+        createBucket({ redirectFrom: 'Bad.com' });
+      }, /not DNS-compliant/);
+    });
+
+    it('Should throw if the domain is outside options.zone.', function () {
+      assert.throws(function () {
+        createBucket({ zone: 'example.net' });
+      }, /not within zone/);
+    });
+
+    it('Should plan redirect buckets.', function (done) {
+      var bucket = createBucket({ redirectProtocol: 'https', dryRun: true });
+
+      bucket.deploy(function (err, plan) {
+        assert.notOk(err);
+        assert.deepEqual(plan.buckets.create, ['example.com', 'www.example.com']);
+        assert.deepEqual(plan.redirects, [{
+          bucket: 'www.example.com',
+          to: { HostName: 'example.com', Protocol: 'https' }
+        }]);
+        done();
+      });
+    });
+
+    it('Should plan removing redirect buckets on destroy.', function (done) {
+      var s3 = new storage.MemoryStorage();
+
+      createBucket({ storage: s3 }).deploy(function (err) {
+        createBucket({ storage: s3, dryRun: true }).destroy(function (err, plan) {
+          assert.notOk(err);
+          assert.deepEqual(plan.buckets.remove, ['example.com', 'www.example.com']);
+          done();
+        });
+      });
+    });
+
+    it('Should remove redirect buckets on destroy.', function (done) {
+      var bucket = createBucket();
+
+      bucket.deploy(function (err) {
+        bucket.destroy(function (err) {
+          assert.notOk(err);
+          assert.deepEqual(bucket.s3.buckets, {});
+          done();
+        });
+      });
+    });
+
+  });
+
+});
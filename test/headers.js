@@ -0,0 +1,217 @@
+/*!
+ * test/headers.js
+ * 
+ * Copyright (c) 2014
+ */
+
+// 3rd party
+var assert = require('chai').assert;
+
+// lib
+var headers = require('../lib/headers');
+
+
+/* -----------------------------------------------------------------------------
+ * headers
+ * ---------------------------------------------------------------------------*/
+
+describe('headers.js', function () {
+
+  /* ---------------------------------------------------------------------------
+   * rules
+   * -------------------------------------------------------------------------*/
+
+  describe('rules', function () {
+
+    it('Should prepend noCache keys.', function () {
+      var rules = headers.rules({
+        noCache: ['index.html'],
+        headers: [{ match: '**/*.html', cacheControl: 'max-age=60' }]
+      });
+
+      assert.equal(rules.length, 2);
+      assert.equal(rules[0].match, 'index.html');
+      assert.include(rules[0].cacheControl, 'no-cache');
+    });
+
+    it('Should throw on rule without glob.', function () {
+      assert.throws(function () {
+        headers.rules({ headers: [{ cacheControl: 'max-age=60' }] });
+      }, /match/);
+    });
+
+    it('Should throw on unknown options.', function () {
+      assert.throws(function () {
+        headers.rules({ headers: [{ match: '*', CacheControl: 'max-age=60' }] });
+      }, /Unknown header rule/);
+    });
+
+    it('Should throw on non string metadata.', function () {
+      assert.throws(function () {
+        headers.rules({ headers: [{ match: '*', metadata: { version: 2 } }] });
+      }, /metadata/);
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * params
+   * -------------------------------------------------------------------------*/
+
+  describe('params', function () {
+
+    beforeEach(function () {
+      this.rules = headers.rules({
+        noCache: ['index.html'],
+        headers: [
+          { match: '**/*.html', cacheControl: 'max-age=60', contentLanguage: 'en' },
+          { match: 'assets/**', cacheControl: 'max-age=3600', metadata: { team: 'web' } }
+        ]
+      });
+    });
+
+    it('Should apply first matching rule.', function () {
+      var params = headers.params(this.rules, 'index.html');
+
+      assert.include(params.CacheControl, 'no-cache');
+      assert.ok(params.Expires);
+      assert.notOk(params.ContentLanguage);
+    });
+
+    it('Should match nested globs.', function () {
+      var params = headers.params(this.rules, 'nested/folder/test.html');
+
+      assert.deepEqual(params, { CacheControl: 'max-age=60', ContentLanguage: 'en' });
+    });
+
+    it('Should map metadata.', function () {
+      var params = headers.params(this.rules, 'assets/app.js');
+
+      assert.deepEqual(params.Metadata, { team: 'web' });
+    });
+
+    it('Should return no params without a match.', function () {
+      assert.deepEqual(headers.params(this.rules, 'robots.txt'), {});
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * parseFile
+   * -------------------------------------------------------------------------*/
+
+  describe('parseFile', function () {
+
+    it('Should parse paths and headers.', function () {
+      var parsed = headers.parseFile([
+        '# comment',
+        '/',
+        '  Cache-Control: max-age=60',
+        '/assets/*',
+        '  content-type: text/plain',
+        '  X-Amz-Meta-Team: web'
+      ].join('\n'), 'index.html');
+
+      assert.deepEqual(parsed.warnings, []);
+      assert.deepEqual(headers.params(parsed.rules, 'index.html'), { CacheControl: 'max-age=60' });
+      assert.deepEqual(headers.params(parsed.rules, 'assets/css/app.css'), {
+        ContentType: 'text/plain',
+        Metadata: { team: 'web' }
+      });
+      assert.deepEqual(headers.params(parsed.rules, 'about/index.html'), {});
+    });
+
+    it('Should warn about headers s3 cannot serve.', function () {
+      var parsed = headers.parseFile('/*\n  X-Frame-Options: DENY\n  Content-Encoding: gzip', 'index.html');
+
+      assert.deepEqual(parsed.rules, []);
+      assert.match(parsed.warnings[0], /line 2: s3 cannot serve "X-Frame-Options"/);
+      assert.match(parsed.warnings[1], /line 3: Content-Encoding is set by the compress option/);
+    });
+
+    it('Should throw on malformed lines.', function () {
+      assert.throws(function () {
+        headers.parseFile('  Cache-Control: max-age=60', 'index.html');
+      }, /line 1/);
+      assert.throws(function () {
+        headers.parseFile('assets/*\n  Cache-Control: max-age=60', 'index.html');
+      }, /Invalid path on line 1/);
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * fingerprint
+   * -------------------------------------------------------------------------*/
+
+  describe('fingerprint', function () {
+
+    it('Should cache fingerprinted keys forever.', function () {
+      var rules = headers.rules({ fingerprint: true });
+
+      assert.equal(headers.params(rules, 'assets/app.3f9a1c.js').CacheControl,
+        'public, max-age=31536000, immutable');
+      assert.equal(headers.params(rules, 'app-3f9a1c0b.css').CacheControl,
+        'public, max-age=31536000, immutable');
+      assert.equal(headers.params(rules, 'index.html').CacheControl,
+        'public, max-age=0, must-revalidate');
+      assert.equal(headers.params(rules, 'app.min.js').CacheControl,
+        'public, max-age=0, must-revalidate');
+    });
+
+    it('Should accept custom pattern and cache control.', function () {
+      var rules = headers.rules({
+        fingerprint: { pattern: '^static/', cacheControl: 'max-age=60' }
+      });
+
+      assert.include(headers.params(rules, 'static/app.js').CacheControl, 'immutable');
+      assert.equal(headers.params(rules, 'app.3f9a1c.js').CacheControl, 'max-age=60');
+    });
+
+    it('Should let header rules take precedence.', function () {
+      var rules = headers.rules({
+        fingerprint: true,
+        headers: [{ match: '**/*.html', cacheControl: 'max-age=60' }]
+      });
+
+      assert.equal(headers.params(rules, 'about/index.html').CacheControl, 'max-age=60');
+    });
+
+    it('Should merge _headers blocks field by field.', function () {
+      var parsed = headers.parseFile([
+        '/*',
+        '  X-Amz-Meta-Team: web',
+        '  Content-Language: en',
+        '/assets/*',
+        '  Cache-Control: public, max-age=86400',
+        '/assets/app.3f9a1c.js',
+        '  Content-Language: de'
+      ].join('\n'), 'index.html');
+
+      var rules = headers.rules({ fingerprint: true }, parsed.rules);
+
+      assert.deepEqual(headers.params(rules, 'assets/app.3f9a1c.js'), {
+        CacheControl: 'public, max-age=86400',
+        ContentLanguage: 'de',
+        Metadata: { team: 'web' }
+      });
+      assert.deepEqual(headers.params(rules, 'index.html'), {
+        CacheControl: 'public, max-age=0, must-revalidate',
+        ContentLanguage: 'en',
+        Metadata: { team: 'web' }
+      });
+    });
+
+    it('Should throw on invalid pattern.', function () {
+      assert.isNull(headers.fingerprint({}));
+      assert.throws(function () {
+        headers.fingerprint({ fingerprint: '[' });
+      }, /valid RegExp/);
+    });
+
+  });
+
+});
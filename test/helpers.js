@@ -0,0 +1,52 @@
+/*!
+ * test/helpers.js
+ *
+ * Copyright (c) 2014
+ */
+
+// core
+var path = require('path');
+
+// 3rd party
+var _ = require('underscore');
+
+// lib
+var Bucket = require('../lib/bucket').Bucket;
+
+
+/* -----------------------------------------------------------------------------
+ * scope
+ * ---------------------------------------------------------------------------*/
+
+var sitePath = path.join(__dirname, 'fixtures/site');
+
+
+/* -----------------------------------------------------------------------------
+ * helpers
+ * ---------------------------------------------------------------------------*/
+
+module.exports = {
+
+  /**
+   * Path of the fixture site.
+   */
+  sitePath: sitePath,
+
+  /**
+   * Create a Bucket deploying the fixture site to memory
+   * storage. Options extend the defaults.
+   *
+   * @param {object} options - Bucket options (optional).
+   * @param {object} s3config - AWS config (optional).
+   */
+  createBucket: function (options, s3config) {
+    return new Bucket(_.extend({
+      name    : 'site',
+      env     : 'test',
+      prefix  : 's3site',
+      srcPath : sitePath,
+      storage : 'memory'
+    }, options), s3config);
+  }
+
+};
@@ -0,0 +1,186 @@
+/*!
+ * test/lifecycle.js
+ *
+ * Copyright (c) 2014
+ */
+
+// 3rd party
+var _ = require('underscore');
+var assert = require('chai').assert;
+
+// lib
+var lifecycle = require('../lib/lifecycle');
+var helpers = require('./helpers');
+
+
+/* -----------------------------------------------------------------------------
+ * scope
+ * ---------------------------------------------------------------------------*/
+
+var createBucket = helpers.createBucket;
+
+
+/* -----------------------------------------------------------------------------
+ * lifecycle
+ * ---------------------------------------------------------------------------*/
+
+describe('lifecycle.js', function () {
+
+  /* ---------------------------------------------------------------------------
+   * options
+   * -------------------------------------------------------------------------*/
+
+  describe('options', function () {
+
+    it('Should distinguish unset and disabled lifecycle.', function () {
+      assert.isNull(lifecycle.options());
+      assert.isFalse(lifecycle.options(false));
+    });
+
+    it('Should throw on invalid options.', function () {
+      assert.throws(function () { lifecycle.options({ days: 1 }); }, /Unknown lifecycle option/);
+      assert.throws(function () { lifecycle.options({ noncurrentDays: 0 }); }, /noncurrentDays/);
+      assert.throws(function () { lifecycle.options({ abortIncompleteUploads: 1.5 }); }, /whole number/);
+      assert.throws(function () { lifecycle.options({ expire: [{ days: 1 }] }); }, /prefix/);
+    });
+
+    it('Should throw on overlapping expire prefixes.', function () {
+      assert.throws(function () {
+        lifecycle.options({ expire: [{ prefix: 'tmp/', days: 1 }, { prefix: 'tmp/a/', days: 2 }] });
+      }, /overlap/);
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * rules
+   * -------------------------------------------------------------------------*/
+
+  describe('rules', function () {
+
+    it('Should create s3 lifecycle rules.', function () {
+      var rules = lifecycle.rules(lifecycle.options({
+        noncurrentDays: 30,
+        expire: [{ prefix: 'tmp/', days: 1 }]
+      }));
+
+      assert.deepEqual(rules, [{
+        ID: 's3-site-noncurrent-versions',
+        Prefix: '',
+        Status: 'Enabled',
+        NoncurrentVersionExpiration: { NoncurrentDays: 30 }
+      }, {
+        ID: 's3-site-expire-tmp/',
+        Prefix: 'tmp/',
+        Status: 'Enabled',
+        Expiration: { Days: 1 }
+      }]);
+    });
+
+    it('Should detect stale uploads.', function () {
+      var now = Date.now();
+      var upload = { Initiated: new Date(now - 3 * 24 * 60 * 60 * 1000) };
+
+      assert.isTrue(lifecycle.isStale(upload, 2, now));
+      assert.isFalse(lifecycle.isStale(upload, 7, now));
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * Bucket
+   * -------------------------------------------------------------------------*/
+
+  describe('Bucket', function () {
+
+    it('Should apply versioning and lifecycle on create.', function (done) {
+      var bucket = createBucket({
+        versioning: true,
+        lifecycle: { noncurrentDays: 30 }
+      });
+
+      bucket.deploy(function (err) {
+        var state = bucket.s3.buckets['s3site-test-site'];
+
+        assert.notOk(err);
+        assert.equal(state.versioning, 'Enabled');
+        assert.equal(state.lifecycle.Rules[0].NoncurrentVersionExpiration.NoncurrentDays, 30);
+        done();
+      });
+    });
+
+    it('Should reconcile on later syncs.', function (done) {
+      var bucket = createBucket({ versioning: true, lifecycle: { noncurrentDays: 30 } });
+
+      bucket.deploy(function (err) {
+        bucket.options.versioning = false;
+        bucket.options.lifecycle = false;
+
+        bucket.sync(function (err) {
+          var state = bucket.s3.buckets['s3site-test-site'];
+
+          assert.notOk(err);
+          assert.equal(state.versioning, 'Suspended');
+          assert.isNull(state.lifecycle);
+          done();
+        });
+      });
+    });
+
+    it('Should leave settings without options untouched.', function (done) {
+      var bucket = createBucket({ versioning: true });
+
+      bucket.deploy(function (err) {
+        delete bucket.options.versioning;
+
+        bucket.sync(function (err) {
+          assert.equal(bucket.s3.buckets['s3site-test-site'].versioning, 'Enabled');
+          done();
+        });
+      });
+    });
+
+    it('Should abort stale multipart uploads.', function (done) {
+      var bucket = createBucket({ lifecycle: { abortIncompleteUploads: 7 } });
+
+      bucket.deploy(function (err) {
+        var s3 = bucket.s3;
+        var params = { Bucket: 's3site-test-site', Key: 'big.bin' };
+
+        s3.createMultipartUpload(params, function (err, res) {
+          var uploads = s3.buckets['s3site-test-site'].uploads;
+          uploads[res.UploadId].initiated = new Date(2014, 0, 1);
+
+          s3.createMultipartUpload(params, function (err, recent) {
+            bucket.reconcile(function (err) {
+              assert.notOk(err);
+              assert.deepEqual(_.keys(uploads), [recent.UploadId]);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('Should destroy versioned buckets.', function (done) {
+      var bucket = createBucket({ versioning: true, manifest: true });
+
+      bucket.deploy(function (err) {
+        bucket.sync(function (err) {
+          var state = bucket.s3.buckets['s3site-test-site'];
+          assert.ok(_.size(state.versions));
+
+          bucket.destroy(function (err) {
+            assert.notOk(err);
+            assert.deepEqual(bucket.s3.buckets, {});
+            done();
+          });
+        });
+      });
+    });
+
+  });
+
+});
@@ -0,0 +1,123 @@
+/*!
+ * test/logging.js
+ *
+ * Copyright (c) 2014
+ */
+
+// 3rd party
+var assert = require('chai').assert;
+
+// lib
+var logging = require('../lib/logging');
+var storage = require('../lib/storage');
+var helpers = require('./helpers');
+
+
+/* -----------------------------------------------------------------------------
+ * scope
+ * ---------------------------------------------------------------------------*/
+
+var createBucket = helpers.createBucket;
+
+
+/* -----------------------------------------------------------------------------
+ * logging
+ * ---------------------------------------------------------------------------*/
+
+describe('logging.js', function () {
+
+  /* ---------------------------------------------------------------------------
+   * options
+   * -------------------------------------------------------------------------*/
+
+  describe('options', function () {
+
+    it('Should default prefix to the bucket name.', function () {
+      assert.isNull(logging.options(undefined, 'site'));
+      assert.deepEqual(logging.options('logs', 'site'), { bucket: 'logs', prefix: 'site/' });
+      assert.deepEqual(logging.options({ bucket: 'logs', prefix: '' }, 'site'), { bucket: 'logs', prefix: '' });
+    });
+
+    it('Should throw on invalid options.', function () {
+      assert.throws(function () { logging.options({ prefix: 'x/' }, 'site'); }, /must be a bucket name/);
+      assert.throws(function () { logging.options('site', 'site'); }, /must not be the site bucket/);
+      assert.throws(function () { logging.options({ bucket: 'logs', target: 'x' }, 'site'); }, /Unknown logging option\(s\): target/);
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * status
+   * -------------------------------------------------------------------------*/
+
+  describe('status', function () {
+
+    it('Should create s3 logging status.', function () {
+      assert.deepEqual(logging.status({ bucket: 'logs', prefix: 'site/' }), {
+        LoggingEnabled: { TargetBucket: 'logs', TargetPrefix: 'site/' }
+      });
+      assert.deepEqual(logging.status(null), {});
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * Bucket
+   * -------------------------------------------------------------------------*/
+
+  describe('Bucket', function () {
+
+    beforeEach(function (done) {
+      this.s3 = new storage.MemoryStorage();
+      this.s3.createBucket({ Bucket: 's3site-logs' }, done);
+    });
+
+    it('Should deliver logs to the target bucket.', function (done) {
+      var bucket = createBucket({ storage: this.s3, logging: 's3site-logs' });
+      var s3 = this.s3;
+
+      bucket.deploy(function (err) {
+        assert.notOk(err);
+        assert.deepEqual(s3.buckets['s3site-test-site'].logging, {
+          TargetBucket: 's3site-logs',
+          TargetPrefix: 's3site-test-site/'
+        });
+        done();
+      });
+    });
+
+    it('Should disable logging once the option is removed.', function (done) {
+      var bucket = createBucket({ storage: this.s3, logging: { bucket: 's3site-logs', prefix: 'site/' } });
+      var s3 = this.s3;
+      var targets = [];
+
+      bucket.on('logging:configured', function (data) {
+        targets.push(data.target);
+      });
+
+      bucket.deploy(function (err) {
+        delete bucket.options.logging;
+
+        bucket.sync(function (err) {
+          assert.notOk(err);
+          assert.isNull(s3.buckets['s3site-test-site'].logging);
+          assert.deepEqual(targets, [{ bucket: 's3site-logs', prefix: 'site/' }, null]);
+          done();
+        });
+      });
+    });
+
+    it('Should fail if the target bucket does not exist.', function (done) {
+      var bucket = createBucket({ storage: this.s3, logging: 'missing-logs' });
+
+      bucket.sync(function (err) {
+        assert.equal(err.code, 'InvalidTargetBucketForLogging');
+        done();
+      });
+    });
+
+  });
+
+});
@@ -0,0 +1,226 @@
+/*!
+ * test/manifest.js
+ *
+ * Copyright (c) 2014
+ */
+
+// core
+var crypto = require('crypto');
+
+// 3rd party
+var _ = require('underscore');
+var async = require('async');
+var assert = require('chai').assert;
+var sinon = require('sinon');
+
+// lib
+var manifest = require('../lib/manifest');
+var helpers = require('./helpers');
+
+
+/* -----------------------------------------------------------------------------
+ * scope
+ * ---------------------------------------------------------------------------*/
+
+var sitePath = helpers.sitePath;
+
+var createBucket = function (options) {
+  return helpers.createBucket(_.extend({ manifest: true }, options));
+};
+
+
+/* -----------------------------------------------------------------------------
+ * manifest
+ * ---------------------------------------------------------------------------*/
+
+describe('manifest.js', function () {
+
+  /* ---------------------------------------------------------------------------
+   * options
+   * -------------------------------------------------------------------------*/
+
+  describe('options', function () {
+
+    it('Should default keep and labels.', function () {
+      assert.deepEqual(manifest.options(true), { keep: 20, labels: {} });
+      assert.deepEqual(manifest.options({ labels: { ticket: 'WEB-1' } }).labels, { ticket: 'WEB-1' });
+    });
+
+    it('Should be disabled unless set.', function () {
+      assert.isNull(manifest.options());
+      assert.isNull(manifest.options(false));
+    });
+
+    it('Should throw on invalid options.', function () {
+      assert.throws(function () { manifest.options({ keep: 0 }); }, /keep/);
+      assert.throws(function () { manifest.options({ labels: ['a'] }); }, /labels/);
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * object
+   * -------------------------------------------------------------------------*/
+
+  describe('object', function () {
+
+    it('Should record hash, size and headers.', function () {
+      var body = new Buffer('index');
+      var entry = manifest.object({
+        Key: 'index.html',
+        Body: body,
+        ContentType: 'text/html',
+        CacheControl: 'max-age=60'
+      });
+
+      assert.deepEqual(entry, {
+        hash: crypto.createHash('md5').update(body).digest('hex'),
+        size: 5,
+        contentType: 'text/html',
+        cacheControl: 'max-age=60'
+      });
+    });
+
+    it('Should use returned ETag for multipart uploads.', function () {
+      var entry = manifest.object({ Key: 'video.mp4', ContentLength: 20 }, '"abc-2"');
+      assert.deepEqual(entry, { hash: 'abc-2', size: 20 });
+    });
+
+    it('Should list manifest objects as contents.', function () {
+      var contents = manifest.contents({ objects: { 'a.html': { hash: 'abc', size: 1 } } });
+      assert.deepEqual(contents, [{ Key: 'a.html', ETag: '"abc"', Size: 1 }]);
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * Bucket
+   * -------------------------------------------------------------------------*/
+
+  describe('Bucket', function () {
+
+    it('Should write manifest of deployed objects.', function (done) {
+      var bucket = createBucket({ manifest: { labels: { ticket: 'WEB-1' } } });
+      var commit = sinon.stub(manifest, 'commit').yields(null, 'abc123');
+
+      bucket.deploy(function (err) {
+        commit.restore();
+        assert.notOk(err);
+
+        bucket.readManifest(function (err, result) {
+          assert.equal(result.mode, 'deploy');
+          assert.equal(result.bucket, 's3site-test-site');
+          assert.deepEqual(result.labels, { ticket: 'WEB-1' });
+          assert.equal(result.commit, 'abc123');
+          assert.equal(commit.args[0][0], sitePath);
+          assert.deepEqual(_.keys(result.objects).sort(), ['index.html', 'nested/folder/test.html']);
+          assert.equal(result.objects['index.html'].contentType, 'text/html');
+          done();
+        });
+      });
+    });
+
+    it('Should keep history across deploys, newest first.', function (done) {
+      var bucket = createBucket();
+
+      bucket.deploy(function (err) {
+        bucket.sync(function (err) {
+          bucket.deploy(function (err) {
+            bucket.history(function (err, manifests) {
+              assert.notOk(err);
+              assert.deepEqual(_.pluck(manifests, 'mode'), ['deploy', 'sync', 'deploy']);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('Should prune history beyond keep.', function (done) {
+      var bucket = createBucket({ manifest: { keep: 2 } });
+
+      async.timesSeries(3, function (i, callback) {
+        bucket.sync(callback);
+      }, function (err) {
+        bucket.history(function (err, manifests) {
+          assert.lengthOf(manifests, 2);
+          done();
+        });
+      });
+    });
+
+    it('Should sync against manifest without listing bucket.', function (done) {
+      var bucket = createBucket();
+
+      bucket.deploy(function (err) {
+        var listObjects = sinon.spy(bucket.s3, 'listObjects');
+
+        bucket.sync(function (err) {
+          var prefixes = _.map(listObjects.args, function (args) {
+            return args[0].Prefix;
+          });
+
+          assert.notOk(err);
+          assert.deepEqual(_.uniq(prefixes), [manifest.HISTORY_PREFIX]);
+          assert.equal(bucket.totals.skipped, 2);
+          done();
+        });
+      });
+    });
+
+    it('Should never remove manifests as stale content.', function (done) {
+      var bucket = createBucket();
+
+      bucket.deploy(function (err) {
+        var objects = bucket.s3.buckets['s3site-test-site'].objects;
+
+        // without a manifest, sync falls back to listing
+        delete objects[manifest.KEY];
+
+        bucket.sync(function (err) {
+          var history = _.filter(_.keys(objects), function (key) {
+            return key.indexOf(manifest.HISTORY_PREFIX) === 0;
+          });
+
+          assert.notOk(err);
+          assert.lengthOf(history, 2);
+          done();
+        });
+      });
+    });
+
+    it('Should not write manifest when disabled.', function (done) {
+      var bucket = createBucket({ manifest: false });
+
+      bucket.deploy(function (err) {
+        var keys = _.keys(bucket.s3.buckets['s3site-test-site'].objects);
+
+        assert.notOk(err);
+        assert.notOk(_.some(keys, manifest.isReserved));
+        done();
+      });
+    });
+
+    it('Should make manifests private on existing buckets.', function (done) {
+      var bucket = createBucket({ manifest: false });
+      var s3 = bucket.s3;
+
+      bucket.deploy(function (err) {
+        var putBucketPolicy = sinon.spy(s3, 'putBucketPolicy');
+
+        createBucket({ storage: s3 }).sync(function (err) {
+          var statement = s3.buckets['s3site-test-site'].policy.Statement[0];
+
+          assert.notOk(err);
+          assert.ok(putBucketPolicy.calledOnce);
+          assert.include(statement.NotResource, 'arn:aws:s3:::s3site-test-site/.s3-site/*');
+          done();
+        });
+      });
+    });
+
+  });
+
+});
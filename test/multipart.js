@@ -0,0 +1,106 @@
+/*!
+ * test/multipart.js
+ * 
+ * Copyright (c) 2014
+ */
+
+// core
+var path = require('path');
+var fs = require('fs');
+var crypto = require('crypto');
+
+// 3rd party
+var assert = require('chai').assert;
+
+// lib
+var multipart = require('../lib/multipart');
+
+
+/* -----------------------------------------------------------------------------
+ * scope
+ * ---------------------------------------------------------------------------*/
+
+var MB = 1024 * 1024;
+var indexPath = path.join(__dirname, 'fixtures/site/index.html');
+
+var md5 = function (buffer) {
+  return crypto.createHash('md5').update(buffer);
+};
+
+
+/* -----------------------------------------------------------------------------
+ * multipart
+ * ---------------------------------------------------------------------------*/
+
+describe('multipart.js', function () {
+
+  /* ---------------------------------------------------------------------------
+   * options
+   * -------------------------------------------------------------------------*/
+
+  describe('options', function () {
+
+    it('Should merge defaults.', function () {
+      var options = multipart.options({ threshold: 100 * MB });
+
+      assert.equal(options.threshold, 100 * MB);
+      assert.equal(options.partSize, 8 * MB);
+    });
+
+    it('Should throw if partSize is below s3 minimum.', function () {
+      assert.throws(function () {
+        multipart.options({ partSize: MB });
+      }, /partSize/);
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * parts
+   * -------------------------------------------------------------------------*/
+
+  describe('parts', function () {
+
+    it('Should split file into parts.', function () {
+      var parts = multipart.parts({ partSize: 5 * MB }, 12 * MB);
+
+      assert.equal(parts.length, 3);
+      assert.deepEqual(parts[2], { PartNumber: 3, start: 10 * MB, end: 12 * MB - 1 });
+    });
+
+    it('Should grow partSize to stay within 10000 parts.', function () {
+      var parts = multipart.parts({ partSize: 5 * MB }, 100000 * MB);
+      assert.equal(parts.length, 10000);
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * etag
+   * -------------------------------------------------------------------------*/
+
+  describe('etag', function () {
+
+    it('Should compute multipart ETag.', function (done) {
+      var buffer = fs.readFileSync(indexPath);
+      var partSize = Math.ceil(buffer.length / 2);
+
+      var digests = Buffer.concat([
+        md5(buffer.slice(0, partSize)).digest(),
+        md5(buffer.slice(partSize)).digest()
+      ]);
+
+      var expected = '"' + md5(digests).digest('hex') + '-2"';
+
+      multipart.etag({ partSize: partSize }, indexPath, buffer.length, function (err, etag) {
+        assert.notOk(err);
+        assert.equal(etag, expected);
+        done();
+      });
+    });
+
+  });
+
+});
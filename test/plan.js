@@ -0,0 +1,98 @@
+/*!
+ * test/plan.js
+ * 
+ * Copyright (c) 2014
+ */
+
+// 3rd party
+var assert = require('chai').assert;
+
+// lib
+var plan = require('../lib/plan');
+
+
+/* -----------------------------------------------------------------------------
+ * plan
+ * ---------------------------------------------------------------------------*/
+
+describe('plan.js', function () {
+
+  /* ---------------------------------------------------------------------------
+   * object
+   * -------------------------------------------------------------------------*/
+
+  describe('object', function () {
+
+    it('Should describe putObject params.', function () {
+      var entry = plan.object({
+        Key: 'index.html',
+        Body: new Buffer('index'),
+        ContentType: 'text/html',
+        CacheControl: 'max-age=60'
+      });
+
+      assert.deepEqual(entry, {
+        key: 'index.html',
+        size: 5,
+        contentType: 'text/html',
+        cacheControl: 'max-age=60'
+      });
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * format
+   * -------------------------------------------------------------------------*/
+
+  describe('format', function () {
+
+    it('Should describe every change.', function () {
+      var result = plan.create('s3site-test-site', 'deploy');
+
+      result.buckets.create.push('s3site-test-site');
+      result.objects.upload.push({ key: 'index.html', size: 5, contentType: 'text/html' });
+      result.objects.remove.push({ key: 'removed.html', size: 1 });
+
+      var lines = plan.format(result).split('\n');
+
+      assert.include(lines, '  + create bucket s3site-test-site');
+      assert.include(lines, '  + index.html (5 B, text/html)');
+      assert.include(lines, '  - removed.html');
+      assert.equal(lines.pop(), '1 to upload, 0 to overwrite, 1 to remove');
+    });
+
+    it('Should describe redirects and configuration.', function () {
+      var result = plan.create('example.com', 'sync');
+
+      result.redirects.push({ bucket: 'www.example.com', to: { HostName: 'example.com', Protocol: 'https' } });
+      result.versioning = 'Enabled';
+      result.lifecycle = [{ ID: 'a' }];
+      result.cors = [];
+      result.logging = { LoggingEnabled: { TargetBucket: 'logs', TargetPrefix: 'example.com/' } };
+
+      var lines = plan.format(result).split('\n');
+
+      assert.include(lines, '  ~ redirect www.example.com -> https://example.com');
+      assert.include(lines, '  ~ versioning Enabled');
+      assert.include(lines, '  ~ lifecycle 1 rule(s)');
+      assert.include(lines, '  - cors');
+      assert.include(lines, '  ~ logging to logs/example.com/');
+    });
+
+    it('Should describe policy statements.', function () {
+      var result = plan.create('s3site-test-site', 'deploy');
+
+      result.policy = { Statement: [
+        { Effect: 'Allow', NotResource: ['arn:aws:s3:::s3site-test-site/drafts/*'] },
+        { Effect: 'Deny', Resource: 'arn:aws:s3:::s3site-test-site/*' }
+      ] };
+
+      assert.include(plan.format(result).split('\n'), '  ~ policy Allow not arn:aws:s3:::s3site-test-site/drafts/*; '
+        + 'Deny arn:aws:s3:::s3site-test-site/*');
+    });
+
+  });
+
+});
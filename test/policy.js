@@ -0,0 +1,167 @@
+/*!
+ * test/policy.js
+ *
+ * Copyright (c) 2014
+ */
+
+// 3rd party
+var _ = require('underscore');
+var assert = require('chai').assert;
+var sinon = require('sinon');
+
+// lib
+var policy = require('../lib/policy');
+var Bucket = require('../lib/bucket').Bucket;
+
+
+/* -----------------------------------------------------------------------------
+ * scope
+ * ---------------------------------------------------------------------------*/
+
+var bucketName = 's3site-test-site';
+var arn = 'arn:aws:s3:::' + bucketName;
+
+
+/* -----------------------------------------------------------------------------
+ * policy
+ * ---------------------------------------------------------------------------*/
+
+describe('policy.js', function () {
+
+  /* ---------------------------------------------------------------------------
+   * document
+   * -------------------------------------------------------------------------*/
+
+  describe('document', function () {
+
+    it('Should default to public read.', function () {
+      var document = policy.document(bucketName);
+
+      assert.equal(document.Version, '2008-10-17');
+      assert.lengthOf(document.Statement, 1);
+      assert.equal(document.Statement[0].Action, 's3:GetObject');
+      assert.equal(document.Statement[0].Resource, arn + '/*');
+    });
+
+    it('Should create a new document every time.', function () {
+      policy.document('first').Statement[0].Resource = 'changed';
+      assert.equal(policy.document('second').Statement[0].Resource, 'arn:aws:s3:::second/*');
+    });
+
+    it('Should restrict reads by source ip and referer.', function () {
+      var statement = policy.document(bucketName, {
+        sourceIps: ['203.0.113.0/24', '2001:db8::/32'],
+        referers: 'https://example.com/*'
+      }).Statement[0];
+
+      assert.deepEqual(statement.Condition, {
+        IpAddress: { 'aws:SourceIp': ['203.0.113.0/24', '2001:db8::/32'] },
+        StringLike: { 'aws:Referer': ['https://example.com/*'] }
+      });
+    });
+
+    it('Should keep private prefixes out of public read.', function () {
+      var statement = policy.document(bucketName, { private: ['drafts/', '/.s3-site/'] }).Statement[0];
+
+      assert.notOk(statement.Resource);
+      assert.deepEqual(statement.NotResource, [arn + '/drafts/*', arn + '/.s3-site/*']);
+    });
+
+    it('Should deny non-TLS access.', function () {
+      var document = policy.document(bucketName, { requireTls: true });
+      var deny = document.Statement[1];
+
+      assert.equal(document.Version, '2012-10-17');
+      assert.equal(deny.Effect, 'Deny');
+      assert.deepEqual(deny.Condition, { Bool: { 'aws:SecureTransport': 'false' } });
+    });
+
+    it('Should use full policy documents as is.', function () {
+      var custom = {
+        Version: '2012-10-17',
+        Statement: [{ Effect: 'Allow', Principal: '*', Action: 's3:GetObject', Resource: arn + '/public/*' }]
+      };
+
+      assert.deepEqual(policy.document(bucketName, custom), custom);
+      assert.notStrictEqual(policy.document(bucketName, custom), custom);
+    });
+
+    it('Should throw on invalid restrictions.', function () {
+      assert.throws(function () { policy.document(bucketName, { ips: [] }); }, /Unknown policy option/);
+      assert.throws(function () { policy.document(bucketName, { sourceIps: ['300.0.0.1'] }); }, /not an IP/);
+      assert.throws(function () { policy.document(bucketName, { sourceIps: ['10.0.0.0/33'] }); }, /not an IP/);
+      assert.throws(function () { policy.document(bucketName, { referers: [''] }); }, /non-empty/);
+    });
+
+    it('Should throw on invalid documents.', function () {
+      var statement = { Effect: 'Allow', Principal: '*', Action: 's3:GetObject', Resource: arn + '/*' };
+
+      assert.throws(function () {
+        policy.document(bucketName, { Statement: [] });
+      }, /at least one statement/);
+
+      assert.throws(function () {
+        policy.document(bucketName, { Statement: [_.extend({}, statement, { Effect: 'Maybe' })] });
+      }, /Effect/);
+
+      assert.throws(function () {
+        policy.document(bucketName, { Statement: [_.omit(statement, 'Action')] });
+      }, /Action/);
+
+      assert.throws(function () {
+        policy.document(bucketName, { Statement: [_.extend({}, statement, { Resource: 'arn:aws:s3:::other/*' })] });
+      }, /not within bucket/);
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * Bucket
+   * -------------------------------------------------------------------------*/
+
+  describe('Bucket', function () {
+
+    it('Should not send invalid policies.', function (done) {
+      var bucket = new Bucket({ name: 'site', policy: { sourceIps: ['nope'] } });
+      var putBucketPolicy = sinon.stub(bucket.s3, 'putBucketPolicy').yields(null, {});
+
+      bucket.makePublic(function (err) {
+        assert.match(err.message, /not an IP/);
+        assert.notOk(putBucketPolicy.called);
+        done();
+      });
+    });
+
+    it('Should apply restrictions.', function (done) {
+      var bucket = new Bucket({ name: 'site', policy: { requireTls: true } });
+      var putBucketPolicy = sinon.stub(bucket.s3, 'putBucketPolicy').yields(null, {});
+
+      bucket.makePublic(function (err) {
+        var document = JSON.parse(putBucketPolicy.args[0][0].Policy);
+
+        assert.notOk(err);
+        assert.lengthOf(document.Statement, 2);
+        done();
+      });
+    });
+
+    it('Should keep manifests out of public read.', function (done) {
+      var bucket = new Bucket({ name: 'site', manifest: true, policy: { private: 'drafts/' } });
+      var putBucketPolicy = sinon.stub(bucket.s3, 'putBucketPolicy').yields(null, {});
+
+      bucket.makePublic(function (err) {
+        var document = JSON.parse(putBucketPolicy.args[0][0].Policy);
+
+        assert.notOk(err);
+        assert.deepEqual(document.Statement[0].NotResource, [
+          'arn:aws:s3:::site/.s3-site/*',
+          'arn:aws:s3:::site/drafts/*'
+        ]);
+        done();
+      });
+    });
+
+  });
+
+});
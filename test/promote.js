@@ -0,0 +1,175 @@
+/*!
+ * test/promote.js
+ *
+ * Copyright (c) 2014
+ */
+
+// core
+var path = require('path');
+
+// 3rd party
+var _ = require('underscore');
+var async = require('async');
+var assert = require('chai').assert;
+var sinon = require('sinon');
+
+// lib
+var storage = require('../lib/storage');
+var helpers = require('./helpers');
+
+
+/* -----------------------------------------------------------------------------
+ * scope
+ * ---------------------------------------------------------------------------*/
+
+var redirectsPath = path.join(__dirname, 'fixtures/redirects');
+var fingerprintPath = path.join(__dirname, 'fixtures/fingerprint');
+
+var createBucket = function (env, options) {
+  return helpers.createBucket(_.extend({
+    env     : env,
+    srcPath : redirectsPath,
+    headers : [{ match: '**/*.html', cacheControl: 'max-age=60', metadata: { team: 'web' } }]
+  }, options));
+};
+
+
+/* -----------------------------------------------------------------------------
+ * promote
+ * ---------------------------------------------------------------------------*/
+
+describe('promote', function () {
+
+  beforeEach(function (done) {
+    this.s3 = new storage.MemoryStorage();
+    this.staging = createBucket('staging', { storage: this.s3 });
+    this.production = createBucket('production', { storage: this.s3, srcPath: null });
+
+    this.staging.deploy(done);
+  });
+
+  it('Should copy objects with their headers.', function (done) {
+    var s3 = this.s3;
+
+    this.production.promote('staging', function (err, endpoints) {
+      var source = s3.buckets['s3site-staging-site'].objects;
+      var target = s3.buckets['s3site-production-site'].objects;
+
+      assert.notOk(err);
+      assert.equal(endpoints.url, 'http://s3site-production-site.s3-website-us-east-1.amazonaws.com');
+      _.each(['index.html', 'guide/index.html', 'old.html', 'blog'], function (key) {
+        assert.deepEqual(_.omit(target[key], 'LastModified'), _.omit(source[key], 'LastModified'));
+      });
+      assert.equal(target['old.html'].WebsiteRedirectLocation, '/index.html');
+      assert.equal(target['index.html'].CacheControl, 'max-age=60');
+      done();
+    });
+  });
+
+  it('Should read redirects from headers without a manifest.', function (done) {
+    var s3 = this.s3;
+
+    s3.deleteObjects({
+      Bucket: 's3site-staging-site',
+      Delete: { Objects: [{ Key: '.s3-site/manifest.json' }] }
+    }, _.bind(function () {
+      this.production.promote('staging', function (err) {
+        assert.notOk(err);
+        assert.equal(s3.buckets['s3site-production-site'].objects['blog'].WebsiteRedirectLocation,
+          'https://blog.example.com');
+        done();
+      });
+    }, this));
+  });
+
+  it('Should remove objects missing from source.', function (done) {
+    var s3 = this.s3;
+    var production = this.production;
+
+    production.create(function () {
+      s3.putObject({ Bucket: 's3site-production-site', Key: 'stale.html', Body: '' }, function () {
+        production.promote('staging', function (err) {
+          var target = s3.buckets['s3site-production-site'].objects;
+
+          assert.notOk(err);
+          assert.notOk(target['stale.html']);
+          done();
+        });
+      });
+    });
+  });
+
+  it('Should copy fingerprinted assets first and remove last.', function (done) {
+    var s3 = this.s3;
+    var staging = createBucket('staging', { storage: s3, srcPath: fingerprintPath, fingerprint: true });
+    var production = createBucket('production', { storage: s3, srcPath: null, fingerprint: true, concurrency: 10 });
+    var copyObject = s3.copyObject;
+    var deleteObjects = s3.deleteObjects;
+    var copied = [];
+    var started = {};
+    var removedAfter;
+
+    async.series([
+      staging.sync,
+      production.create,
+      async.apply(_.bind(s3.putObject, s3), { Bucket: 's3site-production-site', Key: 'stale.html', Body: '' })
+    ], function (err) {
+      assert.notOk(err);
+
+      // record which copies completed when each one starts
+      sinon.stub(s3, 'copyObject', function (params, callback) {
+        started[params.Key] = _.clone(copied);
+
+        copyObject.call(s3, params, function (err, res) {
+          copied.push(params.Key);
+          callback(err, res);
+        });
+      });
+
+      sinon.stub(s3, 'deleteObjects', function (params, callback) {
+        removedAfter = _.clone(copied);
+        deleteObjects.call(s3, params, callback);
+      });
+
+      production.promote('staging', function (err) {
+        s3.copyObject.restore();
+        s3.deleteObjects.restore();
+
+        assert.notOk(err);
+        assert.sameMembers(started['index.html'], ['assets/app.3f9a1c.js', 'assets/app.5b2e7d.css']);
+        assert.includeMembers(removedAfter, ['index.html', 'assets/app.3f9a1c.js', 'assets/app.5b2e7d.css']);
+        assert.notOk(s3.buckets['s3site-production-site'].objects['stale.html']);
+        done();
+      });
+    });
+  });
+
+  it('Should write a promote manifest.', function (done) {
+    var production = this.production;
+
+    production.options.manifest = true;
+
+    production.promote('staging', function (err) {
+      production.readManifest(function (err, result) {
+        assert.equal(result.mode, 'promote');
+        assert.equal(result.objects['index.html'].cacheControl, 'max-age=60');
+        assert.equal(result.objects['old.html'].redirect, '/index.html');
+        done();
+      });
+    });
+  });
+
+  it('Should return error for missing source or same bucket.', function (done) {
+    var production = this.production;
+
+    production.promote('qa', function (err) {
+      assert.match(err.message, /"s3site-qa-site" does not exist/);
+
+      production.promote('production', function (err) {
+        assert.match(err.message, /to itself/);
+        done();
+      });
+    });
+  });
+
+});
@@ -0,0 +1,136 @@
+/*!
+ * test/pull.js
+ *
+ * Copyright (c) 2014
+ */
+
+// core
+var path = require('path');
+var fs = require('fs');
+var os = require('os');
+
+// 3rd party
+var _ = require('underscore');
+var assert = require('chai').assert;
+var sinon = require('sinon');
+
+// lib
+var storage = require('../lib/storage');
+var files = require('../lib/files');
+var helpers = require('./helpers');
+
+
+/* -----------------------------------------------------------------------------
+ * scope
+ * ---------------------------------------------------------------------------*/
+
+var redirectsPath = path.join(__dirname, 'fixtures/redirects');
+var pullPath = path.join(os.tmpdir(), 's3-site-pull-test');
+
+var createBucket = function (s3, options) {
+  return helpers.createBucket(_.extend({
+    srcPath  : redirectsPath,
+    storage  : s3,
+    compress : { minSize: 0 },
+    headers  : [{ match: 'guide/**', cacheControl: 'max-age=60', metadata: { team: 'docs' } }]
+  }, options));
+};
+
+var read = function (filePath) {
+  return fs.readFileSync(filePath, 'utf8');
+};
+
+
+/* -----------------------------------------------------------------------------
+ * pull
+ * ---------------------------------------------------------------------------*/
+
+describe('pull', function () {
+
+  beforeEach(function (done) {
+    files.rmrf(pullPath);
+
+    this.s3 = new storage.MemoryStorage();
+    this.bucket = createBucket(this.s3);
+    this.bucket.deploy(done);
+  });
+
+  afterEach(function () {
+    files.rmrf(pullPath);
+  });
+
+  it('Should download objects to their upload paths.', function (done) {
+    this.bucket.pull(pullPath, function (err, result) {
+      assert.notOk(err);
+      assert.deepEqual(result.downloaded, ['blog', 'guide/index.html', 'index.html', 'old.html']);
+      assert.equal(read(path.join(pullPath, 'index.html')), read(path.join(redirectsPath, 'index.html')));
+      assert.equal(read(path.join(pullPath, 'guide/index.html')),
+        read(path.join(redirectsPath, 'guide/index.html')));
+      assert.notOk(fs.existsSync(path.join(pullPath, '.s3-site')));
+      assert.notOk(fs.existsSync(path.join(pullPath, '_headers')));
+      done();
+    });
+  });
+
+  it('Should list redirects in _redirects.', function (done) {
+    this.bucket.pull(pullPath, function (err) {
+      assert.notOk(fs.existsSync(path.join(pullPath, 'old.html')));
+      assert.equal(read(path.join(pullPath, '_redirects')),
+        '/blog https://blog.example.com\n/old.html /index.html\n');
+      done();
+    });
+  });
+
+  it('Should skip files which would upload unchanged.', function (done) {
+    var bucket = this.bucket;
+
+    bucket.pull(pullPath, function (err) {
+      var getObject = sinon.spy(bucket.s3, 'getObject');
+
+      bucket.pull(pullPath, function (err, result) {
+        assert.notOk(err);
+        assert.deepEqual(result.skipped, ['guide/index.html', 'index.html']);
+        assert.deepEqual(_.map(getObject.args, function (args) {
+          return args[0].Key;
+        }).sort(), ['blog', 'old.html']);
+        done();
+      });
+    });
+  });
+
+  it('Should write headers to a sidecar to redeploy exactly.', function (done) {
+    var s3 = this.s3;
+
+    this.bucket.pull(pullPath, { sidecar: true }, function (err) {
+      assert.notOk(err);
+      assert.include(read(path.join(pullPath, '_headers')),
+        '/guide/index.html\n  Cache-Control: max-age=60\n  X-Amz-Meta-team: docs\n');
+
+      // redeploy without any header options
+      var redeployed = createBucket(s3, { env: 'copy', srcPath: pullPath, headers: [] });
+
+      redeployed.deploy(function (err) {
+        var source = s3.buckets['s3site-test-site'].objects;
+        var target = s3.buckets['s3site-copy-site'].objects;
+
+        assert.notOk(err);
+        _.each(['index.html', 'guide/index.html', 'old.html', 'blog'], function (key) {
+          assert.deepEqual(_.omit(target[key], 'LastModified'), _.omit(source[key], 'LastModified'));
+        });
+        done();
+      });
+    });
+  });
+
+  it('Should return error for keys outside of destPath.', function (done) {
+    var bucket = this.bucket;
+
+    bucket.s3.putObject({ Bucket: bucket.bucketName, Key: '../escape.html', Body: '' }, function () {
+      bucket.pull(pullPath, function (err) {
+        assert.match(err.message, /resolves outside/);
+        done();
+      });
+    });
+  });
+
+});
@@ -0,0 +1,153 @@
+/*!
+ * test/region.js
+ *
+ * Copyright (c) 2014
+ */
+
+// 3rd party
+var assert = require('chai').assert;
+
+// lib
+var region = require('../lib/region');
+var storage = require('../lib/storage');
+var helpers = require('./helpers');
+
+
+/* -----------------------------------------------------------------------------
+ * scope
+ * ---------------------------------------------------------------------------*/
+
+var createBucket = helpers.createBucket;
+
+
+/* -----------------------------------------------------------------------------
+ * region
+ * ---------------------------------------------------------------------------*/
+
+describe('region.js', function () {
+
+  /* ---------------------------------------------------------------------------
+   * resolve
+   * -------------------------------------------------------------------------*/
+
+  describe('resolve', function () {
+
+    it('Should prefer options over s3config and default to us-east-1.', function () {
+      assert.equal(region.resolve({ region: 'eu-west-1' }, { region: 'us-west-2' }), 'eu-west-1');
+      assert.equal(region.resolve({}, { region: 'us-west-2' }), 'us-west-2');
+      assert.equal(region.resolve({}), 'us-east-1');
+    });
+
+    it('Should throw on invalid regions.', function () {
+      assert.throws(function () { region.resolve({ region: 'EU' }); }, /"EU" is not a valid AWS region/);
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * websiteHost
+   * -------------------------------------------------------------------------*/
+
+  describe('websiteHost', function () {
+
+    it('Should use dashes for older regions and dots for newer ones.', function () {
+      assert.equal(region.websiteHost(), 's3-website-us-east-1.amazonaws.com');
+      assert.equal(region.websiteHost('ap-southeast-2'), 's3-website-ap-southeast-2.amazonaws.com');
+      assert.equal(region.websiteHost('eu-central-1'), 's3-website.eu-central-1.amazonaws.com');
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * createParams / fromLocation
+   * -------------------------------------------------------------------------*/
+
+  describe('createParams', function () {
+
+    it('Should set a LocationConstraint outside us-east-1.', function () {
+      assert.deepEqual(region.createParams('us-east-1'), {});
+      assert.deepEqual(region.createParams('eu-central-1'), {
+        CreateBucketConfiguration: { LocationConstraint: 'eu-central-1' }
+      });
+    });
+
+  });
+
+  describe('fromLocation', function () {
+
+    it('Should map legacy location constraints.', function () {
+      assert.equal(region.fromLocation(''), 'us-east-1');
+      assert.equal(region.fromLocation(null), 'us-east-1');
+      assert.equal(region.fromLocation('EU'), 'eu-west-1');
+      assert.equal(region.fromLocation('sa-east-1'), 'sa-east-1');
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * Bucket
+   * -------------------------------------------------------------------------*/
+
+  describe('Bucket', function () {
+
+    it('Should create the bucket in options.region.', function (done) {
+      var bucket = createBucket({ region: 'eu-central-1' });
+
+      bucket.deploy(function (err, info) {
+        assert.notOk(err);
+        assert.equal(bucket.s3.region, 'eu-central-1');
+        assert.equal(bucket.s3.buckets['s3site-test-site'].location, 'eu-central-1');
+        assert.deepEqual(info, {
+          bucket: 's3site-test-site',
+          region: 'eu-central-1',
+          url: 'http://s3site-test-site.s3-website.eu-central-1.amazonaws.com'
+        });
+        done();
+      });
+    });
+
+    it('Should fall back to the s3config region.', function (done) {
+      var bucket = createBucket({}, { region: 'ap-southeast-2' });
+
+      bucket.deploy(function (err, info) {
+        assert.notOk(err);
+        assert.equal(info.region, 'ap-southeast-2');
+        assert.equal(info.url, 'http://s3site-test-site.s3-website-ap-southeast-2.amazonaws.com');
+        done();
+      });
+    });
+
+    it('Should create redirect buckets in the same region.', function (done) {
+      var bucket = createBucket({ domain: 'example.com', region: 'eu-west-1' });
+
+      bucket.deploy(function (err, info) {
+        assert.notOk(err);
+        assert.equal(bucket.s3.buckets['www.example.com'].location, 'eu-west-1');
+        assert.equal(info.redirects[0].url, 'http://www.example.com.s3-website-eu-west-1.amazonaws.com');
+        assert.equal(info.dns[0].hostedZoneId, 'Z1BKCTXD74EZPE');
+        done();
+      });
+    });
+
+    it('Should report a bucket existing in another region.', function (done) {
+      var s3 = new storage.MemoryStorage();
+      var bucket = createBucket({ storage: s3 });
+
+      s3.createBucket({
+        Bucket: 's3site-test-site',
+        CreateBucketConfiguration: { LocationConstraint: 'EU' }
+      }, function () {
+        bucket.sync(function (err) {
+          assert.match(err.message, /"s3site-test-site" already exists in region "eu-west-1", not "us-east-1"/);
+          assert.deepEqual(s3.buckets['s3site-test-site'].objects, {});
+          done();
+        });
+      });
+    });
+
+  });
+
+});
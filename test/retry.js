@@ -0,0 +1,93 @@
+/*!
+ * test/retry.js
+ * 
+ * Copyright (c) 2014
+ */
+
+// 3rd party
+var assert = require('chai').assert;
+var sinon = require('sinon');
+
+// lib
+var retry = require('../lib/retry');
+
+
+/* -----------------------------------------------------------------------------
+ * scope
+ * ---------------------------------------------------------------------------*/
+
+var options = { retries: 2, retryDelay: 0 };
+
+var error = function (code, statusCode) {
+  var err = new Error(code);
+  err.code = code;
+  err.statusCode = statusCode;
+
+  return err;
+};
+
+
+/* -----------------------------------------------------------------------------
+ * retry
+ * ---------------------------------------------------------------------------*/
+
+describe('retry.js', function () {
+
+  /* ---------------------------------------------------------------------------
+   * run
+   * -------------------------------------------------------------------------*/
+
+  describe('run', function () {
+
+    it('Should retry retryable errors.', function (done) {
+      var task = sinon.stub();
+      task.onFirstCall().yields(error('SlowDown', 503));
+      task.onSecondCall().yields(null, 'result');
+
+      retry.run(options, task, function (err, result) {
+        assert.notOk(err);
+        assert.equal(result, 'result');
+        assert.equal(task.callCount, 2);
+        done();
+      });
+    });
+
+    it('Should give up after retries.', function (done) {
+      var task = sinon.stub().yields(error('ECONNRESET'));
+
+      retry.run(options, task, function (err) {
+        assert.equal(err.code, 'ECONNRESET');
+        assert.equal(task.callCount, 3);
+        done();
+      });
+    });
+
+    it('Should not retry other errors.', function (done) {
+      var task = sinon.stub().yields(error('AccessDenied', 403));
+
+      retry.run(options, task, function (err) {
+        assert.equal(err.code, 'AccessDenied');
+        assert.equal(task.callCount, 1);
+        done();
+      });
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * isRetryable
+   * -------------------------------------------------------------------------*/
+
+  describe('isRetryable', function () {
+
+    it('Should detect throttling, server and network errors.', function () {
+      assert.isTrue(retry.isRetryable(error('SlowDown', 503)));
+      assert.isTrue(retry.isRetryable(error('InternalError', 500)));
+      assert.isTrue(retry.isRetryable(error('ETIMEDOUT')));
+      assert.isFalse(retry.isRetryable(error('NoSuchBucket', 404)));
+    });
+
+  });
+
+});
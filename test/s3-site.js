@@ -0,0 +1,62 @@
+/*!
+ * test/s3-site.js
+ *
+ * Copyright (c) 2014
+ */
+
+// core
+var path = require('path');
+
+// 3rd party
+var assert = require('chai').assert;
+
+// lib
+var s3site = require('../lib/s3-site');
+
+
+/* -----------------------------------------------------------------------------
+ * scope
+ * ---------------------------------------------------------------------------*/
+
+var sitePath = path.join(__dirname, 'fixtures/site');
+
+
+/* -----------------------------------------------------------------------------
+ * s3-site
+ * ---------------------------------------------------------------------------*/
+
+describe('s3-site.js', function () {
+
+  it('Should pass invalid options to callback.', function (done) {
+    var bucket = s3site.deploy({
+      name    : 'site',
+      region  : 'EU',
+      srcPath : sitePath,
+      storage : 'memory'
+    }, {}, function (err) {
+      assert.isNull(bucket);
+      assert.match(err.message, /"EU" is not a valid AWS region/);
+      done();
+    });
+  });
+
+  it('Should pass missing promote environments to callback.', function (done) {
+    var bucket = s3site.promote({ name: 'site', from: 'staging', storage: 'memory' }, {}, function (err) {
+      assert.isNull(bucket);
+      assert.equal(err.message, 'Missing environment to promote to');
+
+      s3site.promote({ name: 'site', to: 'production', storage: 'memory' }, {}, function (err) {
+        assert.equal(err.message, 'Missing environment to promote from');
+        done();
+      });
+    });
+  });
+
+  it('Should pass invalid domains to callback.', function (done) {
+    s3site.info({ domain: 'Example.com', storage: 'memory' }, {}, function (err) {
+      assert.match(err.message, /label "Example"/);
+      done();
+    });
+  });
+
+});
@@ -0,0 +1,170 @@
+/*!
+ * test/server.js
+ * 
+ * Copyright (c) 2014
+ */
+
+// core
+var path = require('path');
+
+// 3rd party
+var _ = require('underscore');
+var assert = require('chai').assert;
+var request = require('request');
+
+// lib
+var Server = require('../lib/server').Server;
+
+
+/* -----------------------------------------------------------------------------
+ * scope
+ * ---------------------------------------------------------------------------*/
+
+var sitePath = path.join(__dirname, 'fixtures/redirects');
+var nestedPath = path.join(__dirname, 'fixtures/site');
+
+
+/* -----------------------------------------------------------------------------
+ * Server
+ * ---------------------------------------------------------------------------*/
+
+describe('server.js', function () {
+
+  beforeEach(function (done) {
+    this.server = new Server({
+      srcPath : nestedPath,
+      noCache : ['index.html'],
+      headers : [{ match: 'nested/**', cacheControl: 'max-age=60', metadata: { team: 'web' } }],
+      website : {
+        error : 'nested/folder/test.html',
+        rules : [
+          { prefix: 'docs/', replacePrefix: 'nested/' },
+          { status: 404, prefix: 'old/', host: 'example.com', code: 302 }
+        ]
+      }
+    });
+
+    this.server.listen(0, _.bind(function () {
+      this.url = 'http://localhost:' + this.server.server.address().port;
+      done();
+    }, this));
+  });
+
+  afterEach(function (done) {
+    this.server.server.close(done);
+  });
+
+  it('Should serve index document at root.', function (done) {
+    request(this.url + '/', function (err, res, body) {
+      assert.equal(res.statusCode, 200);
+      assert.equal(res.headers['content-type'], 'text/html');
+      assert.include(res.headers['cache-control'], 'no-cache');
+      assert.include(body, '<h1>index</h1>');
+      done();
+    });
+  });
+
+  it('Should apply header rules.', function (done) {
+    request(this.url + '/nested/folder/test.html', function (err, res) {
+      assert.equal(res.statusCode, 200);
+      assert.equal(res.headers['cache-control'], 'max-age=60');
+      assert.equal(res.headers['x-amz-meta-team'], 'web');
+      done();
+    });
+  });
+
+  it('Should serve error document with 404.', function (done) {
+    request(this.url + '/missing.html', function (err, res, body) {
+      assert.equal(res.statusCode, 404);
+      assert.include(body, 'nested/folder/test');
+      done();
+    });
+  });
+
+  it('Should apply prefix routing rules.', function (done) {
+    request({ url: this.url + '/docs/folder/test.html', followRedirect: false }, function (err, res) {
+      assert.equal(res.statusCode, 301);
+      assert.match(res.headers['location'], /\/nested\/folder\/test\.html$/);
+      done();
+    });
+  });
+
+  it('Should apply error routing rules.', function (done) {
+    request({ url: this.url + '/old/page.html', followRedirect: false }, function (err, res) {
+      assert.equal(res.statusCode, 302);
+      assert.equal(res.headers['location'], 'http://example.com/old/page.html');
+      done();
+    });
+  });
+
+  it('Should not serve files outside srcPath.', function (done) {
+    request(this.url + '/..%2Fserver.js', function (err, res) {
+      assert.equal(res.statusCode, 404);
+      done();
+    });
+  });
+
+  it('Should reject malformed paths with 400.', function (done) {
+    request(this.url + '/%E0%A4%A', function (err, res) {
+      assert.equal(res.statusCode, 400);
+      done();
+    });
+  });
+
+  it('Should pass listen errors to callback.', function (done) {
+    var server = new Server({ srcPath: nestedPath });
+
+    server.listen(this.server.server.address().port, function (err) {
+      assert.equal(err.code, 'EADDRINUSE');
+      done();
+    });
+  });
+
+  describe('redirects', function () {
+
+    beforeEach(function (done) {
+      this.redirectServer = new Server({ srcPath: sitePath });
+      this.redirectServer.listen(0, _.bind(function () {
+        this.redirectUrl = 'http://localhost:' + this.redirectServer.server.address().port;
+        done();
+      }, this));
+    });
+
+    afterEach(function (done) {
+      this.redirectServer.server.close(done);
+    });
+
+    it('Should serve redirects listed in _redirects.', function (done) {
+      request({ url: this.redirectUrl + '/old.html', followRedirect: false }, function (err, res) {
+        assert.equal(res.statusCode, 301);
+        assert.equal(res.headers['location'], '/index.html');
+        done();
+      });
+    });
+
+    it('Should redirect directories without trailing slash.', function (done) {
+      request({ url: this.redirectUrl + '/guide', followRedirect: false }, function (err, res) {
+        assert.equal(res.statusCode, 302);
+        assert.equal(res.headers['location'], '/guide/');
+        done();
+      });
+    });
+
+    it('Should serve index document of directories.', function (done) {
+      request(this.redirectUrl + '/guide/', function (err, res, body) {
+        assert.equal(res.statusCode, 200);
+        assert.include(body, '<h1>guide</h1>');
+        done();
+      });
+    });
+
+    it('Should not serve _redirects file.', function (done) {
+      request(this.redirectUrl + '/_redirects', function (err, res) {
+        assert.equal(res.statusCode, 404);
+        done();
+      });
+    });
+
+  });
+
+});
@@ -0,0 +1,301 @@
+/*!
+ * test/storage.js
+ *
+ * Copyright (c) 2014
+ */
+
+// core
+var path = require('path');
+var fs = require('fs');
+var os = require('os');
+var crypto = require('crypto');
+
+// 3rd party
+var _ = require('underscore');
+var assert = require('chai').assert;
+
+// lib
+var storage = require('../lib/storage');
+var files = require('../lib/files');
+var Bucket = require('../lib/bucket').Bucket;
+var helpers = require('./helpers');
+
+
+/* -----------------------------------------------------------------------------
+ * scope
+ * ---------------------------------------------------------------------------*/
+
+var sitePath = helpers.sitePath;
+var indexPath = path.join(sitePath, 'index.html');
+
+var createBucket = function (storageOptions) {
+  return helpers.createBucket({ storage: storageOptions });
+};
+
+
+/* -----------------------------------------------------------------------------
+ * storage
+ * ---------------------------------------------------------------------------*/
+
+describe('storage', function () {
+
+  describe('create', function () {
+
+    it('Should default to s3.', function () {
+      assert.ok(storage.create(undefined, {}).api);
+      assert.ok(storage.create('s3', {}).api);
+    });
+
+    it('Should create memory and fs adapters.', function () {
+      assert.instanceOf(storage.create('memory'), storage.MemoryStorage);
+      assert.instanceOf(storage.create({ type: 'fs', path: os.tmpdir() }), storage.FsStorage);
+    });
+
+    it('Should use adapter instances as is.', function () {
+      var adapter = new storage.MemoryStorage();
+      assert.equal(storage.create(adapter), adapter);
+    });
+
+    it('Should throw on unknown type or missing path.', function () {
+      assert.throws(function () { storage.create('ftp'); }, /Unknown storage type "ftp"/);
+      assert.throws(function () { storage.create({ type: 'fs' }); }, /requires a "path"/);
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * memory
+   * -------------------------------------------------------------------------*/
+
+  describe('memory', function () {
+
+    beforeEach(function () {
+      this.bucket = createBucket('memory');
+      this.buckets = this.bucket.s3.buckets;
+    });
+
+    it('Should deploy bucket, website, policy and files.', function (done) {
+      this.bucket.deploy(_.bind(function (err) {
+        var bucket = this.buckets['s3site-test-site'];
+
+        assert.notOk(err);
+        assert.includeMembers(_.keys(bucket.objects), ['index.html', 'nested/folder/test.html']);
+        assert.equal(bucket.objects['index.html'].ContentType, 'text/html');
+        assert.equal(bucket.objects['index.html'].Body.toString(), fs.readFileSync(indexPath, 'utf8'));
+        assert.equal(bucket.website.IndexDocument.Suffix, 'index.html');
+        assert.equal(bucket.policy.Statement[0].Resource, 'arn:aws:s3:::s3site-test-site/*');
+        done();
+      }, this));
+    });
+
+    it('Should store md5 ETags so sync skips unchanged files.', function (done) {
+      var skipped = 0;
+
+      this.bucket.on('file:skipped', function () {
+        skipped++;
+      });
+
+      this.bucket.deploy(_.bind(function (err) {
+        var md5 = crypto.createHash('md5').update(fs.readFileSync(indexPath)).digest('hex');
+        assert.equal(this.buckets['s3site-test-site'].objects['index.html'].ETag, '"' + md5 + '"');
+
+        this.bucket.sync(function (err) {
+          assert.notOk(err);
+          assert.equal(skipped, 2);
+          done();
+        });
+      }, this));
+    });
+
+    it('Should destroy bucket.', function (done) {
+      this.bucket.deploy(_.bind(function (err) {
+        this.bucket.destroy(_.bind(function (err) {
+          assert.notOk(err);
+          assert.deepEqual(this.buckets, {});
+          done();
+        }, this));
+      }, this));
+    });
+
+    it('Should error like s3 for missing or non empty buckets.', function (done) {
+      var s3 = this.bucket.s3;
+
+      s3.headBucket({ Bucket: 'missing' }, function (err) {
+        assert.equal(err.code, 'NoSuchBucket');
+        assert.equal(err.statusCode, 404);
+
+        s3.createBucket({ Bucket: 'full' }, function () {
+          s3.putObject({ Bucket: 'full', Key: 'a', Body: 'a' }, function () {
+            s3.deleteBucket({ Bucket: 'full' }, function (err) {
+              assert.equal(err.code, 'BucketNotEmpty');
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('Should paginate listObjects.', function (done) {
+      var s3 = this.bucket.s3;
+
+      s3.createBucket({ Bucket: 'list' }, function () {
+        s3.putObject({ Bucket: 'list', Key: 'a', Body: 'a' }, function () {
+          s3.putObject({ Bucket: 'list', Key: 'b', Body: 'b' }, function () {
+            s3.listObjects({ Bucket: 'list', MaxKeys: 1 }, function (err, data) {
+              assert.ok(data.IsTruncated);
+              assert.deepEqual(_.pluck(data.Contents, 'Key'), ['a']);
+
+              s3.listObjects({ Bucket: 'list', Marker: 'a' }, function (err, data) {
+                assert.notOk(data.IsTruncated);
+                assert.deepEqual(_.pluck(data.Contents, 'Key'), ['b']);
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('Should copy objects without their website redirect.', function (done) {
+      var s3 = this.bucket.s3;
+      var object = {
+        Bucket: 'from',
+        Key: 'a b.html',
+        Body: 'a',
+        CacheControl: 'max-age=60',
+        WebsiteRedirectLocation: '/b.html'
+      };
+
+      s3.createBucket({ Bucket: 'from' }, function () {
+        s3.createBucket({ Bucket: 'to' }, function () {
+          s3.putObject(object, function () {
+            s3.copyObject({ Bucket: 'to', Key: 'a', CopySource: 'from/a%20b.html' }, function (err, data) {
+              var copy = s3.buckets['to'].objects['a'];
+
+              assert.notOk(err);
+              assert.equal(data.CopyObjectResult.ETag, s3.buckets['from'].objects['a b.html'].ETag);
+              assert.equal(copy.CacheControl, 'max-age=60');
+              assert.notOk(copy.WebsiteRedirectLocation);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('Should only allow reads in dry run.', function (done) {
+      var bucket = new Bucket({ name: 'site', storage: 'memory', dryRun: true });
+
+      bucket.s3.createBucket({ Bucket: 'site' }, function (err) {
+        assert.match(err.message, /createBucket is not allowed in dry run/);
+        done();
+      });
+    });
+
+    it('Should leave shared adapters writable after a dry run.', function (done) {
+      var s3 = new storage.MemoryStorage();
+      var dryRun = new Bucket({ name: 'site', srcPath: sitePath, storage: s3, dryRun: true });
+      var bucket = new Bucket({ name: 'site', srcPath: sitePath, storage: s3 });
+
+      dryRun.deploy(function (err) {
+        assert.notOk(err);
+        assert.deepEqual(s3.buckets, {});
+
+        bucket.deploy(function (err) {
+          assert.notOk(err);
+          assert.ok(s3.buckets['site'].objects['index.html']);
+          done();
+        });
+      });
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * fs
+   * -------------------------------------------------------------------------*/
+
+  describe('fs', function () {
+
+    beforeEach(function () {
+      this.rootPath = path.join(os.tmpdir(), 's3site-' + crypto.randomBytes(4).toString('hex'));
+      this.bucket = createBucket({ type: 'fs', path: this.rootPath });
+    });
+
+    afterEach(function () {
+      files.rmrf(this.rootPath);
+    });
+
+    it('Should write objects as files.', function (done) {
+      this.bucket.deploy(_.bind(function (err) {
+        var filePath = path.join(this.rootPath, 's3site-test-site/nested/folder/test.html');
+
+        assert.notOk(err);
+        assert.ok(fs.existsSync(filePath));
+        assert.notOk(this.bucket.s3.buckets['s3site-test-site'].objects['index.html'].Body);
+        done();
+      }, this));
+    });
+
+    it('Should keep state across instances.', function (done) {
+      this.bucket.deploy(_.bind(function (err) {
+        var bucket = createBucket({ type: 'fs', path: this.rootPath });
+        var skipped = 0;
+
+        bucket.on('file:skipped', function () {
+          skipped++;
+        });
+
+        bucket.sync(function (err) {
+          assert.notOk(err);
+          assert.equal(skipped, 2);
+          assert.equal(bucket.s3.buckets['s3site-test-site'].website.IndexDocument.Suffix, 'index.html');
+          done();
+        });
+      }, this));
+    });
+
+    it('Should serve the previous version once the current one is deleted.', function (done) {
+      var s3 = this.bucket.s3;
+      var params = { Bucket: 's3site-test-site', Key: 'page.html' };
+
+      s3.createBucket({ Bucket: params.Bucket }, function () {
+        s3.putBucketVersioning(_.extend({ VersioningConfiguration: { Status: 'Enabled' } }, _.pick(params, 'Bucket')), function () {
+          s3.putObject(_.extend({ Body: 'one' }, params), function () {
+            s3.putObject(_.extend({ Body: 'two' }, params), function () {
+              var current = s3.buckets[params.Bucket].objects['page.html'];
+
+              s3.deleteObjects({
+                Bucket: params.Bucket,
+                Delete: { Objects: [{ Key: 'page.html', VersionId: current.VersionId }] }
+              }, function (err) {
+                assert.notOk(err);
+
+                s3.getObject(params, function (err, res) {
+                  assert.notOk(err);
+                  assert.equal(res.Body.toString(), 'one');
+                  done();
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('Should remove bucket directory on destroy.', function (done) {
+      this.bucket.deploy(_.bind(function (err) {
+        this.bucket.destroy(_.bind(function (err) {
+          assert.notOk(err);
+          assert.notOk(fs.existsSync(path.join(this.rootPath, 's3site-test-site')));
+          assert.deepEqual(createBucket({ type: 'fs', path: this.rootPath }).s3.buckets, {});
+          done();
+        }, this));
+      }, this));
+    });
+
+  });
+
+});
@@ -0,0 +1,188 @@
+/*!
+ * test/verify.js
+ *
+ * Copyright (c) 2014
+ */
+
+// core
+var http = require('http');
+var path = require('path');
+var fs = require('fs');
+
+// 3rd party
+var _ = require('underscore');
+var assert = require('chai').assert;
+var sinon = require('sinon');
+var nock = require('nock');
+
+// lib
+var verify = require('../lib/verify');
+var helpers = require('./helpers');
+
+
+/* -----------------------------------------------------------------------------
+ * scope
+ * ---------------------------------------------------------------------------*/
+
+var sitePath = helpers.sitePath;
+var websiteUrl = 'http://s3site-verify-site.s3-website-us-east-1.amazonaws.com';
+
+var index = fs.readFileSync(path.join(sitePath, 'index.html'));
+var test = fs.readFileSync(path.join(sitePath, 'nested/folder/test.html'));
+
+var createBucket = function (verifyOptions) {
+  return helpers.createBucket({
+    env     : 'verify',
+    headers : [{ match: 'nested/**', cacheControl: 'max-age=60' }],
+    verify  : _.extend({ paths: ['/nested/folder/test.html'], delay: 0 }, verifyOptions)
+  });
+};
+
+
+/* -----------------------------------------------------------------------------
+ * verify
+ * ---------------------------------------------------------------------------*/
+
+describe('verify.js', function () {
+
+  /* ---------------------------------------------------------------------------
+   * options
+   * -------------------------------------------------------------------------*/
+
+  describe('options', function () {
+
+    it('Should always verify the index.', function () {
+      assert.isNull(verify.options());
+      assert.deepEqual(verify.options(true).paths, ['/']);
+      assert.deepEqual(verify.options({ paths: ['/about/'] }).paths, ['/', '/about/']);
+    });
+
+    it('Should throw on invalid options.', function () {
+      assert.throws(function () { verify.options({ paths: ['about'] }); }, /must start with/);
+      assert.throws(function () { verify.options({ retries: -1 }); }, /retries/);
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * key
+   * -------------------------------------------------------------------------*/
+
+  describe('key', function () {
+
+    it('Should map paths to keys.', function () {
+      assert.equal(verify.key('/', 'index.html'), 'index.html');
+      assert.equal(verify.key('/about/', 'index.html'), 'about/index.html');
+      assert.equal(verify.key('/my%20page.html?v=1', 'index.html'), 'my page.html');
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * request
+   * -------------------------------------------------------------------------*/
+
+  describe('request', function () {
+
+    it('Should time out once a response body stalls.', function (done) {
+      var server = http.createServer(function (req, res) {
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.write('<html>');
+      });
+
+      server.listen(0, function () {
+        var target = 'http://localhost:' + server.address().port + '/';
+        var calls = 0;
+
+        verify.request(target, 50, function (err) {
+          calls++;
+          assert.equal(err.code, 'ETIMEDOUT');
+
+          // aborting must not call back again
+          setTimeout(function () {
+            assert.equal(calls, 1);
+            server.close(done);
+          }, 50);
+        });
+      });
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * Bucket
+   * -------------------------------------------------------------------------*/
+
+  describe('Bucket', function () {
+
+    it('Should verify served paths after deploy.', function (done) {
+      var bucket = createBucket();
+      var verified = sinon.spy();
+      var website = nock(websiteUrl)
+        .get('/').reply(200, index, { 'Content-Type': 'text/html' })
+        .get('/nested/folder/test.html').reply(200, test, {
+          'Content-Type': 'text/html',
+          'Cache-Control': 'max-age=60'
+        });
+
+      bucket.on('site:verified', verified);
+      bucket.deploy(function (err) {
+        var report = verified.firstCall.args[0].report;
+
+        assert.notOk(err);
+        website.done();
+        assert.deepEqual(_.pluck(report, 'ok'), [true, true]);
+        assert.equal(report[1].url, websiteUrl + '/nested/folder/test.html');
+        done();
+      });
+    });
+
+    it('Should retry until paths are served.', function (done) {
+      var bucket = createBucket({ paths: [] });
+      var website = nock(websiteUrl)
+        .get('/').reply(404)
+        .get('/').reply(200, index, { 'Content-Type': 'text/html' });
+
+      bucket.deploy(function (err) {
+        assert.notOk(err);
+        website.done();
+        done();
+      });
+    });
+
+    it('Should fail deploy with a per-path report.', function (done) {
+      var bucket = createBucket({ retries: 1 });
+      var website = nock(websiteUrl)
+        .get('/').reply(200, index, { 'Content-Type': 'text/html' })
+        .get('/nested/folder/test.html').times(2).reply(200, 'stale', { 'Content-Type': 'text/html' });
+
+      bucket.deploy(function (err) {
+        var result = err.report[1];
+
+        website.done();
+        assert.match(err.message, /Verification failed for 1 path\(s\):\n  \/nested\/folder\/test.html: /);
+        assert.isTrue(err.report[0].ok);
+        assert.isFalse(result.ok);
+        assert.equal(result.status, 200);
+        assert.include(result.problems, 'Cache-Control missing (expected "max-age=60")');
+        assert.match(result.problems[1], /^body md5/);
+        done();
+      });
+    });
+
+    it('Should report paths without a local file.', function (done) {
+      var bucket = createBucket({ paths: ['/missing.html'] });
+      nock(websiteUrl).get('/').reply(200, index, { 'Content-Type': 'text/html' });
+
+      bucket.deploy(function (err) {
+        assert.deepEqual(err.report[1].problems, ['no local file for "missing.html"']);
+        done();
+      });
+    });
+
+  });
+
+});
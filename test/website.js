@@ -0,0 +1,143 @@
+/*!
+ * test/website.js
+ * 
+ * Copyright (c) 2014
+ */
+
+// 3rd party
+var assert = require('chai').assert;
+
+// lib
+var website = require('../lib/website');
+
+
+/* -----------------------------------------------------------------------------
+ * website
+ * ---------------------------------------------------------------------------*/
+
+describe('website.js', function () {
+
+  /* ---------------------------------------------------------------------------
+   * configuration
+   * -------------------------------------------------------------------------*/
+
+  describe('configuration', function () {
+
+    it('Should default index document.', function () {
+      var config = website.configuration();
+
+      assert.deepEqual(config, {
+        IndexDocument: { Suffix: 'index.html' }
+      });
+    });
+
+    it('Should set index and error documents.', function () {
+      var config = website.configuration({ index: 'home.html', error: '404.html' });
+
+      assert.equal(config.IndexDocument.Suffix, 'home.html');
+      assert.equal(config.ErrorDocument.Key, '404.html');
+    });
+
+    it('Should append additional routing rules.', function () {
+      var config = website.configuration({
+        rules: [{ prefix: 'docs/', replacePrefix: 'documents/' }]
+      }, [{ Redirect: { HostName: 'example.com' } }]);
+
+      assert.equal(config.RoutingRules.length, 2);
+      assert.equal(config.RoutingRules[1].Redirect.HostName, 'example.com');
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * routingRule
+   * -------------------------------------------------------------------------*/
+
+  describe('routingRule', function () {
+
+    it('Should map prefix rewrites.', function () {
+      var rule = website.routingRule({ prefix: 'docs/', replacePrefix: 'documents/' });
+
+      assert.deepEqual(rule, {
+        Condition: { KeyPrefixEquals: 'docs/' },
+        Redirect: { ReplaceKeyPrefixWith: 'documents/' }
+      });
+    });
+
+    it('Should map error code redirects.', function () {
+      var rule = website.routingRule({
+        status: 404,
+        host: 'example.com',
+        protocol: 'https',
+        code: 301
+      });
+
+      assert.deepEqual(rule, {
+        Condition: { HttpErrorCodeReturnedEquals: '404' },
+        Redirect: { HostName: 'example.com', Protocol: 'https', HttpRedirectCode: '301' }
+      });
+    });
+
+    it('Should throw on unknown options.', function () {
+      assert.throws(function () {
+        website.routingRule({ prefix: 'a/', to: 'b/' });
+      }, /Unknown routing rule/);
+    });
+
+    it('Should throw on invalid protocol.', function () {
+      assert.throws(function () {
+        website.routingRule({ protocol: 'ftp' });
+      }, /protocol/);
+    });
+
+    it('Should throw if rule does not redirect.', function () {
+      assert.throws(function () {
+        website.routingRule({ prefix: 'a/', code: 301 });
+      }, /must redirect/);
+    });
+
+  });
+
+
+  /* ---------------------------------------------------------------------------
+   * parseRedirects
+   * -------------------------------------------------------------------------*/
+
+  describe('parseRedirects', function () {
+
+    it('Should parse paths and locations.', function () {
+      var redirects = website.parseRedirects([
+        '# comment',
+        '/old.html   /new.html',
+        '',
+        '/blog https://blog.example.com'
+      ].join('\n'));
+
+      assert.deepEqual(redirects, [
+        { key: 'old.html', location: '/new.html' },
+        { key: 'blog', location: 'https://blog.example.com' }
+      ]);
+    });
+
+    it('Should redirect index documents of folder paths.', function () {
+      var redirects = website.parseRedirects([
+        '/old/ /new/',
+        '/ /home.html'
+      ].join('\n'), 'index.html');
+
+      assert.deepEqual(redirects, [
+        { key: 'old/index.html', location: '/new/' },
+        { key: 'index.html', location: '/home.html' }
+      ]);
+    });
+
+    it('Should throw on malformed lines.', function () {
+      assert.throws(function () {
+        website.parseRedirects('/old.html new.html');
+      }, /line 1/);
+    });
+
+  });
+
+});